@@ -0,0 +1,163 @@
+/**
+ * Artefatos de depuração por execução (job assíncrono ou requisição síncrona)
+ * 
+ * Screenshots, HTML das páginas e estado final (URL/título) ficam em
+ * ARTIFACTS_DIR/<runId>/, acessíveis apenas pela credencial dona da execução,
+ * e são removidos após ARTIFACTS_RETENTION_MS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('Artifacts');
+
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(__dirname, '..', 'data', 'artifacts');
+const ARTIFACTS_RETENTION_MS = parseInt(process.env.ARTIFACTS_RETENTION_MS, 10) || 24 * 60 * 60 * 1000; // 24 horas
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutos
+const META_FILE = 'meta.json';
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json'
+};
+
+// runId (UUID) e nomes gerados pelo recorder: evita path traversal
+const RUN_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const NAME_PATTERN = /^\d{3}_[\w-]+\.(png|html|json)$/;
+
+function safeName(label) {
+  return String(label || 'artefato').replace(/[^a-z0-9_-]+/gi, '_').slice(0, 60);
+}
+
+/**
+ * Grava os artefatos de uma execução. Falhas ao capturar nunca interrompem o scraping.
+ */
+class ArtifactRecorder {
+  constructor(store, runId) {
+    this.store = store;
+    this.runId = runId;
+    this.dir = path.join(store.dir, runId);
+    this.seq = 0;
+  }
+
+  nextPath(label, ext) {
+    this.seq++;
+    return path.join(this.dir, `${String(this.seq).padStart(3, '0')}_${safeName(label)}${ext}`);
+  }
+
+  async screenshot(page, label, { fullPage = false } = {}) {
+    try {
+      await page.screenshot({ path: this.nextPath(label, '.png'), fullPage });
+    } catch (e) {
+      log.warn(`Não foi possível salvar screenshot ${label}:`, e.message);
+    }
+  }
+
+  async html(page, label) {
+    try {
+      fs.writeFileSync(this.nextPath(label, '.html'), await page.content(), { mode: 0o600 });
+    } catch (e) {
+      log.warn(`Não foi possível salvar HTML ${label}:`, e.message);
+    }
+  }
+
+  /**
+   * URL e título atuais da página (estado final após falha ou login)
+   */
+  async pageState(page, label) {
+    try {
+      this.json(label, { url: page.url(), title: await page.title(), capturedAt: new Date().toISOString() });
+    } catch (e) {
+      log.warn(`Não foi possível salvar estado da página ${label}:`, e.message);
+    }
+  }
+
+  json(label, data) {
+    fs.writeFileSync(this.nextPath(label, '.json'), JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  list() {
+    return this.store.list(this.runId);
+  }
+}
+
+class ArtifactStore {
+  constructor({ dir = ARTIFACTS_DIR, retentionMs = ARTIFACTS_RETENTION_MS } = {}) {
+    this.dir = path.resolve(dir);
+    this.retentionMs = retentionMs;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Abre o diretório da execução e retorna o recorder
+   */
+  open(runId, { owner = null } = {}) {
+    const dir = path.join(this.dir, runId);
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(path.join(dir, META_FILE), JSON.stringify({ runId, owner, createdAt: new Date().toISOString() }), { mode: 0o600 });
+    return new ArtifactRecorder(this, runId);
+  }
+
+  meta(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, runId, META_FILE), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Artefatos da execução com o link de download
+   */
+  list(runId) {
+    if (!this.meta(runId)) return [];
+
+    return fs.readdirSync(path.join(this.dir, runId))
+      .filter(name => NAME_PATTERN.test(name))
+      .sort()
+      .map(name => {
+        const stat = fs.statSync(path.join(this.dir, runId, name));
+        return {
+          name,
+          size: stat.size,
+          createdAt: stat.mtime.toISOString(),
+          url: `/api/artifacts/${runId}/${name}`
+        };
+      });
+  }
+
+  /**
+   * Caminho e content-type de um artefato, ou null se não existir
+   */
+  resolve(runId, name) {
+    if (!this.meta(runId) || !NAME_PATTERN.test(name)) return null;
+
+    const file = path.join(this.dir, runId, name);
+    if (!fs.existsSync(file)) return null;
+
+    return { file, contentType: CONTENT_TYPES[path.extname(name)] };
+  }
+
+  cleanup() {
+    if (!fs.existsSync(this.dir)) return;
+
+    const now = Date.now();
+    for (const runId of fs.readdirSync(this.dir)) {
+      const meta = this.meta(runId);
+      const createdAt = meta ? new Date(meta.createdAt).getTime() : fs.statSync(path.join(this.dir, runId)).mtimeMs;
+
+      if (now - createdAt > this.retentionMs) {
+        fs.rmSync(path.join(this.dir, runId), { recursive: true, force: true });
+        log.info(`Artefatos da execução ${runId} removidos após expiração`);
+      }
+    }
+  }
+}
+
+module.exports = { ArtifactStore, ArtifactRecorder };
@@ -0,0 +1,184 @@
+/**
+ * Autenticação dos chamadores do proxy
+ * 
+ * Suporta API keys estáticas (arquivo de configuração) e JWT verificado com segredo
+ * compartilhado (HS256/384/512) ou chave pública de um JWKS local (RS256, ES256...).
+ * Cada credencial pode ser restrita a rotas e, opcionalmente, a CNPJs de empregadores.
+ * 
+ * Configuração (AUTH_CONFIG_FILE, JSON):
+ * {
+ *   "apiKeys": [{ "id": "app", "keyHash": "<sha256 hex>", "routes": ["esocial"], "cnpjs": ["12345678"] }],
+ *   "jwt": { "secret": "...", "jwksFile": "./jwks.json", "issuer": "...", "audience": "..." }
+ * }
+ * keyHash é o SHA-256 hex da chave (validado na inicialização); JWTs precisam do claim sub.
+ * Sem configuração a autenticação fica desabilitada (compatibilidade).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { verifyJwt } = require('./jwt');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('Auth');
+
+class AuthError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function loadAuthConfig() {
+  const file = process.env.AUTH_CONFIG_FILE;
+  let config = {};
+
+  if (file) {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const jwt = { ...(config.jwt || {}) };
+  if (process.env.AUTH_JWT_SECRET) jwt.secret = process.env.AUTH_JWT_SECRET;
+  if (process.env.AUTH_JWKS_FILE) jwt.jwksFile = process.env.AUTH_JWKS_FILE;
+
+  if (jwt.jwksFile) {
+    const jwksPath = file ? path.resolve(path.dirname(file), jwt.jwksFile) : path.resolve(jwt.jwksFile);
+    jwt.jwks = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+  }
+
+  const apiKeys = (config.apiKeys || []).map((entry, index) => {
+    const where = `apiKeys[${index}]${entry.id ? ` (${entry.id})` : ''}`;
+    // Sem keyHash nem key a entrada viraria sha256("undefined"): a chave literal "undefined" seria aceita
+    if (!entry.keyHash && !(typeof entry.key === 'string' && entry.key.trim().length > 0)) {
+      throw new Error(`${where}: informe keyHash ou key`);
+    }
+    const keyHash = entry.keyHash ? String(entry.keyHash).toLowerCase() : sha256(entry.key);
+    // Hash fora do formato quebraria o timingSafeEqual em toda requisição: recusar na partida
+    if (!/^[0-9a-f]{64}$/.test(keyHash)) {
+      throw new Error(`${where}: keyHash deve ser o SHA-256 da chave em hexadecimal (64 caracteres)`);
+    }
+    return {
+      id: entry.id,
+      keyHash,
+      routes: entry.routes || ['*'],
+      cnpjs: (entry.cnpjs || []).map(digits)
+    };
+  });
+
+  return { apiKeys, jwt, enabled: apiKeys.length > 0 || !!jwt.secret || !!jwt.jwks };
+}
+
+class Authenticator {
+  constructor(config = loadAuthConfig()) {
+    this.config = config;
+    this.enabled = config.enabled;
+
+    if (this.enabled) {
+      log.info(`Autenticação habilitada: ${config.apiKeys.length} API keys, JWT ${config.jwt.secret || config.jwt.jwks ? 'habilitado' : 'desabilitado'}`);
+    } else {
+      log.warn('AVISO: autenticação desabilitada (defina AUTH_CONFIG_FILE ou AUTH_JWT_SECRET)');
+    }
+  }
+
+  /**
+   * Middleware: identifica o chamador e verifica se ele pode usar a rota
+   */
+  middleware(route) {
+    return (req, res, next) => {
+      try {
+        req.auth = this.authenticate(req);
+
+        if (!this.canAccessRoute(req.auth, route)) {
+          throw new AuthError(403, 'AUTH_FORBIDDEN', `Credencial sem permissão para a rota ${route}`);
+        }
+
+        next();
+      } catch (error) {
+        if (!(error instanceof AuthError)) {
+          error = new AuthError(401, 'AUTH_INVALID', error.message);
+        }
+        log.warn(`${req.method} ${req.path} negado: ${error.message}`);
+        res.status(error.status).json({ success: false, error: error.message, code: error.code });
+      }
+    };
+  }
+
+  authenticate(req) {
+    if (!this.enabled) {
+      return { type: 'anonymous', subject: null, routes: ['*'], cnpjs: [] };
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const apiKey = req.get('X-API-Key') || (authorization.startsWith('ApiKey ') ? authorization.substring(7) : null);
+
+    if (apiKey) {
+      const hash = sha256(apiKey.trim());
+      const entry = this.config.apiKeys.find(k =>
+        crypto.timingSafeEqual(Buffer.from(k.keyHash, 'hex'), Buffer.from(hash, 'hex')));
+      if (!entry) {
+        throw new AuthError(401, 'AUTH_INVALID', 'API key inválida');
+      }
+      return { type: 'apiKey', subject: entry.id, routes: entry.routes, cnpjs: entry.cnpjs };
+    }
+
+    if (authorization.startsWith('Bearer ')) {
+      const payload = verifyJwt(authorization.substring(7).trim(), this.config.jwt);
+      // sub identifica o dono de jobs, artefatos e certificados: sem ele não há como isolar chamadores
+      if (!payload.sub) {
+        throw new AuthError(401, 'AUTH_INVALID', 'JWT sem o claim sub');
+      }
+      const routes = payload.routes || (payload.scope ? String(payload.scope).split(' ') : ['*']);
+      return {
+        type: 'jwt',
+        subject: String(payload.sub),
+        routes,
+        cnpjs: (payload.cnpjs || []).map(digits)
+      };
+    }
+
+    throw new AuthError(401, 'AUTH_REQUIRED', 'Autenticação obrigatória: envie X-API-Key ou Authorization: Bearer <jwt>');
+  }
+
+  canAccessRoute(auth, route) {
+    return auth.routes.includes('*') || auth.routes.includes(route);
+  }
+}
+
+/**
+ * Credencial restrita a empregadores específicos?
+ */
+function hasCnpjRestriction(auth) {
+  return !!auth && auth.cnpjs.length > 0 && !auth.cnpjs.includes('*');
+}
+
+/**
+ * Compara pela raiz do CNPJ (8 dígitos); CPF (empregador pessoa física) pelo número completo
+ */
+function isCnpjAllowed(auth, documento) {
+  if (!hasCnpjRestriction(auth)) return true;
+
+  const doc = digits(documento);
+  if (!doc) return false;
+
+  return auth.cnpjs.some(allowed => (doc.length === 11 || allowed.length === 11)
+    ? allowed === doc
+    : allowed.substring(0, 8) === doc.substring(0, 8));
+}
+
+function assertCnpjAllowed(auth, documento) {
+  if (!isCnpjAllowed(auth, documento)) {
+    throw new AuthError(403, 'AUTH_CNPJ_FORBIDDEN', 'Credencial sem permissão para este empregador');
+  }
+}
+
+module.exports = { Authenticator, AuthError, hasCnpjRestriction, isCnpjAllowed, assertCnpjAllowed };
@@ -0,0 +1,137 @@
+/**
+ * CORS Policy
+ * 
+ * Allowlist de origens configurável (origens exatas + padrões regex) com dois modos:
+ * - report-only: permite tudo e apenas registra origens fora da lista (comportamento original)
+ * - enforce: rejeita com 403 requisições de origens fora da lista
+ * 
+ * Variáveis: CORS_MODE, CORS_ORIGINS (lista separada por vírgula), CORS_ORIGIN_PATTERNS (regex separadas por vírgula)
+ */
+
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('CORS');
+
+// Padrões usados antes da configuração existir (Lovable, Supabase e desenvolvimento local)
+const DEFAULT_PATTERNS = [
+  '\\.lovable\\.app$',
+  '\\.lovableproject\\.com$',
+  '\\.supabase\\.co$',
+  'localhost:\\d+$',
+  '127\\.0\\.0\\.1:\\d+$'
+];
+
+const MAX_REJECTIONS = 100;
+const MODES = ['enforce', 'report-only'];
+
+function splitList(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function loadCorsConfig() {
+  const mode = process.env.CORS_MODE || 'report-only';
+  if (!MODES.includes(mode)) {
+    throw new Error(`CORS_MODE inválido: ${mode}. Use: ${MODES.join(', ')}`);
+  }
+
+  const origins = splitList(process.env.CORS_ORIGINS);
+  const patternSources = process.env.CORS_ORIGIN_PATTERNS !== undefined
+    ? splitList(process.env.CORS_ORIGIN_PATTERNS)
+    : DEFAULT_PATTERNS;
+
+  const patterns = patternSources.map(source => {
+    try {
+      return new RegExp(source);
+    } catch (error) {
+      throw new Error(`CORS_ORIGIN_PATTERNS: regex inválida "${source}": ${error.message}`);
+    }
+  });
+
+  return { mode, origins, patterns };
+}
+
+class CorsPolicy {
+  constructor(config = loadCorsConfig()) {
+    this.mode = config.mode;
+    this.origins = new Set(config.origins);
+    this.patterns = config.patterns;
+    // origin -> { origin, count, firstSeen, lastSeen, enforced }
+    this.rejections = new Map();
+
+    log.info(`Modo ${this.mode}: ${this.origins.size} origens, ${this.patterns.length} padrões`);
+  }
+
+  isAllowed(origin) {
+    return this.origins.has(origin) || this.patterns.some(pattern => pattern.test(origin));
+  }
+
+  /**
+   * Middleware executado antes do cors(): registra e (em enforce) bloqueia origens desconhecidas
+   */
+  middleware() {
+    return (req, res, next) => {
+      const origin = req.get('Origin');
+
+      // Requisições sem Origin (server-to-server, curl, etc.) não passam por CORS
+      if (!origin || this.isAllowed(origin)) return next();
+
+      this.recordRejection(origin);
+
+      if (this.mode === 'enforce') {
+        log.warn(`Origin rejected: ${origin}`);
+        return res.status(403).json({
+          success: false,
+          error: `Origem não permitida: ${origin}`,
+          code: 'CORS_ORIGIN_REJECTED'
+        });
+      }
+
+      log.info(`Origin not in whitelist but allowing (report-only): ${origin}`);
+      next();
+    };
+  }
+
+  /**
+   * Callback de origem para o pacote cors (só chega aqui o que o middleware deixou passar)
+   */
+  originCallback() {
+    return (origin, callback) => callback(null, true);
+  }
+
+  recordRejection(origin) {
+    const now = new Date().toISOString();
+    const entry = this.rejections.get(origin);
+
+    if (entry) {
+      entry.count++;
+      entry.lastSeen = now;
+      entry.enforced = this.mode === 'enforce';
+      // Reinsere para manter a ordem por último acesso
+      this.rejections.delete(origin);
+      this.rejections.set(origin, entry);
+      return;
+    }
+
+    if (this.rejections.size >= MAX_REJECTIONS) {
+      this.rejections.delete(this.rejections.keys().next().value);
+    }
+    this.rejections.set(origin, { origin, count: 1, firstSeen: now, lastSeen: now, enforced: this.mode === 'enforce' });
+  }
+
+  /**
+   * Origens rejeitadas (ou que seriam rejeitadas em report-only), mais recentes primeiro
+   */
+  recentRejections() {
+    return Array.from(this.rejections.values()).reverse();
+  }
+
+  describe() {
+    return {
+      mode: this.mode,
+      origins: Array.from(this.origins),
+      patterns: this.patterns.map(p => p.source)
+    };
+  }
+}
+
+module.exports = { CorsPolicy };
@@ -0,0 +1,102 @@
+/**
+ * Verificação de JWT (HS256/384/512 com segredo, RS256/384/512 e ES256/384/512 com JWKS local)
+ * 
+ * Implementado com o módulo crypto do Node para não depender de bibliotecas externas.
+ */
+
+const crypto = require('crypto');
+
+const HMAC_ALGS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const RSA_ALGS = { RS256: 'sha256', RS384: 'sha384', RS512: 'sha512' };
+const EC_ALGS = { ES256: 'sha256', ES384: 'sha384', ES512: 'sha512' };
+
+// Tolerância de relógio para exp/nbf
+const CLOCK_SKEW_SEC = 30;
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifica assinatura e claims registradas. Retorna o payload ou lança erro.
+ * options: { secret, jwks: { keys: [...] }, issuer, audience }
+ */
+function verifyJwt(token, { secret, jwks, issuer, audience } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Token JWT malformado');
+  }
+
+  const [headerB64, payloadB64, signatureB64] = parts;
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(headerB64);
+    payload = decodeSegment(payloadB64);
+  } catch {
+    throw new Error('Token JWT malformado');
+  }
+
+  const signingInput = `${headerB64}.${payloadB64}`;
+  const signature = Buffer.from(signatureB64, 'base64url');
+  const alg = header.alg;
+
+  let valid;
+  if (HMAC_ALGS[alg]) {
+    if (!secret) throw new Error(`Algoritmo ${alg} não habilitado`);
+    const expected = crypto.createHmac(HMAC_ALGS[alg], secret).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (RSA_ALGS[alg] || EC_ALGS[alg]) {
+    const key = findJwk(jwks, header.kid, alg);
+    valid = crypto.verify(
+      RSA_ALGS[alg] || EC_ALGS[alg],
+      Buffer.from(signingInput),
+      // JWS usa assinatura ECDSA no formato r||s (IEEE P1363)
+      EC_ALGS[alg] ? { key, dsaEncoding: 'ieee-p1363' } : key,
+      signature
+    );
+  } else {
+    throw new Error(`Algoritmo JWT não suportado: ${alg}`);
+  }
+
+  if (!valid) {
+    throw new Error('Assinatura do token JWT inválida');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && now > payload.exp + CLOCK_SKEW_SEC) {
+    throw new Error('Token JWT expirado');
+  }
+  if (payload.nbf !== undefined && now + CLOCK_SKEW_SEC < payload.nbf) {
+    throw new Error('Token JWT ainda não é válido');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new Error('Emissor (iss) do token JWT não reconhecido');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new Error('Audiência (aud) do token JWT inválida');
+    }
+  }
+
+  return payload;
+}
+
+function findJwk(jwks, kid, alg) {
+  const keys = (jwks && jwks.keys) || [];
+  if (keys.length === 0) {
+    throw new Error(`Algoritmo ${alg} não habilitado (JWKS não configurado)`);
+  }
+
+  const jwk = kid
+    ? keys.find(k => k.kid === kid)
+    : keys.find(k => !k.alg || k.alg === alg);
+  if (!jwk) {
+    throw new Error('Chave do token JWT (kid) não encontrada no JWKS');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+module.exports = { verifyJwt };
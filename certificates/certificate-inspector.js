@@ -0,0 +1,181 @@
+/**
+ * Certificate Inspector
+ * 
+ * Extrai os dados de um certificado ICP-Brasil (PFX ou PEM) para diagnóstico
+ * antes de usá-lo no mTLS ou no Chrome: titular, emissor, validade, CNPJ/CPF
+ * dos OIDs de subjectAltName e correspondência da chave privada.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { readPfx, parseX509, checkKeyMatches, CertificateError } = require('./certificate-loader');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('Certificate');
+
+// OIDs de otherName do subjectAltName definidos pela ICP-Brasil
+const ICP_OIDS = {
+  PESSOA_FISICA: '2.16.76.1.3.1', // e-CPF: nascimento (8) + CPF (11) + NIS (11) + RG (15) + órgão/UF (6)
+  NOME_RESPONSAVEL: '2.16.76.1.3.2', // e-CNPJ: nome do responsável
+  CNPJ: '2.16.76.1.3.3', // e-CNPJ: CNPJ da empresa
+  RESPONSAVEL: '2.16.76.1.3.4' // e-CNPJ: nascimento (8) + CPF (11) do responsável + ...
+};
+
+const SUBJECT_ALT_NAME_OID = '2.5.29.17';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Inspeciona o certificado. Aceita { certificatePfx, password } ou { certificatePem, privateKeyPem? }.
+ * Certificados expirados não geram erro: a situação é informada no resultado.
+ */
+function inspectCertificate({ certificatePfx, password, certificatePem, privateKeyPem }) {
+  let material;
+  if (certificatePfx) {
+    material = readPfx(certificatePfx, password);
+  } else if (certificatePem) {
+    material = { certificatePem, privateKeyPem: privateKeyPem || null, chainPem: [] };
+  } else {
+    throw new CertificateError('CERT_MISSING', 'Envie certificatePfx + password ou certificatePem');
+  }
+
+  const x509 = parseX509(material.certificatePem);
+  const notBefore = new Date(x509.validFrom);
+  const notAfter = new Date(x509.validTo);
+  const now = Date.now();
+
+  const icp = parseIcpBrasilAltNames(x509.raw);
+  const chain = material.chainPem.map(pem => parseX509(pem));
+
+  return {
+    subject: formatName(x509.subject),
+    issuer: formatName(x509.issuer),
+    serialNumber: x509.serialNumber,
+    fingerprint256: x509.fingerprint256,
+    notBefore: notBefore.toISOString(),
+    notAfter: notAfter.toISOString(),
+    daysToExpiry: Math.floor((notAfter.getTime() - now) / DAY_MS),
+    expired: notAfter.getTime() < now,
+    notYetValid: notBefore.getTime() > now,
+    ...icp,
+    icpBrasil: /ICP-Brasil/i.test(x509.issuer),
+    cadeia: chain.map(c => ({ subject: formatName(c.subject), issuer: formatName(c.issuer), notAfter: new Date(c.validTo).toISOString() })),
+    cadeiaValida: verifyChain(x509, chain),
+    privateKey: inspectPrivateKey(x509, material.privateKeyPem)
+  };
+}
+
+/**
+ * Lê CNPJ/CPF dos otherName ICP-Brasil no subjectAltName
+ */
+function parseIcpBrasilAltNames(derBuffer) {
+  const result = { tipo: null, cnpj: null, cpf: null, nomeResponsavel: null };
+  const values = readOtherNames(derBuffer);
+
+  if (values[ICP_OIDS.CNPJ]) {
+    result.tipo = 'e-CNPJ';
+    result.cnpj = digits(values[ICP_OIDS.CNPJ]).substring(0, 14) || null;
+    if (values[ICP_OIDS.RESPONSAVEL]) {
+      result.cpf = digits(values[ICP_OIDS.RESPONSAVEL].substring(8, 19)) || null;
+    }
+    if (values[ICP_OIDS.NOME_RESPONSAVEL]) {
+      result.nomeResponsavel = values[ICP_OIDS.NOME_RESPONSAVEL].trim() || null;
+    }
+  } else if (values[ICP_OIDS.PESSOA_FISICA]) {
+    result.tipo = 'e-CPF';
+    result.cpf = digits(values[ICP_OIDS.PESSOA_FISICA].substring(8, 19)) || null;
+  }
+
+  return result;
+}
+
+// Retorna { oid: valor } para cada otherName do subjectAltName
+function readOtherNames(derBuffer) {
+  const values = {};
+
+  try {
+    const cert = forge.asn1.fromDer(forge.util.createBuffer(derBuffer.toString('binary')));
+    const tbs = cert.value[0];
+    const extensionsWrapper = tbs.value.find(el =>
+      el.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && el.type === 3);
+    if (!extensionsWrapper) return values;
+
+    for (const ext of extensionsWrapper.value[0].value) {
+      const oid = forge.asn1.derToOid(ext.value[0].value);
+      if (oid !== SUBJECT_ALT_NAME_OID) continue;
+
+      const extnValue = ext.value[ext.value.length - 1].value;
+      const generalNames = forge.asn1.fromDer(extnValue);
+
+      for (const name of generalNames.value) {
+        // otherName: [0] { type-id OID, [0] EXPLICIT value }
+        if (name.tagClass !== forge.asn1.Class.CONTEXT_SPECIFIC || name.type !== 0) continue;
+
+        const typeId = forge.asn1.derToOid(name.value[0].value);
+        let inner = name.value[1];
+        while (inner && Array.isArray(inner.value)) {
+          inner = inner.value[0];
+        }
+        if (inner && typeof inner.value === 'string') {
+          values[typeId] = forge.util.decodeUtf8(inner.value);
+        }
+      }
+    }
+  } catch (e) {
+    log.warn('Não foi possível ler subjectAltName:', e.message);
+  }
+
+  return values;
+}
+
+// Node separa os RDNs por quebra de linha
+function formatName(name) {
+  return String(name || '').split('\n').join(', ');
+}
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Verifica cada elo da cadeia enviada no PFX (certificado -> intermediárias -> raiz)
+ */
+function verifyChain(x509, chain) {
+  if (chain.length === 0) return null;
+
+  let current = x509;
+  const remaining = [...chain];
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(c => current.checkIssued(c) && current.verify(c.publicKey));
+    if (index < 0) return false;
+    current = remaining.splice(index, 1)[0];
+  }
+  return true;
+}
+
+function inspectPrivateKey(x509, privateKeyPem) {
+  if (!privateKeyPem) {
+    return { present: false, matches: null };
+  }
+
+  try {
+    checkKeyMatches(x509, privateKeyPem);
+    return { present: true, matches: true };
+  } catch (error) {
+    return { present: true, matches: false, error: error.message };
+  }
+}
+
+/**
+ * Compara o documento do certificado com o nrInsc esperado (raiz do CNPJ ou CPF)
+ */
+function matchesInscricao(info, nrInsc) {
+  const expected = digits(nrInsc);
+  if (!expected) return null;
+
+  if (expected.length === 11) {
+    return info.cpf === expected;
+  }
+  return !!info.cnpj && info.cnpj.substring(0, 8) === expected.substring(0, 8);
+}
+
+module.exports = { inspectCertificate, matchesInscricao, ICP_OIDS };
@@ -0,0 +1,131 @@
+/**
+ * Certificate Loader
+ * 
+ * Camada única de carga de certificados para todas as rotas.
+ * Converte o material recebido (PEM ou PFX base64 + senha) em chave privada e certificado PEM,
+ * validando senha, presença da chave privada, correspondência chave/certificado e validade.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+/**
+ * Erro de certificado com código estável (ex: CERT_PASSWORD_INVALID)
+ */
+class CertificateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CertificateError';
+    this.code = code;
+  }
+}
+
+/**
+ * Aceita { privateKeyPem, certificatePem } ou { certificatePfx, password }.
+ * Retorna { privateKeyPem, certificatePem, chainPem: [], subject, notBefore, notAfter }
+ */
+function loadCertificate({ privateKeyPem, certificatePem, certificatePfx, password }, { checkValidity = true } = {}) {
+  let material;
+
+  if (certificatePfx) {
+    material = readPfx(certificatePfx, password);
+    if (!material.privateKeyPem) {
+      throw new CertificateError('CERT_NO_PRIVATE_KEY', 'O arquivo PFX não contém a chave privada do certificado');
+    }
+  } else if (privateKeyPem && certificatePem) {
+    material = { privateKeyPem, certificatePem, chainPem: [] };
+  } else {
+    throw new CertificateError('CERT_MISSING', 'Certificado digital é obrigatório: envie privateKeyPem + certificatePem ou certificatePfx + password');
+  }
+
+  const x509 = parseX509(material.certificatePem);
+  checkKeyMatches(x509, material.privateKeyPem);
+
+  const notBefore = new Date(x509.validFrom);
+  const notAfter = new Date(x509.validTo);
+
+  if (checkValidity) {
+    const now = new Date();
+    if (notAfter < now) {
+      throw new CertificateError('CERT_EXPIRED', `Certificado digital expirado em ${notAfter.toISOString().substring(0, 10)}`);
+    }
+    if (notBefore > now) {
+      throw new CertificateError('CERT_NOT_YET_VALID', `Certificado digital válido somente a partir de ${notBefore.toISOString().substring(0, 10)}`);
+    }
+  }
+
+  return {
+    ...material,
+    subject: x509.subject,
+    notBefore,
+    notAfter
+  };
+}
+
+/**
+ * Abre o PFX e separa chave privada (ou null), certificado do titular e cadeia
+ */
+function readPfx(certificatePfx, password) {
+  let p12;
+  try {
+    const der = Buffer.from(certificatePfx, 'base64').toString('binary');
+    const asn1 = forge.asn1.fromDer(der);
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1, false, password || '');
+  } catch (error) {
+    if (/MAC could not be verified|Invalid password/i.test(error.message)) {
+      throw new CertificateError('CERT_PASSWORD_INVALID', 'Senha do certificado digital incorreta');
+    }
+    throw new CertificateError('CERT_INVALID', `Arquivo PFX inválido ou corrompido: ${error.message}`);
+  }
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ];
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+  const keyBag = keyBags.find(bag => bag.key);
+  const key = keyBag ? keyBag.key : null;
+
+  // Certificado do titular é o que corresponde à chave privada; os demais formam a cadeia
+  const ownBag = (key && certBags.find(bag => bag.cert && bag.cert.publicKey.n &&
+    bag.cert.publicKey.n.equals(key.n))) || certBags[0];
+
+  if (!ownBag || !ownBag.cert) {
+    throw new CertificateError('CERT_INVALID', 'O arquivo PFX não contém certificado');
+  }
+
+  return {
+    privateKeyPem: key ? forge.pki.privateKeyToPem(key) : null,
+    certificatePem: forge.pki.certificateToPem(ownBag.cert),
+    chainPem: certBags
+      .filter(bag => bag !== ownBag && bag.cert)
+      .map(bag => forge.pki.certificateToPem(bag.cert))
+  };
+}
+
+function parseX509(certificatePem) {
+  try {
+    return new crypto.X509Certificate(certificatePem);
+  } catch (error) {
+    throw new CertificateError('CERT_INVALID', `Certificado PEM inválido: ${error.message}`);
+  }
+}
+
+/**
+ * Lança CertificateError se a chave privada for inválida ou não corresponder ao certificado
+ */
+function checkKeyMatches(x509, privateKeyPem) {
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(privateKeyPem);
+  } catch (error) {
+    throw new CertificateError('CERT_NO_PRIVATE_KEY', `Chave privada inválida: ${error.message}`);
+  }
+
+  if (!x509.checkPrivateKey(privateKey)) {
+    throw new CertificateError('CERT_KEY_MISMATCH', 'A chave privada não corresponde ao certificado');
+  }
+}
+
+module.exports = { loadCertificate, readPfx, parseX509, checkKeyMatches, CertificateError };
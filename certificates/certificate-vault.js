@@ -0,0 +1,219 @@
+/**
+ * Certificate Vault
+ * 
+ * Cofre de certificados no servidor: o PFX e a senha são cadastrados uma vez
+ * e as rotas passam a receber apenas o certificateId.
+ * 
+ * Cada certificado é gravado em um arquivo JSON cifrado com AES-256-GCM.
+ * A chave vem de CERT_VAULT_KEY (64 caracteres hex ou uma frase derivada com scrypt).
+ * O registro guarda a credencial que o cadastrou (owner), conferida pelas rotas a cada uso.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+const { loadCertificate, CertificateError } = require('./certificate-loader');
+const { inspectCertificate } = require('./certificate-inspector');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('Vault');
+
+const CERT_VAULT_DIR = process.env.CERT_VAULT_DIR || path.join(__dirname, '..', 'data', 'certificates');
+const ALGORITHM = 'aes-256-gcm';
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function deriveKey(secret) {
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.scryptSync(secret, 'esocial-proxy-cert-vault', 32);
+}
+
+class CertificateVault {
+  constructor({ dir = CERT_VAULT_DIR, key = process.env.CERT_VAULT_KEY } = {}) {
+    this.dir = dir;
+    this.key = key ? deriveKey(key) : null;
+  }
+
+  isConfigured() {
+    return !!this.key;
+  }
+
+  /**
+   * Cadastra o certificado (PFX + senha ou PEM) para a credencial `owner`. Retorna os metadados com o id.
+   */
+  save(input, { label = null, owner = null } = {}) {
+    const id = crypto.randomUUID();
+    const record = this.buildRecord(id, input, { label, owner, createdAt: new Date().toISOString() });
+    this.write(record);
+    log.info(`Certificado ${id} cadastrado`);
+    return this.toMetadata(record);
+  }
+
+  /**
+   * Substitui o certificado mantendo o mesmo id (renovação do A1)
+   */
+  rotate(id, input, { label } = {}) {
+    const current = this.read(id);
+    if (!current) return null;
+
+    const record = this.buildRecord(id, input, {
+      label: label !== undefined ? label : current.label,
+      owner: current.owner,
+      createdAt: current.createdAt
+    });
+    this.write(record);
+    log.info(`Certificado ${id} substituído`);
+    return this.toMetadata(record);
+  }
+
+  /**
+   * Material decifrado: { certificatePfx, password }
+   */
+  get(id) {
+    const record = this.read(id);
+    if (!record) {
+      throw new CertificateError('CERT_NOT_FOUND', `Certificado ${id} não encontrado no cofre`);
+    }
+    return this.decrypt(record);
+  }
+
+  /**
+   * Metadados do certificado (sem material sensível) ou null
+   */
+  describe(id) {
+    const record = this.read(id);
+    return record ? this.toMetadata(record) : null;
+  }
+
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => this.read(path.basename(f, '.json')))
+      .filter(Boolean)
+      .map(record => this.toMetadata(record));
+  }
+
+  remove(id) {
+    const file = this.filePath(id);
+    if (!file || !fs.existsSync(file)) return false;
+
+    fs.unlinkSync(file);
+    log.info(`Certificado ${id} removido`);
+    return true;
+  }
+
+  buildRecord(id, input, { label, owner = null, createdAt }) {
+    // Validar antes de gravar (senha, chave privada, validade)
+    const certificate = loadCertificate(input);
+    const info = inspectCertificate({ certificatePem: certificate.certificatePem });
+
+    // Sempre guardar como PFX: o scraping precisa do arquivo para o NSS do Chrome
+    const material = input.certificatePfx
+      ? { certificatePfx: input.certificatePfx, password: input.password || '' }
+      : buildPfx(certificate);
+
+    return {
+      id,
+      label,
+      owner,
+      createdAt,
+      updatedAt: new Date().toISOString(),
+      metadata: {
+        subject: info.subject,
+        tipo: info.tipo,
+        cnpj: info.cnpj,
+        cpf: info.cpf,
+        notAfter: info.notAfter,
+        fingerprint256: info.fingerprint256
+      },
+      ...this.encrypt(material)
+    };
+  }
+
+  encrypt(material) {
+    this.assertConfigured();
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(material), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(record) {
+    this.assertConfigured();
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(record.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(record.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new CertificateError('CERT_VAULT_KEY_INVALID', `Não foi possível decifrar o certificado ${record.id} (CERT_VAULT_KEY incorreta?)`);
+    }
+  }
+
+  read(id) {
+    const file = this.filePath(id);
+    if (!file || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  write(record) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.filePath(record.id), JSON.stringify(record, null, 2), { mode: 0o600 });
+  }
+
+  filePath(id) {
+    // Evitar path traversal: apenas UUIDs
+    if (!ID_PATTERN.test(String(id))) return null;
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  toMetadata(record) {
+    return {
+      id: record.id,
+      label: record.label,
+      // Registros anteriores ao owner não pertencem a nenhuma credencial
+      owner: record.owner === undefined ? null : record.owner,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      ...record.metadata
+    };
+  }
+
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new CertificateError('CERT_VAULT_DISABLED', 'Cofre de certificados não configurado (defina CERT_VAULT_KEY)');
+    }
+  }
+}
+
+/**
+ * Gera PFX com senha aleatória a partir de chave + certificado PEM
+ */
+function buildPfx({ privateKeyPem, certificatePem, chainPem }) {
+  const password = crypto.randomBytes(24).toString('base64');
+  const key = forge.pki.privateKeyFromPem(privateKeyPem);
+  const certs = [certificatePem, ...chainPem].map(pem => forge.pki.certificateFromPem(pem));
+  const asn1 = forge.pkcs12.toPkcs12Asn1(key, certs, password, { algorithm: '3des' });
+  const der = forge.asn1.toDer(asn1).getBytes();
+
+  return {
+    certificatePfx: Buffer.from(der, 'binary').toString('base64'),
+    password
+  };
+}
+
+module.exports = { CertificateVault };
@@ -0,0 +1,124 @@
+/**
+ * Catálogo de códigos de erro do proxy
+ *
+ * Todo erro devolvido pela API traz `code` estável (para o cliente decidir o que mostrar
+ * sem comparar mensagens), o status HTTP do catálogo e, quando houver, `details`.
+ * Os mesmos códigos aparecem em cada item com falha das consultas IRRF.
+ * As classes de erro existentes (AuthError, CertificateError, QueueError, ProfileError)
+ * já carregam `code`; ProxyError cobre os demais casos.
+ */
+
+const ERROR_CATALOG = {
+  // Requisição
+  VALIDATION_ERROR: { status: 400, description: 'Parâmetros da requisição inválidos' },
+  PAYLOAD_TOO_LARGE: { status: 413, description: 'Corpo da requisição acima do limite' },
+  AUTH_REQUIRED: { status: 401, description: 'Autenticação obrigatória' },
+  AUTH_INVALID: { status: 401, description: 'Credencial inválida ou expirada' },
+  AUTH_FORBIDDEN: { status: 403, description: 'Credencial sem permissão para a rota' },
+  AUTH_CNPJ_FORBIDDEN: { status: 403, description: 'Credencial sem permissão para o empregador' },
+  CORS_ORIGIN_REJECTED: { status: 403, description: 'Origem não permitida pelo CORS' },
+  RATE_LIMITED: { status: 429, description: 'Limite de requisições excedido' },
+  RATE_LIMIT_COST_EXCEEDED: { status: 429, description: 'Requisição maior que a capacidade do limite' },
+  JOB_NOT_FOUND: { status: 404, description: 'Job não encontrado' },
+  ARTIFACT_NOT_FOUND: { status: 404, description: 'Artefato de depuração não encontrado' },
+  SIGNATURE_FAILED: { status: 400, description: 'Evento não pôde ser assinado' },
+
+  // Certificado digital
+  CERT_MISSING: { status: 400, description: 'Certificado digital não enviado' },
+  CERT_INVALID: { status: 400, description: 'Arquivo do certificado inválido ou corrompido' },
+  CERT_PASSWORD_INVALID: { status: 400, description: 'Senha do certificado incorreta' },
+  CERT_NO_PRIVATE_KEY: { status: 400, description: 'Certificado sem chave privada' },
+  CERT_KEY_MISMATCH: { status: 400, description: 'Chave privada não corresponde ao certificado' },
+  CERT_EXPIRED: { status: 400, description: 'Certificado digital expirado' },
+  CERT_NOT_YET_VALID: { status: 400, description: 'Certificado digital ainda não é válido' },
+  CERT_NOT_FOUND: { status: 404, description: 'Certificado não encontrado no cofre' },
+  CERT_VAULT_DISABLED: { status: 503, description: 'Cofre de certificados não configurado' },
+  CERT_VAULT_KEY_INVALID: { status: 500, description: 'Certificado do cofre não pôde ser decifrado (CERT_VAULT_KEY)' },
+
+  // Navegadores e perfis do portal
+  QUEUE_FULL: { status: 503, description: 'Todos os navegadores ocupados e fila cheia' },
+  QUEUE_TIMEOUT: { status: 503, description: 'Tempo máximo de espera na fila excedido' },
+  QUEUE_CANCELLED: { status: 503, description: 'Espera na fila cancelada' },
+  PROFILE_NOT_FOUND: { status: 400, description: 'Versão de perfil do portal inexistente' },
+  PROFILE_INVALID: { status: 422, description: 'Perfil do portal inválido' },
+  BROWSER_SETUP_FAILED: { status: 500, description: 'Falha ao preparar o navegador (NSS/Chrome)' },
+  BROWSER_CRASHED: { status: 500, description: 'Navegador fechado durante a consulta' },
+
+  // Portal eSocial (login SSO e consultas)
+  SSO_LINK_NOT_FOUND: { status: 502, description: 'Link de login gov.br não encontrado na página do eSocial' },
+  SSO_REDIRECT_FAILED: { status: 502, description: 'Login não chegou ao SSO gov.br' },
+  LOGIN_FAILED: { status: 502, description: 'Login por certificado não concluído (ainda na página de login)' },
+  LOGIN_TIMEOUT: { status: 504, description: 'Login por certificado não concluído no prazo' },
+  PORTAL_LAYOUT_CHANGED: { status: 502, description: 'Elementos esperados não encontrados no portal (layout alterado)' },
+  PORTAL_TIMEOUT: { status: 504, description: 'Portal não respondeu no prazo' },
+  PORTAL_UNAVAILABLE: { status: 502, description: 'Falha de rede ao acessar o portal' },
+  PORTAL_ERROR: { status: 422, description: 'Portal recusou a consulta' },
+  NO_DATA: { status: 404, description: 'Sem informações para o CPF no período' },
+  SCRAPER_ERROR: { status: 500, description: 'Falha inesperada na automação do portal' },
+
+  // Web services SOAP
+  ESOCIAL_HTTP_ERROR: { status: 502, description: 'eSocial respondeu com status HTTP de erro' },
+  SOAP_FAULT: { status: 502, description: 'eSocial respondeu com SOAP Fault' },
+  ESOCIAL_TIMEOUT: { status: 504, description: 'eSocial não respondeu no prazo' },
+  ESOCIAL_UNAVAILABLE: { status: 503, description: 'Falha de conexão com o eSocial' },
+  ESOCIAL_TLS_ERROR: { status: 502, description: 'Handshake TLS recusado (certificado cliente não aceito)' },
+
+  INTERNAL_ERROR: { status: 500, description: 'Erro interno do proxy' }
+};
+
+class ProxyError extends Error {
+  constructor(code, message, details) {
+    super(message || (ERROR_CATALOG[code] && ERROR_CATALOG[code].description) || code);
+    this.name = 'ProxyError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Código do catálogo para qualquer erro (INTERNAL_ERROR quando desconhecido)
+ */
+function errorCode(error) {
+  if (error && ERROR_CATALOG[error.code]) return error.code;
+  if (error && error.soapFault) return 'SOAP_FAULT';
+  // Corpo rejeitado pelo express.json (JSON malformado ou grande demais)
+  if (error && error.type === 'entity.parse.failed') return 'VALIDATION_ERROR';
+  if (error && error.type === 'entity.too.large') return 'PAYLOAD_TOO_LARGE';
+  return 'INTERNAL_ERROR';
+}
+
+/**
+ * Código para falhas da automação do portal: exceções do puppeteer viram
+ * PORTAL_TIMEOUT, PORTAL_UNAVAILABLE ou BROWSER_CRASHED
+ */
+function scrapingErrorCode(error) {
+  if (error && ERROR_CATALOG[error.code]) return error.code;
+  if (error && error.name === 'TimeoutError') return 'PORTAL_TIMEOUT';
+
+  const message = String(error && error.message || '');
+  if (/net::ERR_|ERR_CONNECTION|ERR_TIMED_OUT/.test(message)) return 'PORTAL_UNAVAILABLE';
+  if (/Target closed|Session closed|detached Frame|Connection closed/i.test(message)) return 'BROWSER_CRASHED';
+  return 'SCRAPER_ERROR';
+}
+
+function errorStatus(error) {
+  // AuthError define o próprio status (mesmo valor do catálogo)
+  if (error && error.name === 'AuthError' && error.status) return error.status;
+  return ERROR_CATALOG[errorCode(error)].status;
+}
+
+/**
+ * Corpo padrão de erro: { success: false, error, code, details? }
+ */
+function errorBody(error) {
+  // SOAP Fault em resposta 200 (parseSoapBody) não passa por ProxyError
+  const details = error.details !== undefined ? error.details : error.soapFault && { soapFault: error.soapFault };
+  return {
+    success: false,
+    error: error.message,
+    code: errorCode(error),
+    ...(details !== undefined && details !== null && { details })
+  };
+}
+
+module.exports = { ERROR_CATALOG, ProxyError, errorCode, scrapingErrorCode, errorStatus, errorBody };
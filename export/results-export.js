@@ -0,0 +1,166 @@
+/**
+ * Exportação dos resultados das consultas no portal em CSV e XLSX
+ *
+ * Uma linha por tipo × CPF × período × código (tpInfoIR no S-5002, tpValor/tpCR/tpDps nos demais
+ * totalizadores) com o valor, o status e a mensagem de erro. Itens sem valores (falha, sem dados)
+ * geram uma linha só. O XLSX traz ainda a aba Resumo com o mesmo `summary` da resposta JSON.
+ */
+
+const { buildXlsx } = require('./xlsx');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const COLUMNS = [
+  { key: 'tipo', label: 'Tipo' },
+  { key: 'cpf', label: 'CPF' },
+  { key: 'periodo', label: 'Período' },
+  { key: 'status', label: 'Status' },
+  { key: 'code', label: 'Código do erro' },
+  { key: 'grupo', label: 'Grupo' },
+  { key: 'codigo', label: 'Código' },
+  { key: 'descricao', label: 'Descrição' },
+  { key: 'valor', label: 'Valor' },
+  { key: 'erro', label: 'Mensagem' }
+];
+
+// Totais por código dos totalizadores genéricos (parsers/totalizadores.js), na ordem das colunas
+const TOTALIZADOR_GROUPS = ['basesPorTipo', 'contribuicoesPorCR', 'depositosPorTipo'];
+
+// Mesmo critério do outcome das métricas: ok, no_data ou error
+function itemStatus(result) {
+  if (result.success) return 'ok';
+  return result.error ? 'error' : 'no_data';
+}
+
+// Valores por código do S-5002 (totaisPorTipo, com a descrição do primeiro rendimento do código)
+function irrfValues(irrf) {
+  const descricoes = {};
+  for (const dm of irrf.demonstrativos || []) {
+    for (const rend of dm.rendimentos || []) {
+      if (rend.tpInfoIR && rend.descricao && !descricoes[rend.tpInfoIR]) {
+        descricoes[rend.tpInfoIR] = rend.descricao;
+      }
+    }
+  }
+  return Object.entries(irrf.totaisPorTipo || {}).map(([codigo, valor]) => ({
+    grupo: 'totaisPorTipo',
+    codigo,
+    descricao: descricoes[codigo] || null,
+    valor
+  }));
+}
+
+// Valores dos demais totalizadores: totais por código (XML) ou valores lidos da tela
+function totalizadorValues(totalizador) {
+  if (Array.isArray(totalizador.valores)) {
+    return totalizador.valores.map(v => ({ grupo: 'valores', ...v }));
+  }
+  return TOTALIZADOR_GROUPS.flatMap(grupo => Object.entries(totalizador[grupo] || {}).map(([codigo, valor]) => ({
+    grupo,
+    codigo,
+    descricao: null,
+    valor
+  })));
+}
+
+/**
+ * Achata os resultados em linhas { tipo, cpf, periodo, status, code, grupo, codigo, descricao, valor, erro }
+ */
+function resultRows(results) {
+  const rows = [];
+
+  for (const result of results) {
+    if (!result) continue;
+
+    const base = {
+      tipo: result.tipo || (result.irrf ? 'S-5002' : null),
+      cpf: result.cpf || null,
+      periodo: result.periodo || null,
+      status: itemStatus(result),
+      code: result.code || null,
+      erro: result.error || result.message || result.parseError || null
+    };
+
+    let values = [];
+    if (result.success && result.irrf) values = irrfValues(result.irrf);
+    else if (result.success && result.totalizador) values = totalizadorValues(result.totalizador);
+
+    if (values.length === 0) {
+      rows.push({ ...base, grupo: null, codigo: null, descricao: null, valor: null });
+    } else {
+      values.forEach(value => rows.push({ ...base, ...value }));
+    }
+  }
+
+  return rows;
+}
+
+// Textos iniciados por =, +, -, @ (ou tab/CR) viram fórmula no Excel: prefixar com ' (números vêm formatados à parte)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// CPF formatado (XXX.XXX.XXX-XX): com pontuação o Excel mantém o texto e os zeros à esquerda
+function formatCpf(cpf) {
+  const digits = String(cpf).replace(/\D/g, '');
+  return digits.length === 11 ? digits.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4') : String(cpf);
+}
+
+/**
+ * CSV no padrão das planilhas pt-BR: separador ";", vírgula decimal, CPF formatado e BOM para o Excel
+ * reconhecer UTF-8. Só as linhas de resultado: o resumo fica na aba Resumo do XLSX e no JSON.
+ */
+function toCsv(results) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    let textValue = typeof value === 'number' ? value.toFixed(2).replace('.', ',') : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(textValue)) {
+      textValue = `'${textValue}`;
+    }
+    return /[;"\r\n]/.test(textValue) ? `"${textValue.replace(/"/g, '""')}"` : textValue;
+  };
+
+  const lines = [
+    COLUMNS.map(c => c.label).join(';'),
+    ...resultRows(results).map(row => COLUMNS.map(c => cell(c.key === 'cpf' && row.cpf ? formatCpf(row.cpf) : row[c.key])).join(';'))
+  ];
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * XLSX com as abas Resultados (linhas achatadas) e Resumo (total, successful, failed)
+ */
+function toXlsx(results, summary) {
+  return buildXlsx([
+    {
+      name: 'Resultados',
+      rows: [
+        COLUMNS.map(c => c.label),
+        ...resultRows(results).map(row => COLUMNS.map(c => row[c.key]))
+      ],
+      decimalColumns: [COLUMNS.findIndex(c => c.key === 'valor')]
+    },
+    {
+      name: 'Resumo',
+      rows: [['Campo', 'Valor'], ...Object.entries(summary)]
+    }
+  ]);
+}
+
+/**
+ * Arquivo de exportação para a resposta HTTP: { contentType, filename, body }
+ */
+function exportResults(format, { results, summary, name }) {
+  if (format === 'csv') {
+    return { contentType: CONTENT_TYPES.csv, filename: `${name}.csv`, body: toCsv(results) };
+  }
+  if (format === 'xlsx') {
+    return { contentType: CONTENT_TYPES.xlsx, filename: `${name}.xlsx`, body: toXlsx(results, summary) };
+  }
+  throw new Error(`Formato de exportação não suportado: ${format}`);
+}
+
+module.exports = { exportResults, resultRows, EXPORT_FORMATS };
@@ -7,255 +7,753 @@
  * Deploy: Render.com, Railway.app, DigitalOcean, Fly.io, ou qualquer servidor com Node.js
  */
 
+const { createLogger, requestContext, maskDocument } = require('./logging/logger');
+
+const log = createLogger('eSocial Proxy');
+const irrfLog = createLogger('eSocial IRRF');
+const vaultLog = createLogger('Vault');
+const certificateLog = createLogger('Certificate');
+const signLog = createLogger('eSocial Sign');
+
 // ========== VERSÃO DO PROXY ==========
 const PROXY_VERSION = 'v2.1.0-sso-fix-2024-12-31';
-console.log(`[eSocial Proxy] ========================================`);
-console.log(`[eSocial Proxy] VERSÃO: ${PROXY_VERSION}`);
-console.log(`[eSocial Proxy] Build: ${new Date().toISOString()}`);
-console.log(`[eSocial Proxy] ========================================`);
+log.info(`VERSÃO: ${PROXY_VERSION}`, { build: new Date().toISOString() });
 
 const express = require('express');
 const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
 const cors = require('cors');
-const { ESocialIRRFScraper } = require('./scraper/irrf-scraper');
+const { SessionPool } = require('./scraper/session-pool');
+const { QueueError } = require('./scraper/scraper-queue');
+const { PortalProfiles } = require('./scraper/portal-profiles');
+const { parseDownloadResponse } = require('./parsers/download-response');
+const { parseRetornoLote } = require('./parsers/retorno-lote');
+const { parseRetornoEnvio } = require('./parsers/retorno-envio');
+const { identifyEvent } = require('./parsers/eventos');
+const { parseSoapBody } = require('./parsers/soap');
+const { loadCertificate, CertificateError } = require('./certificates/certificate-loader');
+const { signEventXml } = require('./signature/xml-signer');
+const { inspectCertificate, matchesInscricao } = require('./certificates/certificate-inspector');
+const { CertificateVault } = require('./certificates/certificate-vault');
+const { Authenticator, hasCnpjRestriction, isCnpjAllowed, assertCnpjAllowed } = require('./auth/authenticator');
+const { CorsPolicy } = require('./auth/cors-policy');
+const { JobManager } = require('./jobs/job-manager');
+const { RateLimiter } = require('./ratelimit/rate-limiter');
+const metrics = require('./metrics/metrics');
+const { ArtifactStore } = require('./artifacts/artifact-store');
+const { loadRetryPolicy, withRetry } = require('./retry/retry');
+const { classifySoapError } = require('./retry/error-classifier');
+const { ERROR_CATALOG, ProxyError, errorStatus, errorBody } = require('./errors/error-catalog');
+const { validateScrapingRequest, validateEsocialRequest, validationError } = require('./validation/request-validation');
+const { listTotalizadores } = require('./scraper/totalizadores');
+const { exportResults, EXPORT_FORMATS } = require('./export/results-export');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const jobManager = new JobManager();
+const sessionPool = new SessionPool();
+const certificateVault = new CertificateVault();
+const artifactStore = new ArtifactStore();
+const portalProfiles = loadPortalProfiles();
+const authenticator = loadAuthenticator();
+const authenticate = (route) => authenticator.middleware(route);
+const corsPolicy = new CorsPolicy();
+const rateLimiter = new RateLimiter();
+metrics.observeSessionPool(sessionPool);
 
-// CORS - permitir chamadas do Lovable (tanto edge functions quanto browser direto)
-const allowedOrigins = [
-  /\.lovable\.app$/,
-  /\.lovableproject\.com$/,
-  /\.supabase\.co$/,
-  /localhost:\d+$/,
-  /127\.0\.0\.1:\d+$/
-];
-
+// CORS - allowlist configurável (CORS_ORIGINS / CORS_ORIGIN_PATTERNS), modo enforce ou report-only
+// Correlação: X-Request-Id nos logs e na resposta
+app.use(requestContext());
+app.use(metrics.httpMetrics());
+app.use(corsPolicy.middleware());
 app.use(cors({
-  origin: (origin, callback) => {
-    // Allow requests with no origin (server-to-server, curl, etc.)
-    if (!origin) return callback(null, true);
-    const isAllowed = allowedOrigins.some(pattern => 
-      pattern instanceof RegExp ? pattern.test(origin) : origin === pattern
-    );
-    // If not in whitelist, still allow but log it (for debugging browser direct calls)
-    if (!isAllowed) {
-      console.log(`[CORS] Origin not in whitelist but allowing: ${origin}`);
-    }
-    callback(null, true); // Allow all origins for now (proxy is public anyway)
-  },
+  origin: corsPolicy.originCallback(),
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Content-Disposition', 'X-Job-Status', 'X-Partial-Results']
 }));
 
 app.use(express.json({ limit: '10mb' }));
 
-// Rate limiting simples
-const requestCounts = new Map();
-const RATE_LIMIT = 100; // requests por minuto
-const RATE_WINDOW = 60000; // 1 minuto
-
-function rateLimit(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  const windowStart = now - RATE_WINDOW;
-  
-  if (!requestCounts.has(ip)) {
-    requestCounts.set(ip, []);
-  }
-  
-  const requests = requestCounts.get(ip).filter(time => time > windowStart);
-  
-  if (requests.length >= RATE_LIMIT) {
-    return res.status(429).json({ 
-      success: false, 
-      error: 'Rate limit exceeded. Tente novamente em 1 minuto.' 
-    });
-  }
-  
-  requests.push(now);
-  requestCounts.set(ip, requests);
-  next();
-}
+// Rate limiting por token bucket: orçamentos separados para mTLS, scraping e demais rotas
+const rateLimit = rateLimiter.middleware('default');
+const mtlsRateLimit = rateLimiter.middleware('mtls', { cnpj: (req) => req.body && req.body.nrInsc });
+const scrapingRateLimit = rateLimiter.middleware('scraping', {
+  cost: (req) => scrapingCost(req.body),
+  cnpj: (req) => vaultCertificateCnpj(req)
+});
 
 // URLs do eSocial
 const ESOCIAL_URLS = {
   'producao': {
     hostname: 'webservices.esocial.gov.br',
+    envio: '/servicos/empregador/enviarloteeventos/WsEnviarLoteEventos.svc',
     consulta: '/servicos/empregador/consultarloteeventos/WsConsultarLoteEventos.svc',
     download: '/servicos/empregador/download/WsDownload.svc'
   },
   'producao-restrita': {
     hostname: 'webservices.producaorestrita.esocial.gov.br',
+    envio: '/servicos/empregador/enviarloteeventos/WsEnviarLoteEventos.svc',
     consulta: '/servicos/empregador/consultarloteeventos/WsConsultarLoteEventos.svc',
     download: '/servicos/empregador/download/WsDownload.svc'
   }
 };
 
+// Homologação/testes: ESOCIAL_WS_URL aponta os dois ambientes para outro host (ex: mock local)
+// e ESOCIAL_WS_CA_FILE define a CA confiável para o certificado desse servidor
+const ESOCIAL_WS_OVERRIDE = process.env.ESOCIAL_WS_URL ? new URL(process.env.ESOCIAL_WS_URL) : null;
+const ESOCIAL_WS_CA = process.env.ESOCIAL_WS_CA_FILE ? fs.readFileSync(process.env.ESOCIAL_WS_CA_FILE) : undefined;
+
+if (ESOCIAL_WS_OVERRIDE) {
+  log.warn(`AVISO: web services do eSocial redirecionados para ${ESOCIAL_WS_OVERRIDE.host}`);
+}
+
+// Ação da API -> serviço do eSocial (chave em ESOCIAL_URLS + SOAPAction)
+const ESOCIAL_ACTIONS = {
+  'enviar': {
+    service: 'envio',
+    soapAction: 'http://www.esocial.gov.br/servicos/empregador/lote/eventos/envio/v1_1_0/ServicoEnviarLoteEventos/EnviarLoteEventos'
+  },
+  'consultar': {
+    service: 'consulta',
+    soapAction: 'http://www.esocial.gov.br/servicos/empregador/consulta/retornoProcessamento/v1_0_0/ServicoConsultarLoteEventos/ConsultarLoteEventos'
+  },
+  'download': {
+    service: 'download',
+    soapAction: 'http://www.esocial.gov.br/servicos/empregador/download/v1_0_0/ServicoDownload/Download'
+  }
+};
+
+// Limite do eSocial de eventos por lote
+const MAX_EVENTOS_LOTE = 50;
+
+// Novas tentativas nas chamadas SOAP (SOAP_RETRY_MAX_ATTEMPTS, _BASE_DELAY_MS, _MAX_DELAY_MS)
+const SOAP_RETRY = loadRetryPolicy('SOAP', { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10000 });
+
+// Envio de lote não é idempotente: só repetir quando o eSocial certamente não recebeu o lote
+const ENVIO_SAFE_RETRY_REASONS = new Set(['econnrefused', 'eai_again', 'enetunreach', 'ehostunreach', 'http_429', 'http_503']);
+
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), sessionPool: sessionPool.stats() });
+});
+
+// Catálogo de códigos de erro (code → status HTTP e descrição)
+app.get('/api/errors', (req, res) => {
+  res.json({
+    success: true,
+    errors: Object.entries(ERROR_CATALOG).map(([code, { status, description }]) => ({ code, status, description }))
+  });
+});
+
+// Métricas Prometheus
+app.get('/metrics', authenticate('metrics'), async (req, res) => {
+  res.set('Content-Type', metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
+
+// Origens rejeitadas recentemente pela política de CORS
+app.get('/api/cors/rejections', authenticate('admin'), (req, res) => {
+  res.json({
+    success: true,
+    policy: corsPolicy.describe(),
+    rejections: corsPolicy.recentRejections()
+  });
 });
 
 // ============================================================
 // NOVO ENDPOINT: Web Scraping para IRRF por trabalhador
 // ============================================================
-app.post('/api/esocial-irrf', rateLimit, async (req, res) => {
-  const startTime = Date.now();
+app.post('/api/esocial-irrf', authenticate('esocial-irrf'), scrapingRateLimit, scrapingHandler('S-5002'));
+
+// Demais totalizadores do portal (S-5001, S-5003, S-5011, S-5013; tipo no corpo)
+app.post('/api/esocial-totalizadores', authenticate('esocial-totalizadores'), scrapingRateLimit, scrapingHandler());
+
+// Totalizadores disponíveis: escopo (trabalhador/empregador), fluxo de menu e campos do formulário
+app.get('/api/totalizadores', (req, res) => {
+  res.json({ success: true, totalizadores: listTotalizadores() });
+});
+
+/**
+ * Handler das consultas no portal. tipoFixo define o totalizador da rota; sem ele vale req.body.tipo.
+ */
+function scrapingHandler(tipoFixo) {
+  return async (req, res) => {
+    const startTime = Date.now();
+    // Execução síncrona: artefatos de depuração ficam sob este id
+    const runId = crypto.randomUUID();
+    let artifacts = null;
   
-  try {
-    const { certificatePfx, password, cpfs, periodos } = req.body;
+    try {
+      const { reuseSession, includeXml } = req.body;
+      const reuse = reuseSession !== false;
 
-    // Validação
-    if (!certificatePfx || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Certificado digital (certificatePfx) e senha são obrigatórios' 
-      });
-    }
+      // Validação completa antes de abrir o Chrome (CPFs sem repetição, períodos YYYY-MM)
+      const { problems, totalizador, cpfs, periodos } = validateScrapingRequest(req.body, { tipo: tipoFixo || req.body.tipo });
+      if (problems.length > 0) {
+        throw validationError(problems);
+      }
+      const { tipo } = totalizador;
+      const total = totalizador.escopo === 'empregador' ? periodos.length : cpfs.length * periodos.length;
 
-    if (!cpfs || !Array.isArray(cpfs) || cpfs.length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Lista de CPFs é obrigatória' 
-      });
-    }
+      // Perfil do portal: versão pedida (profileVersion) ou a padrão, com o caminho de menu do totalizador
+      const profile = portalProfiles.get(req.body.profileVersion);
+      if (!profile.navigation[totalizador.fluxo]) {
+        throw new ProxyError('PROFILE_INVALID', `Perfil ${profile.version} não define navigation.${totalizador.fluxo} (${tipo})`, {
+          profileVersion: profile.version,
+          fluxo: totalizador.fluxo
+        });
+      }
 
-    if (!periodos || !Array.isArray(periodos) || periodos.length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Lista de períodos é obrigatória' 
-      });
-    }
+      // Certificado do cofre (certificateId) ou enviado no corpo
+      const { certificatePfx, password } = resolveCertificateInput(req);
+
+      // Validar PFX e senha antes de iniciar o Chrome (erros claros de certificado)
+      const certificate = loadCertificate({ certificatePfx, password });
+      authorizeCertificate(req, certificate.certificatePem);
+
+      irrfLog.info(`Request ${tipo}: ${cpfs.length} CPFs, ${periodos.length} períodos`);
+      irrfLog.info(`Períodos: ${periodos.join(', ')}`);
+
+      // Todos os navegadores ocupados e fila cheia: recusar antes de criar job ou aguardar
+      if (!sessionPool.queue.canAccept()) {
+        throw new QueueError('QUEUE_FULL',
+          'Todos os navegadores estão ocupados e a fila está cheia. Tente novamente mais tarde.',
+          sessionPool.queue.describePosition(sessionPool.queue.waiting.length + 1)
+        );
+      }
+
+      // Modo assíncrono: retorna o id do job imediatamente
+      if (req.body.async === true) {
+        const job = jobManager.create({ tipo, total, owner: req.auth.subject }, async (job) => {
+          const { scraper } = await sessionPool.acquire(certificatePfx, password, {
+            reuse,
+            profile,
+            queue: { id: job.id, type: 'job', owner: job.owner, signal: job.abortController.signal }
+          });
+          job.scraper = scraper;
+          scraper.artifacts = artifactStore.open(job.id, { owner: job.owner });
+          jobManager.start(job);
+          scraper.on('progress', ({ type, ...data }) => jobManager.publish(job, type, data));
+
+          return scraper.processReport(totalizador, { cpfs, periodos }, {
+            onItemStart: (item) => { job.progress.current = item; },
+            onResult: (result) => jobManager.recordResult(job, result),
+            includeXml: includeXml === true
+          }).then(
+            async (results) => {
+              await sessionPool.release(scraper);
+              return results;
+            },
+            async (error) => {
+              await sessionPool.release(scraper, { healthy: false });
+              throw error;
+            }
+          );
+        });
+
+        return res.status(202).json({
+          success: true,
+          jobId: job.id,
+          tipo,
+          status: job.status,
+          profileVersion: profile.version,
+          queuePosition: sessionPool.queue.hasFreeSlot() ? null : sessionPool.queue.waiting.length + 1,
+          links: {
+            status: `/api/jobs/${job.id}`,
+            results: `/api/jobs/${job.id}/results`,
+            export: `/api/jobs/${job.id}/export?format=xlsx`,
+            events: `/api/jobs/${job.id}/events`
+          }
+        });
+      }
 
-    console.log(`[eSocial IRRF] Request: ${cpfs.length} CPFs, ${periodos.length} períodos`);
-    console.log(`[eSocial IRRF] CPFs: ${cpfs.join(', ')}`);
-    console.log(`[eSocial IRRF] Períodos: ${periodos.join(', ')}`);
+      // Cliente desconectou enquanto aguardava na fila: liberar a posição
+      const abortController = new AbortController();
+      res.on('close', () => abortController.abort());
 
-    // Iniciar scraper
-    const scraper = new ESocialIRRFScraper(certificatePfx, password);
+      // Obter scraper do pool (sessão já logada para o mesmo certificado, se houver)
+      const { scraper, reused } = await sessionPool.acquire(certificatePfx, password, {
+        reuse,
+        profile,
+        queue: { type: 'sync', owner: req.auth.subject, signal: abortController.signal }
+      });
+      irrfLog.info(`Sessão ${reused ? 'reutilizada do pool' : 'nova'}`);
+      artifacts = scraper.artifacts = artifactStore.open(runId, { owner: req.auth.subject });
     
-    try {
-      const results = await scraper.processMultiple(cpfs, periodos);
-      await scraper.close();
+      try {
+        const results = await scraper.processReport(totalizador, { cpfs, periodos }, { includeXml: includeXml === true });
+        await sessionPool.release(scraper);
       
-      const elapsed = Date.now() - startTime;
+        const elapsed = Date.now() - startTime;
       
-      // CORREÇÃO: Garantir que results é array antes de usar .filter()
-      const safeResults = Array.isArray(results) ? results : [];
+        // CORREÇÃO: Garantir que results é array antes de usar .filter()
+        const safeResults = Array.isArray(results) ? results : [];
       
-      if (!Array.isArray(results)) {
-        console.error('[eSocial IRRF] AVISO: scraper retornou algo que não é array:', typeof results);
-        return res.status(500).json({
-          success: false,
-          error: 'Resposta inesperada do scraper (não é array)',
-          details: {
-            type: typeof results,
-            preview: String(results).substring(0, 200)
-          },
-          elapsed
-        });
-      }
+        if (!Array.isArray(results)) {
+          irrfLog.error('AVISO: scraper retornou algo que não é array:', typeof results);
+          return res.status(500).json({
+            success: false,
+            error: 'Resposta inesperada do scraper (não é array)',
+            code: 'SCRAPER_ERROR',
+            details: {
+              type: typeof results,
+              preview: String(results).substring(0, 200)
+            },
+            elapsed
+          });
+        }
       
-      const successCount = safeResults.filter(r => r && r.success).length;
+        const successCount = safeResults.filter(r => r && r.success).length;
       
-      console.log(`[eSocial IRRF] Completed: ${successCount}/${safeResults.length} successful in ${elapsed}ms`);
+        irrfLog.info(`Completed: ${successCount}/${safeResults.length} successful in ${elapsed}ms`);
 
-      res.json({
-        success: true,
-        data: safeResults,
-        summary: {
+        const summary = {
           total: safeResults.length,
           successful: successCount,
           failed: safeResults.length - successCount
-        },
+        };
+
+        // format csv/xlsx: planilha em vez do JSON (uma linha por CPF × período × código)
+        if (req.body.format && req.body.format !== 'json') {
+          return sendExport(res, exportResults(req.body.format, {
+            results: safeResults,
+            summary,
+            name: `${tipo}_${runId}`
+          }));
+        }
+
+        res.json({
+          success: true,
+          tipo,
+          data: safeResults,
+          summary,
+          profileVersion: profile.version,
+          ...(successCount < safeResults.length && { artifacts: artifacts.list() }),
+          elapsed
+        });
+      
+      } catch (scraperError) {
+        await sessionPool.release(scraper, { healthy: false });
+        throw scraperError;
+      }
+
+    } catch (error) {
+      const elapsed = Date.now() - startTime;
+      irrfLog.error(`Error after ${elapsed}ms:`, error.message);
+    
+      res.status(errorStatus(error)).json({
+        ...errorBody(error),
+        ...(error instanceof QueueError && { queue: error.details }),
+        ...(artifacts && { artifacts: artifacts.list() }),
         elapsed
       });
-      
-    } catch (scraperError) {
-      await scraper.close();
-      throw scraperError;
     }
+  };
+}
+
+// Perfis do portal (seletores e caminho de menu) carregados
+app.get('/api/portal-profiles', authenticate('admin'), (req, res) => {
+  res.json({ success: true, ...portalProfiles.describe() });
+});
+
+// Relê os perfis sem reiniciar; perfis inválidos mantêm os atuais
+app.post('/api/portal-profiles/reload', authenticate('admin'), (req, res) => {
+  try {
+    res.json({ success: true, ...portalProfiles.reload() });
+  } catch (error) {
+    log.error('Reload de perfis rejeitado:', error.details || error.message);
+    res.status(errorStatus(error)).json(errorBody(error));
+  }
+});
+
+// Estado da fila de navegadores (vagas em uso e posições aguardando)
+app.get('/api/scraper/queue', authenticate('queue'), (req, res) => {
+  res.json({ success: true, ...sessionPool.queue.snapshot() });
+});
+
+// Artefatos de depuração (screenshots, HTML, URL/título final) de um job ou requisição
+app.get('/api/artifacts/:runId', authenticate('artifacts'), (req, res) => {
+  if (!findOwnArtifacts(req)) {
+    return res.status(404).json({ success: false, error: 'Artefatos não encontrados', code: 'ARTIFACT_NOT_FOUND' });
+  }
+
+  res.json({ success: true, runId: req.params.runId, artifacts: artifactStore.list(req.params.runId) });
+});
+
+app.get('/api/artifacts/:runId/:name', authenticate('artifacts'), (req, res) => {
+  const artifact = findOwnArtifacts(req) && artifactStore.resolve(req.params.runId, req.params.name);
+  if (!artifact) {
+    return res.status(404).json({ success: false, error: 'Artefato não encontrado', code: 'ARTIFACT_NOT_FOUND' });
+  }
+
+  res.type(artifact.contentType).sendFile(artifact.file);
+});
+
+// Artefatos só são visíveis para a credencial que iniciou a execução
+function findOwnArtifacts(req) {
+  const meta = artifactStore.meta(req.params.runId);
+  if (!meta || (authenticator.enabled && meta.owner !== req.auth.subject)) {
+    return null;
+  }
+  return meta;
+}
+
+// ============================================================
+// Jobs assíncronos de scraping IRRF
+// ============================================================
+app.get('/api/jobs/:id', authenticate('jobs'), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job não encontrado', code: 'JOB_NOT_FOUND' });
+  }
+
+  res.json({
+    success: true,
+    job: {
+      ...jobManager.toStatus(job),
+      queuePosition: sessionPool.queue.position(job.id),
+      artifacts: artifactStore.list(job.id)
+    }
+  });
+});
+
+app.get('/api/jobs/:id/results', authenticate('jobs'), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job não encontrado', code: 'JOB_NOT_FOUND' });
+  }
+
+  res.json({ success: true, ...jobManager.toResults(job) });
+});
+
+// Resultados (parciais ou finais) do job em planilha: ?format=csv|xlsx
+app.get('/api/jobs/:id/export', authenticate('jobs'), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job não encontrado', code: 'JOB_NOT_FOUND' });
+  }
+
+  const format = req.query.format || 'csv';
+  if (format === 'json' || !EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: 'Formato inválido. Use: csv, xlsx', code: 'VALIDATION_ERROR' });
+  }
+
+  const { data, summary, partial } = jobManager.toResults(job);
+  res.set('X-Job-Status', job.status);
+  if (partial) res.set('X-Partial-Results', 'true');
+  sendExport(res, exportResults(format, { results: data, summary, name: `${job.tipo}_${job.id}` }));
+});
+
+// Planilha exportada como anexo
+function sendExport(res, { contentType, filename, body }) {
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type(contentType).send(body);
+}
+
+// Jobs só são visíveis para a credencial que os criou
+function findOwnJob(req) {
+  const job = jobManager.get(req.params.id);
+  if (!job || (authenticator.enabled && job.owner !== req.auth.subject)) {
+    return null;
+  }
+  return job;
+}
+
+// Progresso ao vivo via Server-Sent Events
+// Tipos: status, login-step, retry, navigation, item-result, summary
+app.get('/api/jobs/:id/events', authenticate('jobs'), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job não encontrado', code: 'JOB_NOT_FOUND' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const writeEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Replay do histórico (respeitando Last-Event-ID em reconexões)
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  job.events.filter(e => e.id > lastEventId).forEach(writeEvent);
+
+  if (jobManager.isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = jobManager.subscribe(job, (event) => {
+    writeEvent(event);
+    if (event.type === 'status' && jobManager.isFinished(job)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+app.delete('/api/jobs/:id', authenticate('jobs'), async (req, res) => {
+  const job = findOwnJob(req) && await jobManager.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job não encontrado', code: 'JOB_NOT_FOUND' });
+  }
+
+  res.json({
+    success: true,
+    job: { ...jobManager.toStatus(job), queuePosition: sessionPool.queue.position(job.id) }
+  });
+});
+
+// ============================================================
+// Cofre de certificados (cadastro único, uso via certificateId)
+// ============================================================
+function requireVault(req, res, next) {
+  if (!certificateVault.isConfigured()) {
+    return res.status(503).json({ 
+      success: false, 
+      error: 'Cofre de certificados não configurado (defina CERT_VAULT_KEY)',
+      code: 'CERT_VAULT_DISABLED'
+    });
+  }
+  next();
+}
+
+function sendVaultError(res, error) {
+  vaultLog.error('Error:', error.message);
+  res.status(errorStatus(error)).json(errorBody(error));
+}
+
+// Certificados do cofre só são visíveis para a credencial que os cadastrou
+function isOwnCertificate(req, certificado) {
+  return !authenticator.enabled || certificado.owner === req.auth.subject;
+}
 
+function findOwnCertificate(req, id) {
+  const certificado = certificateVault.describe(id);
+  return certificado && isOwnCertificate(req, certificado) ? certificado : null;
+}
+
+app.post('/api/certificates', authenticate('certificates'), rateLimit, requireVault, (req, res) => {
+  try {
+    const { certificatePfx, password, privateKeyPem, certificatePem, label } = req.body;
+    const input = { certificatePfx, password, privateKeyPem, certificatePem };
+    authorizeCertificate(req, loadCertificate(input).certificatePem);
+    const certificado = certificateVault.save(input, { label, owner: req.auth.subject });
+    res.status(201).json({ success: true, certificateId: certificado.id, certificado });
   } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+app.get('/api/certificates', authenticate('certificates'), rateLimit, requireVault, (req, res) => {
+  try {
+    const certificados = certificateVault.list()
+      .filter(c => isOwnCertificate(req, c) && isCnpjAllowed(req.auth, c.cnpj || c.cpf));
+    res.json({ success: true, certificados });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+app.put('/api/certificates/:id', authenticate('certificates'), rateLimit, requireVault, (req, res) => {
+  try {
+    const { certificatePfx, password, privateKeyPem, certificatePem, label } = req.body;
+    const input = { certificatePfx, password, privateKeyPem, certificatePem };
+    const current = findOwnCertificate(req, req.params.id);
+    if (current) {
+      assertCnpjAllowed(req.auth, current.cnpj || current.cpf);
+      authorizeCertificate(req, loadCertificate(input).certificatePem);
+    }
+    const certificado = current && certificateVault.rotate(req.params.id, input, { label });
+    if (!certificado) {
+      return res.status(404).json({ success: false, error: 'Certificado não encontrado', code: 'CERT_NOT_FOUND' });
+    }
+    res.json({ success: true, certificado });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+app.delete('/api/certificates/:id', authenticate('certificates'), rateLimit, requireVault, (req, res) => {
+  try {
+    const current = findOwnCertificate(req, req.params.id);
+    if (current) {
+      assertCnpjAllowed(req.auth, current.cnpj || current.cpf);
+    }
+    if (!current || !certificateVault.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Certificado não encontrado', code: 'CERT_NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+// ============================================================
+// Inspeção de certificado (diagnóstico antes do mTLS / Chrome)
+// ============================================================
+app.post('/api/certificate/inspect', authenticate('certificate-inspect'), rateLimit, (req, res) => {
+  try {
+    const { nrInsc } = req.body;
+    const { certificatePfx, password, certificatePem, privateKeyPem } = resolveCertificateInput(req);
+
+    const certificado = inspectCertificate({ certificatePfx, password, certificatePem, privateKeyPem });
+    assertCnpjAllowed(req.auth, certificado.cnpj || certificado.cpf);
+    if (nrInsc) {
+      certificado.nrInscConfere = matchesInscricao(certificado, nrInsc);
+    }
+
+    certificateLog.info(`Inspect: ${certificado.tipo || 'tipo desconhecido'}, expira em ${certificado.daysToExpiry} dias`);
+
+    res.json({ success: true, certificado });
+
+  } catch (error) {
+    certificateLog.error('Inspect error:', error.message);
+
+    res.status(errorStatus(error)).json(errorBody(error));
+  }
+});
+
+// ============================================================
+// Assinatura XMLDSig de eventos com o certificado do empregador
+// ============================================================
+app.post('/api/esocial-sign', authenticate('esocial-sign'), rateLimit, (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { xml, eventos } = req.body;
+
+    // Aceita um único XML (xml) ou uma lista (eventos)
+    const inputs = Array.isArray(eventos) ? eventos : (xml ? [xml] : []);
+    if (inputs.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Envie o XML do evento (xml) ou a lista de eventos (eventos)',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const certificate = loadCertificate(resolveCertificateInput(req));
+    authorizeCertificate(req, certificate.certificatePem);
+
+    const signed = inputs.map((eventXml, index) => {
+      try {
+        return { success: true, xml: signEventXml(eventXml, certificate) };
+      } catch (error) {
+        signLog.error(`Evento ${index + 1}:`, error.message);
+        // XML malformado é VALIDATION_ERROR; demais falhas da assinatura, SIGNATURE_FAILED
+        const code = ERROR_CATALOG[error.code] ? error.code : 'SIGNATURE_FAILED';
+        return { success: false, error: error.message, code, ...(error.details && { details: error.details }) };
+      }
+    });
+
     const elapsed = Date.now() - startTime;
-    console.error(`[eSocial IRRF] Error after ${elapsed}ms:`, error.message);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    const successCount = signed.filter(s => s.success).length;
+    signLog.info(`${successCount}/${signed.length} eventos assinados em ${elapsed}ms`);
+
+    if (!Array.isArray(eventos)) {
+      const [single] = signed;
+      return res.status(single.success ? 200 : 400).json({ ...single, elapsed });
+    }
+
+    res.json({
+      success: successCount === signed.length,
+      eventos: signed,
       elapsed
     });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    signLog.error(`Error after ${elapsed}ms:`, error.message);
+
+    res.status(errorStatus(error)).json({ ...errorBody(error), elapsed });
   }
 });
 
 // ============================================================
 // ENDPOINT EXISTENTE: mTLS direto (mantido para compatibilidade)
 // ============================================================
-app.post('/api/esocial', rateLimit, async (req, res) => {
+app.post('/api/esocial', authenticate('esocial'), mtlsRateLimit, async (req, res) => {
   const startTime = Date.now();
   
   try {
     const { 
       action, 
       ambiente, 
-      privateKeyPem, 
-      certificatePem, 
       tpInsc, 
       nrInsc, 
-      perApur, 
-      tpEvento 
+      tpEvento,
+      protocoloEnvio,
+      eventos,
+      grupo,
+      ideTransmissor,
+      raw
     } = req.body;
 
-    // Validação de payload
-    if (!privateKeyPem || !certificatePem) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Certificado digital (privateKeyPem e certificatePem) é obrigatório' 
-      });
-    }
+    // Validação de payload: todos os problemas numa única resposta 400
+    const validation = validateEsocialRequest(req.body, { actions: Object.keys(ESOCIAL_ACTIONS) });
+    const requestAction = action || 'download';
+    const periodo = validation.periodo || getCurrentPeriod();
+    const eventoTipo = tpEvento || 'S-5002';
 
-    if (!ambiente || !['producao', 'producao-restrita'].includes(ambiente)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Ambiente inválido. Use: producao ou producao-restrita' 
-      });
+    let lote = null;
+    if (requestAction === 'enviar') {
+      const loteResult = prepareLoteEventos({ eventos, grupo, ideTransmissor });
+      if (loteResult.error) {
+        validation.problems.push({ field: 'lote', message: loteResult.error });
+      }
+      lote = loteResult.lote;
     }
 
-    if (!tpInsc || !nrInsc) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'tpInsc e nrInsc são obrigatórios' 
-      });
+    if (validation.problems.length > 0) {
+      throw validationError(validation.problems);
     }
 
-    const requestAction = action || 'download';
-    const periodo = perApur || getCurrentPeriod();
-    const eventoTipo = tpEvento || 'S-5002';
+    // PEM ou PFX: mesma camada de carga usada pelo scraping
+    assertCnpjAllowed(req.auth, nrInsc);
+    const certificate = loadCertificate(resolveCertificateInput(req));
+    authorizeCertificate(req, certificate.certificatePem);
 
-    console.log(`[eSocial Proxy] Request: ${requestAction}, Ambiente: ${ambiente}, CNPJ: ${nrInsc}, Período: ${periodo}`);
+    log.info(`Request: ${requestAction}, Ambiente: ${ambiente}, CNPJ: ${maskDocument(nrInsc)}, Período: ${periodo}`);
 
     // Configuração do eSocial
     const esocialConfig = ESOCIAL_URLS[ambiente];
-    const path = requestAction === 'consultar' ? esocialConfig.consulta : esocialConfig.download;
+    const path = esocialConfig[ESOCIAL_ACTIONS[requestAction].service];
     
     // Monta envelope SOAP
-    const soapBody = buildSoapEnvelope(requestAction, tpInsc, nrInsc, periodo, eventoTipo);
+    const soapBody = requestAction === 'enviar'
+      ? buildEnvioLoteEnvelope(tpInsc, nrInsc, lote)
+      : buildSoapEnvelope(requestAction, tpInsc, nrInsc, periodo, eventoTipo, protocoloEnvio);
 
     // SOAPAction header
-    const soapAction = requestAction === 'consultar'
-      ? 'http://www.esocial.gov.br/servicos/empregador/consulta/retornoProcessamento/v1_0_0/ServicoConsultarLoteEventos/ConsultarLoteEventos'
-      : 'http://www.esocial.gov.br/servicos/empregador/download/v1_0_0/ServicoDownload/Download';
+    const soapAction = ESOCIAL_ACTIONS[requestAction].soapAction;
 
     // Opções da requisição mTLS
+    const hostname = ESOCIAL_WS_OVERRIDE ? ESOCIAL_WS_OVERRIDE.hostname : esocialConfig.hostname;
     const options = {
-      hostname: esocialConfig.hostname,
-      port: 443,
+      hostname,
+      port: ESOCIAL_WS_OVERRIDE ? Number(ESOCIAL_WS_OVERRIDE.port) || 443 : 443,
       path: path,
       method: 'POST',
-      key: privateKeyPem,
-      cert: certificatePem,
+      key: certificate.privateKeyPem,
+      cert: [certificate.certificatePem, ...certificate.chainPem].join('\n'),
+      ca: ESOCIAL_WS_CA,
       rejectUnauthorized: true, // Validar certificado do servidor
       headers: {
         'Content-Type': 'application/soap+xml;charset=UTF-8',
@@ -265,18 +763,83 @@ app.post('/api/esocial', rateLimit, async (req, res) => {
       timeout: 30000 // 30 segundos
     };
 
-    console.log(`[eSocial Proxy] Connecting to ${esocialConfig.hostname}${path}`);
+    log.info(`Connecting to ${hostname}${path}`);
 
-    // Executa requisição mTLS
-    const result = await makeHttpsRequest(options, soapBody);
+    // Executa requisição mTLS (falhas transitórias são repetidas com backoff)
+    const { result, attempts } = await withRetry(
+      () => makeHttpsRequest(options, soapBody, { action: requestAction, ambiente }),
+      {
+        policy: SOAP_RETRY,
+        classify: classifySoapError,
+        shouldRetry: (c) => c.transient && (requestAction !== 'enviar' || ENVIO_SAFE_RETRY_REASONS.has(c.reason)),
+        onRetry: ({ attempt, delayMs, error, classification }) => {
+          log.warn(`Tentativa ${attempt}/${SOAP_RETRY.maxAttempts} falhou (${classification.reason}), nova tentativa em ${delayMs}ms:`, error.message);
+          metrics.retries.inc({ operation: 'soap', reason: classification.reason });
+        }
+      }
+    );
     
     const elapsed = Date.now() - startTime;
-    console.log(`[eSocial Proxy] Success in ${elapsed}ms, response length: ${result.data.length}`);
+    log.info(`Success in ${elapsed}ms (${attempts} tentativa(s)), response length: ${result.data.length}`);
+
+    // Download: decodificar eventos da resposta (raw: true mantém o SOAP original)
+    if (requestAction === 'download' && raw !== true) {
+      const download = parseDownloadResponse(result.data);
+      log.info(`Download: cdResposta=${download.cdResposta}, ${download.eventos.length} eventos`);
+      metrics.soapResponses.inc({ action: requestAction, cd_resposta: download.cdResposta || 'desconhecido' });
+
+      return res.json({
+        success: true,
+        cdResposta: download.cdResposta,
+        descResposta: download.descResposta,
+        ocorrencias: download.ocorrencias,
+        eventos: download.eventos,
+        statusCode: result.statusCode,
+        attempts,
+        ambiente,
+        periodo,
+        elapsed
+      });
+    }
+
+    // Envio: protocolo para acompanhar o lote com a ação consultar
+    if (requestAction === 'enviar' && raw !== true) {
+      const envio = parseRetornoEnvio(result.data);
+      log.info(`Envio: cdResposta=${envio.cdResposta}, protocolo=${envio.protocoloEnvio}`);
+      metrics.soapResponses.inc({ action: requestAction, cd_resposta: envio.cdResposta || 'desconhecido' });
+
+      return res.json({
+        success: true,
+        envio,
+        eventos: lote.eventos.map(e => ({ id: e.id, tipo: e.tipo })),
+        statusCode: result.statusCode,
+        attempts,
+        ambiente,
+        elapsed
+      });
+    }
+
+    // Consulta: situação do lote, recibos e ocorrências por evento
+    if (requestAction === 'consultar' && raw !== true) {
+      const lote = parseRetornoLote(result.data);
+      log.info(`Consulta lote ${protocoloEnvio}: cdResposta=${lote.cdResposta}, ${lote.eventos.length} eventos`);
+      metrics.soapResponses.inc({ action: requestAction, cd_resposta: lote.cdResposta || 'desconhecido' });
+
+      return res.json({
+        success: true,
+        lote,
+        statusCode: result.statusCode,
+        attempts,
+        ambiente,
+        elapsed
+      });
+    }
 
     res.json({
       success: true,
       data: result.data,
       statusCode: result.statusCode,
+      attempts,
       ambiente,
       periodo,
       elapsed
@@ -284,20 +847,108 @@ app.post('/api/esocial', rateLimit, async (req, res) => {
 
   } catch (error) {
     const elapsed = Date.now() - startTime;
-    console.error(`[eSocial Proxy] Error after ${elapsed}ms:`, error.message);
+    log.error(`Error after ${elapsed}ms:`, error.message);
     
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    res.status(errorStatus(error)).json({
+      ...errorBody(error),
+      ...(error.attempts && {
+        attempts: error.attempts,
+        classification: error.classification.transient ? 'transient' : 'permanent',
+        reason: error.classification.reason
+      }),
       elapsed
     });
   }
 });
 
 /**
- * Faz requisição HTTPS com mTLS
+ * Carrega a configuração de autenticação; API key com keyHash inválido impede a inicialização
  */
-function makeHttpsRequest(options, body) {
+function loadAuthenticator() {
+  try {
+    return new Authenticator();
+  } catch (error) {
+    log.error('Configuração de autenticação inválida:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Carrega os perfis do portal; perfil inválido impede a inicialização
+ */
+function loadPortalProfiles() {
+  try {
+    return new PortalProfiles();
+  } catch (error) {
+    log.error(error.message, error.details);
+    process.exit(1);
+  }
+}
+
+/**
+ * Verifica se a credencial pode operar com o empregador do certificado (CNPJ do e-CNPJ ou CPF do e-CPF)
+ */
+function authorizeCertificate(req, certificatePem) {
+  if (!hasCnpjRestriction(req.auth)) return;
+
+  const info = inspectCertificate({ certificatePem });
+  assertCnpjAllowed(req.auth, info.cnpj || info.cpf);
+}
+
+/**
+ * Material do certificado da requisição: do cofre quando houver certificateId (apenas certificados
+ * cadastrados pela mesma credencial), senão os campos enviados no corpo (PFX + senha ou PEM)
+ */
+function resolveCertificateInput(req) {
+  const { body } = req;
+  if (body.certificateId) {
+    if (!certificateVault.isConfigured()) {
+      throw new CertificateError('CERT_VAULT_DISABLED', 'Cofre de certificados não configurado (defina CERT_VAULT_KEY)');
+    }
+    if (!findOwnCertificate(req, body.certificateId)) {
+      throw new CertificateError('CERT_NOT_FOUND', `Certificado ${body.certificateId} não encontrado no cofre`);
+    }
+    return certificateVault.get(body.certificateId);
+  }
+
+  const { certificatePfx, password, privateKeyPem, certificatePem } = body;
+  return { certificatePfx, password, privateKeyPem, certificatePem };
+}
+
+/**
+ * Custo do scraping no rate limit: uma unidade por consulta (CPF × período)
+ */
+function scrapingCost(body) {
+  const cpfs = Array.isArray(body && body.cpfs) ? body.cpfs.length : 1;
+  const periodos = Array.isArray(body && body.periodos) ? body.periodos.length : 1;
+  return Math.max(1, cpfs) * Math.max(1, periodos);
+}
+
+/**
+ * CNPJ do certificado do cofre, quando a requisição usa certificateId (para o limite por empregador)
+ */
+function vaultCertificateCnpj(req) {
+  const { body } = req;
+  if (!body || !body.certificateId || !certificateVault.isConfigured()) return null;
+
+  const metadata = findOwnCertificate(req, body.certificateId);
+  return metadata ? metadata.cnpj || metadata.cpf : null;
+}
+
+/**
+ * Faz requisição HTTPS com mTLS. `labels` (action, ambiente) identificam a chamada nas métricas.
+ */
+function makeHttpsRequest(options, body, labels = {}) {
+  const endTimer = metrics.soapDuration.startTimer(labels);
+  let recorded = false;
+  // Uma única observação por chamada (destroy() após timeout também emite 'error')
+  const record = (status) => {
+    if (recorded) return;
+    recorded = true;
+    endTimer();
+    metrics.soapRequests.inc({ ...labels, status });
+  };
+
   return new Promise((resolve, reject) => {
     const req = https.request(options, (res) => {
       let data = '';
@@ -307,21 +958,46 @@ function makeHttpsRequest(options, body) {
       });
       
       res.on('end', () => {
+        record(res.statusCode);
         if (res.statusCode >= 200 && res.statusCode < 300) {
           resolve({ data, statusCode: res.statusCode });
-        } else {
-          reject(new Error(`eSocial retornou status ${res.statusCode}: ${data.substring(0, 500)}`));
+          return;
         }
+
+        // Status, Retry-After e SOAP Fault ficam em details para a classificação de retry
+        const fault = findSoapFault(data);
+        const details = { statusCode: res.statusCode, retryAfter: res.headers['retry-after'] };
+        reject(fault
+          ? new ProxyError('SOAP_FAULT', `eSocial retornou status ${res.statusCode}: ${fault.message}`, { ...details, soapFault: fault.soapFault })
+          : new ProxyError('ESOCIAL_HTTP_ERROR', `eSocial retornou status ${res.statusCode}: ${data.substring(0, 500)}`, details));
       });
     });
 
+    // Conexão TCP aberta mas handshake TLS interrompido: servidor recusou o certificado cliente
+    // (com TLS 1.2 o alerta chega como ECONNRESET). Sockets reaproveitados já passaram pelo handshake.
+    let tcpConnected = false;
+    let tlsEstablished = false;
+    req.on('socket', (socket) => {
+      if (!socket.connecting) {
+        tcpConnected = tlsEstablished = true;
+        return;
+      }
+      socket.once('connect', () => { tcpConnected = true; });
+      socket.once('secureConnect', () => { tlsEstablished = true; });
+    });
+
     req.on('error', (error) => {
-      reject(new Error(`Erro de conexão com eSocial: ${error.message}`));
+      record('error');
+      const tlsHandshake = tcpConnected && !tlsEstablished;
+      reject(new ProxyError(tlsHandshake ? 'ESOCIAL_TLS_ERROR' : 'ESOCIAL_UNAVAILABLE',
+        `Erro de conexão com eSocial: ${error.message}`, { socketCode: error.code }));
     });
 
     req.on('timeout', () => {
+      record('timeout');
       req.destroy();
-      reject(new Error('Timeout na conexão com eSocial (30s)'));
+      reject(new ProxyError('ESOCIAL_TIMEOUT',
+        `Timeout na conexão com eSocial (${Math.round(options.timeout / 1000)}s)`, { timeoutMs: options.timeout }));
     });
 
     req.write(body);
@@ -329,10 +1005,30 @@ function makeHttpsRequest(options, body) {
   });
 }
 
+/**
+ * SOAP Fault no corpo de uma resposta de erro (null quando não for um Fault)
+ */
+function findSoapFault(data) {
+  try {
+    parseSoapBody(data);
+  } catch (error) {
+    if (error.soapFault) return error;
+  }
+  return null;
+}
+
+/**
+ * Inscrição do empregador no envelope: raiz do CNPJ (8 dígitos) para tpInsc 1, CPF completo para tpInsc 2
+ */
+function nrInscEmpregador(tpInsc, nrInsc) {
+  const numero = String(nrInsc).replace(/\D/g, '');
+  return String(tpInsc) === '1' ? numero.substring(0, 8) : numero;
+}
+
 /**
  * Constrói envelope SOAP para requisições ao eSocial
  */
-function buildSoapEnvelope(action, tpInsc, nrInsc, perApur, tpEvento) {
+function buildSoapEnvelope(action, tpInsc, nrInsc, perApur, tpEvento, protocoloEnvio) {
   if (action === 'consultar') {
     return `<?xml version="1.0" encoding="utf-8"?>
 <soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope" xmlns:v1="http://www.esocial.gov.br/servicos/empregador/consulta/retornoProcessamento/v1_0_0">
@@ -342,7 +1038,7 @@ function buildSoapEnvelope(action, tpInsc, nrInsc, perApur, tpEvento) {
       <v1:consulta>
         <eSocial xmlns="http://www.esocial.gov.br/schema/consulta/retornoProcessamento/v1_0_0">
           <consultaLoteEventos>
-            <protocoloEnvio>1</protocoloEnvio>
+            <protocoloEnvio>${escapeXml(protocoloEnvio)}</protocoloEnvio>
           </consultaLoteEventos>
         </eSocial>
       </v1:consulta>
@@ -352,7 +1048,7 @@ function buildSoapEnvelope(action, tpInsc, nrInsc, perApur, tpEvento) {
   }
 
   // Download de eventos
-  const nrInscFormatted = nrInsc.replace(/\D/g, '').substring(0, 8);
+  const nrInscFormatted = nrInscEmpregador(tpInsc, nrInsc);
   
   return `<?xml version="1.0" encoding="utf-8"?>
 <soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope" xmlns:v1="http://www.esocial.gov.br/servicos/empregador/download/v1_0_0">
@@ -378,6 +1074,108 @@ function buildSoapEnvelope(action, tpInsc, nrInsc, perApur, tpEvento) {
 </soap:Envelope>`;
 }
 
+/**
+ * Valida os dados do lote de envio. Retorna { lote } ou { error }.
+ * Os eventos devem chegar já assinados (XMLDSig), pois a assinatura cobre o XML do evento.
+ */
+function prepareLoteEventos({ eventos, grupo, ideTransmissor }) {
+  if (!Array.isArray(eventos) || eventos.length === 0) {
+    return { error: 'Lista de eventos (XML assinados) é obrigatória para a ação enviar' };
+  }
+
+  if (eventos.length > MAX_EVENTOS_LOTE) {
+    return { error: `Máximo de ${MAX_EVENTOS_LOTE} eventos por lote (recebidos: ${eventos.length})` };
+  }
+
+  const grupoNum = parseInt(grupo, 10);
+  if (![1, 2, 3].includes(grupoNum)) {
+    return { error: 'grupo inválido. Use: 1 (tabelas), 2 (não periódicos) ou 3 (periódicos)' };
+  }
+
+  if (!ideTransmissor || !ideTransmissor.tpInsc || !ideTransmissor.nrInsc) {
+    return { error: 'ideTransmissor com tpInsc e nrInsc é obrigatório para a ação enviar' };
+  }
+
+  const parsed = [];
+  for (let i = 0; i < eventos.length; i++) {
+    const xml = String(eventos[i] || '').replace(/^\s*<\?xml[^>]*\?>/, '').trim();
+
+    let info;
+    try {
+      info = identifyEvent(xml);
+    } catch (e) {
+      return { error: `Evento ${i + 1}: XML inválido (${e.message})` };
+    }
+
+    if (!info.id) {
+      return { error: `Evento ${i + 1}: atributo Id do evento não encontrado` };
+    }
+
+    if (!/<(\w+:)?Signature[\s>]/.test(xml)) {
+      return { error: `Evento ${i + 1} (${info.id}): evento sem assinatura digital` };
+    }
+
+    parsed.push({ id: info.id, tipo: info.tipo, xml });
+  }
+
+  return {
+    lote: {
+      grupo: grupoNum,
+      transmissor: { tpInsc: ideTransmissor.tpInsc, nrInsc: ideTransmissor.nrInsc },
+      eventos: parsed
+    }
+  };
+}
+
+/**
+ * Constrói envelope SOAP do EnviarLoteEventos com os eventos já assinados
+ */
+function buildEnvioLoteEnvelope(tpInsc, nrInsc, lote) {
+  const nrInscTransmissor = String(lote.transmissor.nrInsc).replace(/\D/g, '');
+
+  const eventosXml = lote.eventos
+    .map(e => `              <evento Id="${escapeXml(e.id)}">${e.xml}</evento>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope" xmlns:v1="http://www.esocial.gov.br/servicos/empregador/lote/eventos/envio/v1_1_0">
+  <soap:Header/>
+  <soap:Body>
+    <v1:EnviarLoteEventos>
+      <v1:loteEventos>
+        <eSocial xmlns="http://www.esocial.gov.br/schema/lote/eventos/envio/v1_1_1">
+          <envioLoteEventos grupo="${lote.grupo}">
+            <ideEmpregador>
+              <tpInsc>${escapeXml(tpInsc)}</tpInsc>
+              <nrInsc>${nrInscEmpregador(tpInsc, nrInsc)}</nrInsc>
+            </ideEmpregador>
+            <ideTransmissor>
+              <tpInsc>${escapeXml(lote.transmissor.tpInsc)}</tpInsc>
+              <nrInsc>${nrInscTransmissor}</nrInsc>
+            </ideTransmissor>
+            <eventos>
+${eventosXml}
+            </eventos>
+          </envioLoteEventos>
+        </eSocial>
+      </v1:loteEventos>
+    </v1:EnviarLoteEventos>
+  </soap:Body>
+</soap:Envelope>`;
+}
+
+/**
+ * Escapa caracteres especiais para inclusão em conteúdo XML
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 /**
  * Retorna período atual no formato YYYY-MM
  */
@@ -388,11 +1186,49 @@ function getCurrentPeriod() {
   return `${year}-${month}`;
 }
 
+// Erros fora das rotas (ex.: JSON malformado no corpo) no mesmo formato { success, error, code }
+app.use((error, req, res, next) => {
+  log.warn(`${req.method} ${req.path}:`, error.message);
+  res.status(errorStatus(error)).json(errorBody(error));
+});
+
 // Inicia servidor
 app.listen(PORT, () => {
-  console.log(`[eSocial Proxy] Server running on port ${PORT}`);
-  console.log(`[eSocial Proxy] Health check: http://localhost:${PORT}/health`);
-  console.log(`[eSocial Proxy] API endpoints:`);
-  console.log(`  - POST http://localhost:${PORT}/api/esocial (mTLS direto)`);
-  console.log(`  - POST http://localhost:${PORT}/api/esocial-irrf (Web Scraping IRRF)`);
+  log.info(`Server running on port ${PORT}`);
+  log.info(`Health check: http://localhost:${PORT}/health`);
+  log.info('API endpoints', [
+    'POST /api/esocial (mTLS: download, consultar, enviar)',
+    'POST /api/esocial-irrf (Web Scraping IRRF, async: true para job)',
+    'POST /api/esocial-totalizadores (Web Scraping S-5001/S-5003/S-5011/S-5013 por tipo)',
+    'GET /api/totalizadores (totalizadores disponíveis)',
+    'POST /api/esocial-sign (Assinatura XMLDSig de eventos)',
+    'POST /api/certificate/inspect (Inspeção de certificado)',
+    'POST/GET/PUT/DELETE /api/certificates (Cofre de certificados)',
+    'GET /api/cors/rejections (Origens rejeitadas pelo CORS)',
+    'GET/DELETE /api/jobs/:id (status / cancelamento)',
+    'GET /api/jobs/:id/results (resultados parciais ou finais)',
+    'GET /api/jobs/:id/export (resultados em CSV ou XLSX)',
+    'GET /api/jobs/:id/events (progresso via SSE)',
+    'GET /api/scraper/queue (fila de navegadores)',
+    'GET /api/artifacts/:runId[/:name] (artefatos de depuração)',
+    'GET /api/portal-profiles, POST /api/portal-profiles/reload (perfis do portal)',
+    'GET /api/errors (catálogo de códigos de erro)',
+    'GET /metrics (métricas Prometheus)'
+  ]);
+});
+
+// SIGHUP: recarregar perfis do portal sem reiniciar
+process.on('SIGHUP', () => {
+  try {
+    portalProfiles.reload();
+  } catch (error) {
+    log.error('Reload de perfis rejeitado:', error.details || error.message);
+  }
+});
+
+// Encerramento: fechar browsers ociosos do pool de sessões
+process.on('SIGTERM', async () => {
+  log.info('SIGTERM recebido, fechando sessões do pool...');
+  await sessionPool.closeAll();
+  process.exit(0);
 });
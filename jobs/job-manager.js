@@ -0,0 +1,266 @@
+/**
+ * Job Manager
+ * 
+ * Mantém em memória os jobs assíncronos de scraping IRRF.
+ * O POST devolve o id do job imediatamente e o processamento continua em background,
+ * evitando estourar o timeout das edge functions / load balancers em lotes grandes.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createLogger, runWithContext } = require('../logging/logger');
+const { errorCode } = require('../errors/error-catalog');
+
+const log = createLogger('Jobs');
+
+// Tempo que um job finalizado permanece disponível para consulta
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000; // 1 hora
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutos
+const MAX_EVENTS_PER_JOB = 1000; // histórico mantido para replay no SSE
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Cria um job e inicia o processamento em background.
+   * `total` é o número de consultas (itens) do totalizador `tipo`.
+   * `run` recebe o job e deve retornar uma Promise com o array de resultados.
+   */
+  create({ tipo = 'S-5002', total, owner = null }, run) {
+    const job = {
+      id: crypto.randomUUID(),
+      tipo,
+      owner,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: {
+        total,
+        done: 0,
+        successful: 0,
+        failed: 0,
+        current: null
+      },
+      results: [],
+      error: null,
+      errorCode: null,
+      errorDetails: null,
+      scraper: null,
+      // Aborta a espera na fila de navegadores quando o job é cancelado
+      abortController: new AbortController(),
+      events: [],
+      eventSeq: 0,
+      emitter: new EventEmitter()
+    };
+
+    this.jobs.set(job.id, job);
+    log.info(`Job ${job.id} criado: ${job.progress.total} itens`);
+
+    setImmediate(() => runWithContext({ jobId: job.id }, () => this.execute(job, run)));
+
+    return job;
+  }
+
+  async execute(job, run) {
+    if (job.status === 'cancelled') return;
+
+    try {
+      const results = await run(job);
+
+      if (job.status === 'cancelled') return;
+
+      if (!Array.isArray(results)) {
+        throw new Error('Resposta inesperada do scraper (não é array)');
+      }
+
+      job.results = results;
+      job.status = 'completed';
+      log.info(`Job ${job.id} concluído: ${job.progress.successful}/${job.progress.total} com sucesso`);
+    } catch (error) {
+      if (job.status === 'cancelled') return;
+
+      job.status = 'failed';
+      job.error = error.message;
+      job.errorCode = errorCode(error);
+      job.errorDetails = error.details || null;
+      log.error(`Job ${job.id} falhou:`, error.message);
+    } finally {
+      job.progress.current = null;
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+      job.scraper = null;
+
+      if (job.status !== 'cancelled') {
+        this.publishStatus(job);
+      }
+    }
+  }
+
+  /**
+   * Marca o job como em execução. Chamado por `run` ao obter o navegador
+   * (até lá o job permanece `queued`, aguardando vaga na fila).
+   */
+  start(job) {
+    if (job.status !== 'queued') return;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.publishStatus(job);
+  }
+
+  /**
+   * Registra um evento no histórico do job e notifica os assinantes (SSE)
+   */
+  publish(job, type, data = {}) {
+    const event = {
+      id: ++job.eventSeq,
+      type,
+      data: { timestamp: new Date().toISOString(), ...data }
+    };
+
+    job.events.push(event);
+    if (job.events.length > MAX_EVENTS_PER_JOB) {
+      job.events.shift();
+    }
+
+    job.emitter.emit('event', event);
+  }
+
+  publishStatus(job) {
+    this.publish(job, 'status', {
+      status: job.status,
+      progress: { ...job.progress },
+      ...this.errorFields(job)
+    });
+  }
+
+  /**
+   * Assina os eventos do job. Retorna a função para cancelar a assinatura.
+   */
+  subscribe(job, listener) {
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  isFinished(job) {
+    return FINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Registra o resultado de um item (CPF × período) assim que fica pronto
+   */
+  recordResult(job, result) {
+    if (job.status === 'cancelled') return;
+
+    job.results.push(result);
+    job.progress.done++;
+    if (result && result.success) {
+      job.progress.successful++;
+    } else {
+      job.progress.failed++;
+    }
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancela o job e fecha o browser associado
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (FINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    job.progress.current = null;
+    log.info(`Job ${job.id} cancelado`);
+    this.publishStatus(job);
+    job.abortController.abort();
+
+    if (job.scraper) {
+      try {
+        await job.scraper.cancel();
+      } catch (e) {
+        log.warn(`Erro ao fechar browser do job ${job.id}:`, e.message);
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Representação pública do status (sem resultados)
+   */
+  toStatus(job) {
+    return {
+      id: job.id,
+      tipo: job.tipo,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: { ...job.progress },
+      ...this.errorFields(job)
+    };
+  }
+
+  /**
+   * Resultados parciais ou finais com o mesmo `summary` do modo síncrono
+   */
+  toResults(job) {
+    const successful = job.results.filter(r => r && r.success).length;
+
+    return {
+      id: job.id,
+      tipo: job.tipo,
+      status: job.status,
+      partial: !FINAL_STATUSES.includes(job.status),
+      data: job.results,
+      summary: {
+        total: job.results.length,
+        successful,
+        failed: job.results.length - successful
+      },
+      ...this.errorFields(job)
+    };
+  }
+
+  /**
+   * Falha do job: mensagem, code do catálogo e details (quando houver)
+   */
+  errorFields(job) {
+    return {
+      error: job.error,
+      ...(job.errorCode && { code: job.errorCode }),
+      ...(job.errorDetails && { details: job.errorDetails })
+    };
+  }
+
+  cleanup() {
+    const now = Date.now();
+
+    for (const [id, job] of this.jobs) {
+      if (!FINAL_STATUSES.includes(job.status) || !job.finishedAt) continue;
+
+      if (now - new Date(job.finishedAt).getTime() > JOB_TTL_MS) {
+        this.jobs.delete(id);
+        log.info(`Job ${id} removido após expiração`);
+      }
+    }
+  }
+}
+
+module.exports = { JobManager, FINAL_STATUSES };
@@ -0,0 +1,136 @@
+/**
+ * Logger estruturado (JSON por linha) com mascaramento de dados pessoais
+ * 
+ * - Nível configurável por LOG_LEVEL (debug, info, warn, error; padrão info)
+ * - Correlação: requestId / jobId propagados via AsyncLocalStorage
+ * - CPF, CNPJ, subjects de certificado e query strings de URLs são mascarados
+ *   em todas as mensagens e dados (LGPD)
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const MAX_DEPTH = 6;
+const MAX_STRING = 4000;
+
+// Campos nunca registrados, em qualquer nível de aninhamento
+const SECRET_KEYS = /^(password|senha|certificatepfx|privatekeypem|key|secret|token|authorization|cookie|cookies)$/i;
+
+const CNPJ_PATTERN = /\b(\d{2})\.?(\d{3})\.?(\d{3})\/?(\d{4})-?(\d{2})\b/g;
+const CPF_PATTERN = /\b(\d{3})\.?(\d{3})\.?(\d{3})-?(\d{2})\b/g;
+const SUBJECT_PATTERN = /\b(CN|E|emailAddress|serialNumber)=([^,\n"]+)/gi;
+const URL_QUERY_PATTERN = /(https?:\/\/[^\s?#"']+)\?[^\s#"']*/g;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Mascara CPF/CNPJ (mantém os 2 dígitos verificadores), subjects e query strings
+ */
+function maskText(text) {
+  return String(text)
+    .replace(URL_QUERY_PATTERN, '$1?[REDACTED]')
+    .replace(SUBJECT_PATTERN, '$1=[REDACTED]')
+    .replace(CNPJ_PATTERN, '**.***.***/****-$5')
+    .replace(CPF_PATTERN, '***.***.***-$4');
+}
+
+/**
+ * Mascara uma inscrição isolada (CPF, CNPJ ou raiz do CNPJ) mantendo os 2 últimos dígitos
+ */
+function maskDocument(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits ? `${'*'.repeat(Math.max(0, digits.length - 2))}${digits.slice(-2)}` : '';
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    const masked = maskText(value);
+    return masked.length > MAX_STRING ? `${masked.substring(0, MAX_STRING)}…` : masked;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && String(value).length >= 11 ? maskText(String(value)) : value;
+  }
+
+  if (typeof value !== 'object') return value;
+
+  if (value instanceof Error) {
+    return { error: maskText(value.message), code: value.code };
+  }
+
+  if (depth >= MAX_DEPTH) return '[...]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEYS.test(key) ? '[REDACTED]' : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function write(level, component, msg, args) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    ...context.getStore(),
+    msg: maskText(String(msg).replace(/[:\s]+$/, ''))
+  };
+
+  if (args.length === 1) {
+    entry.data = redact(args[0]);
+  } else if (args.length > 1) {
+    entry.data = redact(args);
+  }
+
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * Logger de um componente (o antigo prefixo "[Scraper]", "[Jobs]"...)
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, ...args) => write('debug', component, msg, args),
+    info: (msg, ...args) => write('info', component, msg, args),
+    warn: (msg, ...args) => write('warn', component, msg, args),
+    error: (msg, ...args) => write('error', component, msg, args),
+    isDebugEnabled: () => LEVELS[LOG_LEVEL] <= LEVELS.debug
+  };
+}
+
+/**
+ * Executa `fn` com campos de correlação adicionados aos logs (ex.: { jobId })
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Middleware: requestId (X-Request-Id recebido ou gerado) em todos os logs da requisição
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    runWithContext({ requestId: req.id }, next);
+  };
+}
+
+module.exports = { createLogger, runWithContext, requestContext, maskText, maskDocument, redact };
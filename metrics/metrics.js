@@ -0,0 +1,150 @@
+/**
+ * Métricas Prometheus do proxy (exportadas em /metrics)
+ * 
+ * Registry próprio com as métricas padrão do processo Node (prefixo esocial_proxy_)
+ * e as métricas de negócio: HTTP, SOAP, login do scraper, itens IRRF, retries, fila e rate limit.
+ */
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'esocial_proxy_' });
+
+const httpRequests = new client.Counter({
+  name: 'esocial_proxy_http_requests_total',
+  help: 'Requisições HTTP por rota, método e resultado',
+  labelNames: ['route', 'method', 'status', 'outcome'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'esocial_proxy_http_request_duration_seconds',
+  help: 'Latência das requisições HTTP por rota e resultado',
+  labelNames: ['route', 'method', 'outcome'],
+  // Scraping síncrono pode levar minutos
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+  registers: [registry]
+});
+
+const soapRequests = new client.Counter({
+  name: 'esocial_proxy_soap_requests_total',
+  help: 'Chamadas mTLS aos web services do eSocial por status HTTP (error/timeout sem resposta)',
+  labelNames: ['action', 'ambiente', 'status'],
+  registers: [registry]
+});
+
+const soapDuration = new client.Histogram({
+  name: 'esocial_proxy_soap_request_duration_seconds',
+  help: 'Latência das chamadas aos web services do eSocial',
+  labelNames: ['action', 'ambiente'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+const soapResponses = new client.Counter({
+  name: 'esocial_proxy_soap_responses_total',
+  help: 'Respostas do eSocial por cdResposta',
+  labelNames: ['action', 'cd_resposta'],
+  registers: [registry]
+});
+
+const loginDuration = new client.Histogram({
+  name: 'esocial_proxy_login_duration_seconds',
+  help: 'Duração do fluxo de login no portal (NSS + Chrome + SSO gov.br)',
+  labelNames: ['outcome'],
+  buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180],
+  registers: [registry]
+});
+
+const loginFailures = new client.Counter({
+  name: 'esocial_proxy_login_failures_total',
+  help: 'Falhas de login por passo (init, 1-4) e motivo',
+  labelNames: ['step', 'reason'],
+  registers: [registry]
+});
+
+const irrfItems = new client.Counter({
+  name: 'esocial_proxy_irrf_items_total',
+  help: 'Consultas de totalizadores no portal (item) por tipo (S-5001, S-5002, ...) e resultado: ok, no_data, error',
+  labelNames: ['tipo', 'outcome'],
+  registers: [registry]
+});
+
+const retries = new client.Counter({
+  name: 'esocial_proxy_retries_total',
+  help: 'Novas tentativas após falha transitória por operação (soap, irrf_item = item de qualquer totalizador) e motivo',
+  labelNames: ['operation', 'reason'],
+  registers: [registry]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'esocial_proxy_rate_limit_rejections_total',
+  help: 'Requisições rejeitadas pelo rate limit por política e escopo do bucket',
+  labelNames: ['policy', 'scope'],
+  registers: [registry]
+});
+
+/**
+ * Gauges de navegadores e fila, lidos do SessionPool no momento da coleta
+ */
+function observeSessionPool(sessionPool) {
+  new client.Gauge({
+    name: 'esocial_proxy_browsers_active',
+    help: 'Navegadores Chrome abertos (em uso ou ociosos no pool)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      this.set({ state: 'in_use' }, sessionPool.queue.active.size);
+      this.set({ state: 'idle' }, sessionPool.idle.size);
+    }
+  });
+
+  new client.Gauge({
+    name: 'esocial_proxy_queue_depth',
+    help: 'Requisições aguardando vaga de navegador',
+    registers: [registry],
+    collect() {
+      this.set(sessionPool.queue.waiting.length);
+    }
+  });
+}
+
+function outcomeOf(statusCode) {
+  if (statusCode >= 500) return 'server_error';
+  if (statusCode >= 400) return 'client_error';
+  return 'success';
+}
+
+/**
+ * Middleware: contagem e latência por rota (padrão do Express, sem ids na label)
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      const outcome = outcomeOf(res.statusCode);
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+      httpRequests.inc({ route, method: req.method, status: res.statusCode, outcome });
+      httpDuration.observe({ route, method: req.method, outcome }, seconds);
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  registry,
+  httpMetrics,
+  observeSessionPool,
+  soapRequests,
+  soapDuration,
+  soapResponses,
+  loginDuration,
+  loginFailures,
+  irrfItems,
+  retries,
+  rateLimitRejections
+};
@@ -0,0 +1,56 @@
+/**
+ * Fixtures dos servidores simulados (páginas do portal e respostas SOAP)
+ *
+ * Os arquivos em mock/fixtures usam placeholders {{nome}}. Valores são escapados
+ * para HTML/XML, exceto os listados em `raw` (trechos de fixture já renderizados).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const cache = new Map();
+
+function readFixture(name) {
+  if (!cache.has(name)) {
+    cache.set(name, fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+  }
+  return cache.get(name);
+}
+
+function escapeMarkup(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderFixture(name, vars = {}, { raw = [] } = {}) {
+  return readFixture(name).replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (vars[key] === undefined || vars[key] === null) return '';
+    return raw.includes(key) ? String(vars[key]) : escapeMarkup(vars[key]);
+  });
+}
+
+/**
+ * XML do totalizador (eventos/<s5001|s5002|...>.xml; perApur no formato AAAA-MM, cpf vazio no escopo empregador)
+ */
+function renderEvento(tipo, { cpf, perApur, nrInsc }) {
+  return renderFixture(`eventos/${tipo.replace('-', '').toLowerCase()}.xml`, {
+    cpf,
+    perApur,
+    perApurDigits: perApur.replace(/\D/g, ''),
+    nrInsc
+  }).trim();
+}
+
+/**
+ * S-5002 do trabalhador (perApur no formato AAAA-MM)
+ */
+function renderS5002({ cpf, perApur, nrInsc }) {
+  return renderEvento('S-5002', { cpf, perApur, nrInsc });
+}
+
+module.exports = { renderFixture, renderEvento, renderS5002, escapeMarkup };
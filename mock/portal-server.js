@@ -0,0 +1,310 @@
+/**
+ * Portal eSocial simulado (login.esocial, SSO gov.br e totalizadores: IRRF, CS e FGTS)
+ *
+ * Um único servidor HTTPS atende todos os hosts; o Chrome do scraper chega até ele com
+ * ESOCIAL_PORTAL_HOST_RULES="MAP *.gov.br 127.0.0.1:<porta>", mantendo as URLs reais
+ * (o fluxo de login valida os hostnames). O login por certificado exige um certificado
+ * cliente emitido pela CA de teste, como o certificado.sso.acesso.gov.br real.
+ *
+ * Variantes da consulta IRRF por CPF: com dados (S-5002 para download), sem dados, erro e
+ * lento (na primeira consulta o resultado só aparece após renderDelayMs, como um render lento).
+ * Os demais totalizadores (S-5001, S-5003, S-5011, S-5013) usam um formulário genérico, com CPF
+ * só no escopo trabalhador, e respondem sem dados para os mesmos CPFs.
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+const express = require('express');
+const { renderFixture, renderEvento, renderS5002, escapeMarkup } = require('./fixtures');
+
+const LOGIN_URL = 'https://login.esocial.gov.br/login.aspx';
+const HOME_URL = 'https://www.esocial.gov.br/portal/Home/Inicial?tipoEmpregador=EMPREGADOR_GERAL';
+const IRRF_PATH = '/portal/Totalizadores/Trabalhador/irrf';
+const SESSION_COOKIE = 'eSocialSession';
+
+// Totalizadores além do IRRF: página do menu, CPF no formulário e linhas exibidas na tela
+const TOTALIZADORES = {
+  'S-5001': {
+    path: '/portal/Totalizadores/Trabalhador/ContribuicaoPrevidenciaria',
+    titulo: 'Bases e Contribuição Previdenciária por Trabalhador',
+    porCpf: true,
+    linhas: [['11 - Base de cálculo da contribuição previdenciária', '5.000,00'], ['108201 - Contribuição descontada do segurado', '550,00']]
+  },
+  'S-5003': {
+    path: '/portal/Totalizadores/Trabalhador/Fgts',
+    titulo: 'FGTS por Trabalhador',
+    porCpf: true,
+    linhas: [['11 - Remuneração base do FGTS', '5.000,00'], ['11 - Depósito do FGTS', '400,00']]
+  },
+  'S-5011': {
+    path: '/portal/Totalizadores/Empregador/ContribuicaoPrevidenciaria',
+    titulo: 'Contribuições Sociais do Empregador',
+    porCpf: false,
+    linhas: [['108201 - Contribuição previdenciária do segurado', '1.650,00'], ['109901 - Contribuição previdenciária patronal', '2.200,00']]
+  },
+  'S-5013': {
+    path: '/portal/Totalizadores/Empregador/Fgts',
+    titulo: 'FGTS do Empregador',
+    porCpf: false,
+    linhas: [['11 - Base de cálculo do FGTS', '15.000,00'], ['51 - Depósito do FGTS', '1.200,00']]
+  }
+};
+
+// CPFs válidos usados pelas variantes sem dados / erro / lento (demais CPFs retornam dados)
+const MOCK_CPFS = {
+  comDados: '52998224725',
+  semDados: '11144477735',
+  erro: '12345678909',
+  lento: '98765432100'
+};
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+// CN do e-CNPJ: "RAZAO SOCIAL:CNPJ"
+function parseClientCertificate(peer) {
+  const cn = (peer && peer.subject && peer.subject.CN) || '';
+  const [razaoSocial, cnpj] = cn.split(':');
+  return { razaoSocial: razaoSocial || cn, cnpj: digits(cnpj) || null };
+}
+
+class MockPortal {
+  constructor({
+    tls,
+    cpfsSemDados = [MOCK_CPFS.semDados],
+    cpfsErro = [MOCK_CPFS.erro],
+    cpfsLentos = [MOCK_CPFS.lento],
+    renderDelayMs = 8000
+  }) {
+    this.tls = tls;
+    this.cpfsSemDados = new Set(cpfsSemDados.map(digits));
+    this.cpfsErro = new Set(cpfsErro.map(digits));
+    this.cpfsLentos = new Set(cpfsLentos.map(digits));
+    this.renderDelayMs = renderDelayMs;
+    this.codes = new Map();
+    this.sessions = new Map();
+    this.consultas = [];
+    this.logins = [];
+    this.server = null;
+    this.port = null;
+  }
+
+  app() {
+    const app = express();
+
+    app.get('/login.aspx', (req, res) => {
+      res.type('html').send(renderFixture('portal/login.html'));
+    });
+
+    app.get('/authorize', (req, res) => {
+      res.type('html').send(renderFixture('portal/sso.html', { clientId: req.query.client_id || 'login.esocial.gov.br' }));
+    });
+
+    // certificado.sso.acesso.gov.br: autenticação pelo certificado cliente do handshake TLS
+    app.get('/login', (req, res) => {
+      const peer = req.socket.getPeerCertificate();
+      const clientId = req.query.client_id || 'login.esocial.gov.br';
+
+      if (!peer || !peer.subject) {
+        this.logins.push({ success: false, motivo: 'sem certificado' });
+        return res.status(401).type('html').send(renderFixture('portal/sso-erro.html', { clientId, motivo: 'nenhum certificado apresentado' }));
+      }
+      if (!req.socket.authorized) {
+        this.logins.push({ success: false, motivo: req.socket.authorizationError });
+        return res.status(401).type('html').send(renderFixture('portal/sso-erro.html', { clientId, motivo: req.socket.authorizationError }));
+      }
+
+      const titular = parseClientCertificate(peer);
+      const code = crypto.randomBytes(16).toString('hex');
+      this.codes.set(code, titular);
+      this.logins.push({ success: true, ...titular });
+      res.redirect(`https://login.esocial.gov.br/Callback?code=${code}`);
+    });
+
+    app.get('/Callback', (req, res) => {
+      const titular = this.codes.get(req.query.code);
+      this.codes.delete(req.query.code);
+      if (!titular) return res.redirect(LOGIN_URL);
+
+      const sessionId = crypto.randomBytes(16).toString('hex');
+      this.sessions.set(sessionId, titular);
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Domain=esocial.gov.br; Path=/; Secure; HttpOnly`);
+      res.redirect(HOME_URL);
+    });
+
+    // Área logada: sem sessão volta para o login (como sessão expirada no portal real)
+    app.use('/portal', (req, res, next) => {
+      const titular = this.sessions.get(readCookie(req, SESSION_COOKIE));
+      if (!titular) return res.redirect(LOGIN_URL);
+      req.titular = titular;
+      next();
+    });
+
+    app.get('/portal/Home/Inicial', (req, res) => {
+      res.type('html').send(renderFixture('portal/home.html', {
+        empregador: `${req.titular.razaoSocial} - ${req.titular.cnpj || ''}`
+      }));
+    });
+
+    app.get('/portal/Home/Sair', (req, res) => {
+      this.sessions.delete(readCookie(req, SESSION_COOKIE));
+      res.redirect(LOGIN_URL);
+    });
+
+    app.get(IRRF_PATH, (req, res) => {
+      res.type('html').send(renderFixture('portal/irrf.html'));
+    });
+
+    app.get(`${IRRF_PATH}/Consultar`, (req, res) => {
+      const cpf = digits(req.query.cpf);
+      const periodo = String(req.query.periodo || '').trim();
+      const match = periodo.match(/^(\d{2})\/(\d{4})$/);
+      this.consultas.push({ tipo: 'S-5002', cpf, periodo });
+
+      let resultado;
+      if (!match || cpf.length !== 11 || this.cpfsErro.has(cpf)) {
+        resultado = renderFixture('portal/irrf-erro.html');
+      } else if (this.cpfsSemDados.has(cpf)) {
+        resultado = renderFixture('portal/irrf-sem-dados.html');
+      } else {
+        resultado = renderFixture('portal/irrf-resultado.html', {
+          cpf: req.query.cpf,
+          cpfDigits: cpf,
+          periodo,
+          perApur: `${match[2]}-${match[1]}`
+        });
+
+        // Só a primeira consulta do CPF lento demora: a nova tentativa encontra o resultado
+        if (this.cpfsLentos.delete(cpf)) {
+          resultado = renderFixture('portal/irrf-lento.html', { resultado, delayMs: this.renderDelayMs }, { raw: ['resultado'] });
+        }
+      }
+
+      res.type('html').send(renderFixture('portal/irrf.html', { cpf: req.query.cpf, periodo, resultado }, { raw: ['resultado'] }));
+    });
+
+    app.get(`${IRRF_PATH}/download`, (req, res) => {
+      const cpf = digits(req.query.cpf);
+      const perApur = String(req.query.periodo || '');
+      const xml = renderS5002({ cpf, perApur, nrInsc: (req.titular.cnpj || '').substring(0, 8) });
+
+      res.setHeader('Content-Disposition', `attachment; filename="S-5002_${cpf}_${perApur.replace(/\D/g, '')}.xml"`);
+      res.type('application/xml').send(xml);
+    });
+
+    for (const [tipo, totalizador] of Object.entries(TOTALIZADORES)) {
+      this.totalizadorRoutes(app, tipo, totalizador);
+    }
+
+    return app;
+  }
+
+  /**
+   * Formulário, consulta e download de um totalizador (sem variante lenta: coberta pelo IRRF)
+   */
+  totalizadorRoutes(app, tipo, { path, titulo, porCpf, linhas }) {
+    const renderPage = ({ cpf, periodo, resultado } = {}) => renderFixture('portal/totalizador.html', {
+      titulo,
+      path,
+      periodo,
+      campoCpf: porCpf ? renderFixture('portal/totalizador-campo-cpf.html', { cpf }) : '',
+      resultado
+    }, { raw: ['campoCpf', 'resultado'] });
+
+    app.get(path, (req, res) => {
+      res.type('html').send(renderPage());
+    });
+
+    app.get(`${path}/Consultar`, (req, res) => {
+      const cpf = porCpf ? digits(req.query.cpf) : null;
+      const periodo = String(req.query.periodo || '').trim();
+      const match = periodo.match(/^(\d{2})\/(\d{4})$/);
+      this.consultas.push({ tipo, cpf, periodo });
+
+      let resultado;
+      if (!match) {
+        resultado = renderFixture('portal/totalizador-erro.html', { path, mensagem: 'Período de apuração inválido.' });
+      } else if (porCpf && (cpf.length !== 11 || this.cpfsErro.has(cpf))) {
+        resultado = renderFixture('portal/totalizador-erro.html', { path, mensagem: 'O CPF informado não possui vínculo com o empregador no período.' });
+      } else if (porCpf && this.cpfsSemDados.has(cpf)) {
+        resultado = renderFixture('portal/totalizador-sem-dados.html', { path });
+      } else {
+        const identificacao = porCpf ? [['CPF', req.query.cpf], ['Período', periodo]] : [['Período', periodo]];
+        resultado = renderFixture('portal/totalizador-resultado.html', {
+          titulo,
+          path,
+          linhas: [...identificacao, ...linhas]
+            .map(([label, valor]) => `<tr><th>${escapeMarkup(label)}</th><td>${escapeMarkup(valor)}</td></tr>`)
+            .join('\n    '),
+          cpfDigits: cpf || '',
+          perApur: `${match[2]}-${match[1]}`
+        }, { raw: ['linhas'] });
+      }
+
+      res.type('html').send(renderPage({ cpf: req.query.cpf, periodo, resultado }));
+    });
+
+    app.get(`${path}/download`, (req, res) => {
+      const cpf = porCpf ? digits(req.query.cpf) : '';
+      const perApur = String(req.query.periodo || '');
+      const nrInsc = (req.titular.cnpj || '').substring(0, 8);
+      const xml = renderEvento(tipo, { cpf, perApur, nrInsc });
+
+      res.setHeader('Content-Disposition', `attachment; filename="${tipo}_${cpf || nrInsc}_${perApur.replace(/\D/g, '')}.xml"`);
+      res.type('application/xml').send(xml);
+    });
+  }
+
+  /**
+   * Inicia o servidor (porta 0 = aleatória) e resolve com a porta em uso
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    this.server = https.createServer({
+      key: this.tls.privateKeyPem,
+      cert: this.tls.certificatePem,
+      ca: this.tls.caPem,
+      requestCert: true,
+      rejectUnauthorized: false // o SSO responde a página de erro em vez de derrubar o handshake
+    }, this.app());
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Regras --host-resolver-rules para o Chrome chegar a este servidor pelos hosts reais
+   */
+  hostRules() {
+    return `MAP *.gov.br 127.0.0.1:${this.port}`;
+  }
+
+  /**
+   * Invalida todas as sessões (simula expiração no portal)
+   */
+  expireSessions() {
+    this.sessions.clear();
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = { MockPortal, MOCK_CPFS, LOGIN_URL, HOME_URL };
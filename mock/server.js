@@ -0,0 +1,59 @@
+/**
+ * Sobe o portal e os web services simulados para uso manual (npm run mock)
+ *
+ * Gera uma PKI descartável em MOCK_PKI_DIR (ca.pem, client.pfx) e imprime as variáveis
+ * de ambiente para apontar o proxy para os mocks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestPki } = require('./test-pki');
+const { MockPortal, MOCK_CPFS } = require('./portal-server');
+const { MockWebServices } = require('./soap-server');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('Mock eSocial');
+
+const PORTAL_PORT = parseInt(process.env.MOCK_PORTAL_PORT, 10) || 9443;
+const WS_PORT = parseInt(process.env.MOCK_WS_PORT, 10) || 9444;
+const PKI_DIR = path.resolve(process.env.MOCK_PKI_DIR || path.join(__dirname, '..', 'data', 'mock-pki'));
+
+async function main() {
+  const pki = createTestPki();
+  const tls = { ...pki.server, caPem: pki.ca.certificatePem };
+
+  fs.mkdirSync(PKI_DIR, { recursive: true });
+  fs.writeFileSync(path.join(PKI_DIR, 'ca.pem'), pki.ca.certificatePem);
+  fs.writeFileSync(path.join(PKI_DIR, 'client.pfx'), Buffer.from(pki.client.certificatePfx, 'base64'), { mode: 0o600 });
+
+  const portal = new MockPortal({ tls });
+  const webServices = new MockWebServices({ tls });
+  await portal.listen(PORTAL_PORT);
+  await webServices.listen(WS_PORT);
+
+  log.info('Mocks do eSocial em execução', {
+    portal: PORTAL_PORT,
+    webServices: WS_PORT,
+    pki: PKI_DIR,
+    clientPfxPassword: pki.client.password,
+    cnpj: pki.client.cnpj,
+    cpfs: MOCK_CPFS,
+    env: {
+      ESOCIAL_WS_URL: webServices.url(),
+      ESOCIAL_WS_CA_FILE: path.join(PKI_DIR, 'ca.pem'),
+      ESOCIAL_PORTAL_HOST_RULES: portal.hostRules()
+    }
+  });
+
+  const shutdown = async () => {
+    await Promise.all([portal.close(), webServices.close()]);
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  log.error('Falha ao iniciar mocks:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+/**
+ * Web services SOAP do eSocial simulados (download, consulta e envio de lotes)
+ *
+ * Exige mTLS com certificado cliente emitido pela CA de teste, confere o caminho do
+ * serviço e o SOAPAction e responde com as fixtures de mock/fixtures/soap.
+ * Inscrições em `faultInscricoes` recebem SOAP Fault (variante de erro).
+ * failNext() injeta falhas transitórias (HTTP 5xx ou conexão derrubada) nas próximas chamadas.
+ */
+
+const https = require('https');
+const express = require('express');
+const { renderFixture, renderS5002 } = require('./fixtures');
+const { MOCK_CPFS } = require('./portal-server');
+
+const SERVICES = {
+  '/servicos/empregador/download/WsDownload.svc': {
+    action: 'download',
+    soapAction: 'http://www.esocial.gov.br/servicos/empregador/download/v1_0_0/ServicoDownload/Download'
+  },
+  '/servicos/empregador/consultarloteeventos/WsConsultarLoteEventos.svc': {
+    action: 'consultar',
+    soapAction: 'http://www.esocial.gov.br/servicos/empregador/consulta/retornoProcessamento/v1_0_0/ServicoConsultarLoteEventos/ConsultarLoteEventos'
+  },
+  '/servicos/empregador/enviarloteeventos/WsEnviarLoteEventos.svc': {
+    action: 'enviar',
+    soapAction: 'http://www.esocial.gov.br/servicos/empregador/lote/eventos/envio/v1_1_0/ServicoEnviarLoteEventos/EnviarLoteEventos'
+  }
+};
+
+function extractTag(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}[^>]*>([^<]*)</(?:\\w+:)?${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+function soapFault(res, status, mensagem) {
+  res.status(status).type('application/soap+xml; charset=utf-8').send(renderFixture('soap/fault.xml', { mensagem }));
+}
+
+class MockWebServices {
+  constructor({ tls, faultInscricoes = [], cpf = MOCK_CPFS.comDados }) {
+    this.tls = tls;
+    this.faultInscricoes = new Set(faultInscricoes);
+    this.cpf = cpf;
+    this.requests = [];
+    this.lotes = 0;
+    this.failures = [];
+    this.server = null;
+    this.port = null;
+  }
+
+  app() {
+    const app = express();
+    app.use(express.text({ type: '*/*', limit: '10mb' }));
+
+    app.post('*', (req, res) => {
+      const service = SERVICES[req.path];
+      const peer = req.socket.getPeerCertificate();
+      const soapAction = req.get('SOAPAction') || null;
+      const body = typeof req.body === 'string' ? req.body : '';
+
+      this.requests.push({
+        path: req.path,
+        action: service ? service.action : null,
+        soapAction,
+        client: peer && peer.subject ? peer.subject.CN : null,
+        body
+      });
+
+      const failure = this.failures.shift();
+      if (failure && failure.reset) {
+        return req.socket.destroy();
+      }
+      if (failure) {
+        if (failure.retryAfter !== undefined) res.setHeader('Retry-After', String(failure.retryAfter));
+        return res.status(failure.status).type('text/html').send(`<html><body>HTTP ${failure.status}</body></html>`);
+      }
+
+      if (!service) {
+        return res.status(404).type('text/plain').send('Serviço não encontrado');
+      }
+      if (!String(req.get('Content-Type') || '').startsWith('application/soap+xml')) {
+        return res.status(415).type('text/plain').send('Content-Type deve ser application/soap+xml');
+      }
+      if (soapAction !== service.soapAction) {
+        return soapFault(res, 500, `A ação '${soapAction}' não é suportada pelo serviço`);
+      }
+
+      const nrInsc = extractTag(body, 'nrInsc');
+      if (nrInsc && this.faultInscricoes.has(nrInsc)) {
+        return soapFault(res, 500, `Empregador ${nrInsc} não autorizado para o certificado apresentado`);
+      }
+
+      res.type('application/soap+xml; charset=utf-8').send(this.respond(service.action, body, nrInsc));
+    });
+
+    return app;
+  }
+
+  respond(action, body, nrInsc) {
+    if (action === 'download') {
+      const evento = renderS5002({ cpf: this.cpf, perApur: extractTag(body, 'perApur') || '2024-01', nrInsc });
+      return renderFixture('soap/download.xml', { evento }, { raw: ['evento'] });
+    }
+
+    if (action === 'enviar') {
+      this.lotes += 1;
+      const protocoloEnvio = `1.2.${new Date().toISOString().substring(0, 7).replace('-', '')}.${String(this.lotes).padStart(19, '0')}`;
+      return renderFixture('soap/envio.xml', { nrInsc, protocoloEnvio });
+    }
+
+    return renderFixture('soap/consulta.xml', { protocoloEnvio: extractTag(body, 'protocoloEnvio') });
+  }
+
+  /**
+   * As próximas `count` chamadas falham com HTTP `status` (ou conexão derrubada com reset: true)
+   */
+  failNext(count, { status = 503, retryAfter, reset = false } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ status, retryAfter, reset });
+    }
+  }
+
+  /**
+   * Inicia o servidor (porta 0 = aleatória) e resolve com a porta em uso.
+   * Sem certificado cliente válido o handshake TLS é recusado.
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    this.server = https.createServer({
+      key: this.tls.privateKeyPem,
+      cert: this.tls.certificatePem,
+      ca: this.tls.caPem,
+      requestCert: true,
+      rejectUnauthorized: true,
+      // Como os web services do eSocial: TLS 1.2, certificado cliente recusado com alerta no handshake
+      maxVersion: 'TLSv1.2'
+    }, this.app());
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  url() {
+    return `https://localhost:${this.port}`;
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = { MockWebServices };
@@ -0,0 +1,141 @@
+/**
+ * PKI descartável para testes offline
+ *
+ * Gera uma CA de teste, o certificado TLS dos servidores simulados (localhost e hosts
+ * *.gov.br) e um e-CNPJ de cliente no formato ICP-Brasil (CNPJ no otherName 2.16.76.1.3.3).
+ * Nada aqui deve ser usado fora de testes: as chaves vivem só na memória do processo.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const { asn1, pki } = forge;
+
+// Hosts atendidos pelo portal/web services simulados
+const MOCK_HOSTNAMES = [
+  'localhost',
+  'login.esocial.gov.br',
+  'www.esocial.gov.br',
+  'sso.acesso.gov.br',
+  'certificado.sso.acesso.gov.br',
+  'webservices.esocial.gov.br',
+  'webservices.producaorestrita.esocial.gov.br'
+];
+
+// RSA via crypto nativo: gerar com o forge em JS puro leva segundos por chave
+function generateKeys() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const forgeKey = pki.privateKeyFromPem(privateKeyPem);
+  return { privateKey: forgeKey, publicKey: pki.setRsaPublicKey(forgeKey.n, forgeKey.e), privateKeyPem };
+}
+
+function buildCertificate({ subject, issuer, publicKey, signingKey, extensions, days = 30 }) {
+  const cert = pki.createCertificate();
+  cert.publicKey = publicKey;
+  cert.serialNumber = '01' + crypto.randomBytes(8).toString('hex');
+  cert.validity.notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  cert.setSubject(subject);
+  cert.setIssuer(issuer || subject);
+  cert.setExtensions(extensions);
+  cert.sign(signingKey, forge.md.sha256.create());
+  return cert;
+}
+
+// otherName ICP-Brasil: [0] { type-id OID, [0] EXPLICIT OCTET STRING }
+function otherName(oid, value) {
+  return asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, value)
+    ])
+  ]);
+}
+
+/**
+ * Cria CA, certificado de servidor e e-CNPJ de cliente.
+ * Retorna PEMs e o PFX do cliente em base64 (como enviado ao proxy).
+ */
+function createTestPki({ cnpj = '12345678000195', razaoSocial = 'EMPRESA TESTE LTDA', pfxPassword = 'teste123' } = {}) {
+  const caKeys = generateKeys();
+  const caSubject = [
+    { name: 'commonName', value: 'AC Teste eSocial Proxy' },
+    { name: 'organizationName', value: 'ICP-Teste' },
+    { name: 'countryName', value: 'BR' }
+  ];
+  const caCert = buildCertificate({
+    subject: caSubject,
+    publicKey: caKeys.publicKey,
+    signingKey: caKeys.privateKey,
+    days: 365,
+    extensions: [
+      { name: 'basicConstraints', cA: true, critical: true },
+      { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+      { name: 'subjectKeyIdentifier' }
+    ]
+  });
+
+  const serverKeys = generateKeys();
+  const serverCert = buildCertificate({
+    subject: [{ name: 'commonName', value: 'localhost' }],
+    issuer: caSubject,
+    publicKey: serverKeys.publicKey,
+    signingKey: caKeys.privateKey,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          ...MOCK_HOSTNAMES.map(value => ({ type: 2, value })),
+          { type: 7, ip: '127.0.0.1' }
+        ]
+      }
+    ]
+  });
+
+  const clientKeys = generateKeys();
+  const clientCert = buildCertificate({
+    subject: [
+      { name: 'commonName', value: `${razaoSocial}:${cnpj}` },
+      { name: 'organizationalUnitName', value: 'Certificado PJ A1' },
+      { name: 'organizationName', value: 'ICP-Teste' },
+      { name: 'countryName', value: 'BR' }
+    ],
+    issuer: caSubject,
+    publicKey: clientKeys.publicKey,
+    signingKey: caKeys.privateKey,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, nonRepudiation: true, keyEncipherment: true },
+      { name: 'extKeyUsage', clientAuth: true, emailProtection: true },
+      {
+        name: 'subjectAltName',
+        value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          otherName('2.16.76.1.3.2', 'RESPONSAVEL TESTE'),
+          otherName('2.16.76.1.3.3', cnpj)
+        ])
+      }
+    ]
+  });
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(clientKeys.privateKey, [clientCert, caCert], pfxPassword, {
+    algorithm: '3des'
+  });
+
+  return {
+    ca: { certificatePem: pki.certificateToPem(caCert), privateKeyPem: caKeys.privateKeyPem },
+    server: { certificatePem: pki.certificateToPem(serverCert), privateKeyPem: serverKeys.privateKeyPem },
+    client: {
+      cnpj,
+      certificatePem: pki.certificateToPem(clientCert),
+      privateKeyPem: clientKeys.privateKeyPem,
+      certificatePfx: Buffer.from(asn1.toDer(p12).getBytes(), 'binary').toString('base64'),
+      password: pfxPassword
+    }
+  };
+}
+
+module.exports = { createTestPki, MOCK_HOSTNAMES };
@@ -0,0 +1,116 @@
+/**
+ * Parser da resposta do web service de download de eventos (SolicitarDownloadEventos)
+ * 
+ * Extrai o status da solicitação e cada evento devolvido, decodificando
+ * o conteúdo em base64 (e descompactando gzip/zip) quando necessário.
+ */
+
+const zlib = require('zlib');
+const { findFirst, findAll, text } = require('./xml');
+const { parseSoapBody, parseStatus, parseOcorrencia } = require('./soap');
+const { identifyEvent } = require('./eventos');
+const { isZip, unzip } = require('./zip');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('eSocial Download');
+
+/**
+ * Retorna { cdResposta, descResposta, ocorrencias, eventos: [{ tipo, id, nrRecibo, xml }] }
+ */
+function parseDownloadResponse(soapXml) {
+  const body = parseSoapBody(soapXml);
+  const retorno = findFirst(body, 'retornoSolicDownloadEvts') || findFirst(body, 'download') || body;
+
+  const status = parseStatus(retorno.status || findFirst(retorno, 'status'));
+  const ocorrencias = findAll(retorno.status || {}, 'ocorrencia').map(parseOcorrencia);
+
+  const eventos = [];
+  for (const arquivo of extractRawElements(soapXml, 'arquivo')) {
+    eventos.push(...parseArquivo(arquivo));
+  }
+
+  return { ...status, ocorrencias, eventos };
+}
+
+/**
+ * Cada <arquivo> traz status próprio e o evento em <evt> (XML embutido ou base64)
+ */
+function parseArquivo(rawArquivo) {
+  const status = parseStatus({
+    cdResposta: extractRawText(rawArquivo, 'cdResposta'),
+    descResposta: extractRawText(rawArquivo, 'descResposta')
+  });
+  const nrRecArquivo = extractRawText(rawArquivo, 'nrRec');
+  const idArquivo = extractRawText(rawArquivo, 'id');
+
+  const conteudo = extractRawElements(rawArquivo, 'evt')[0];
+  if (!conteudo || !conteudo.trim()) {
+    return [{ tipo: null, id: idArquivo, nrRecibo: nrRecArquivo, ...status, xml: null }];
+  }
+
+  return decodePayload(conteudo).map(({ nome, xml }) => {
+    let info = { tipo: null, id: null, nrRecibo: null };
+    try {
+      info = identifyEvent(xml);
+    } catch (e) {
+      log.warn('Evento com XML inválido:', e.message);
+    }
+
+    return {
+      tipo: info.tipo,
+      id: info.id || idArquivo,
+      nrRecibo: nrRecArquivo || info.nrRecibo,
+      ...status,
+      arquivo: nome,
+      xml
+    };
+  });
+}
+
+/**
+ * Decodifica o conteúdo do evento: XML direto, base64, base64+gzip ou base64+zip
+ */
+function decodePayload(conteudo) {
+  const trimmed = conteudo.trim();
+
+  if (trimmed.startsWith('<')) {
+    return [{ nome: null, xml: trimmed }];
+  }
+
+  let buffer = Buffer.from(trimmed.replace(/\s+/g, ''), 'base64');
+
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  if (isZip(buffer)) {
+    return unzip(buffer)
+      .filter(entry => entry.name.toLowerCase().endsWith('.xml'))
+      .map(entry => ({ nome: entry.name, xml: entry.data.toString('utf8').trim() }));
+  }
+
+  return [{ nome: null, xml: buffer.toString('utf8').trim() }];
+}
+
+/**
+ * Conteúdo bruto de todos os elementos com o nome informado (com ou sem prefixo de namespace).
+ * Necessário porque o XML do evento precisa ser devolvido intacto (assinatura).
+ */
+function extractRawElements(xml, tagName) {
+  const regex = new RegExp(`<((?:[\\w-]+:)?${tagName})(?:\\s[^>]*)?>([\\s\\S]*?)</\\1>`, 'g');
+  const results = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    results.push(match[2]);
+  }
+  return results;
+}
+
+function extractRawText(xml, tagName) {
+  const raw = extractRawElements(xml, tagName)[0];
+  if (raw === undefined) return null;
+  const value = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+  return value === '' || value.startsWith('<') ? null : value;
+}
+
+module.exports = { parseDownloadResponse, decodePayload };
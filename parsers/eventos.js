@@ -0,0 +1,92 @@
+/**
+ * Identificação dos eventos do eSocial pelo elemento raiz (evtXxx)
+ */
+
+const { parseXml, text } = require('./xml');
+
+const EVENT_TYPES = {
+  evtInfoEmpregador: 'S-1000',
+  evtTabEstab: 'S-1005',
+  evtTabRubrica: 'S-1010',
+  evtTabLotacao: 'S-1020',
+  evtTabProcesso: 'S-1070',
+  evtRemun: 'S-1200',
+  evtRmnRPPS: 'S-1202',
+  evtBenPrRP: 'S-1207',
+  evtPgtos: 'S-1210',
+  evtComProd: 'S-1260',
+  evtContratAvNP: 'S-1270',
+  evtInfoComplPer: 'S-1280',
+  evtReabreEvPer: 'S-1298',
+  evtFechaEvPer: 'S-1299',
+  evtAdmPrelim: 'S-2190',
+  evtAdmissao: 'S-2200',
+  evtAltCadastral: 'S-2205',
+  evtAltContratual: 'S-2206',
+  evtCAT: 'S-2210',
+  evtMonit: 'S-2220',
+  evtAfastTemp: 'S-2230',
+  evtExpRisco: 'S-2240',
+  evtReintegr: 'S-2298',
+  evtDeslig: 'S-2299',
+  evtTSVInicio: 'S-2300',
+  evtTSVAltContr: 'S-2306',
+  evtTSVTermino: 'S-2399',
+  evtExclusao: 'S-3000',
+  evtBasesTrab: 'S-5001',
+  evtIrrfBenef: 'S-5002',
+  evtBasesFGTS: 'S-5003',
+  evtCS: 'S-5011',
+  evtIrrf: 'S-5012',
+  evtFGTS: 'S-5013'
+};
+
+/**
+ * Retorna { tipo, tag, id, nrRecibo } do primeiro evento encontrado no XML
+ */
+function identifyEvent(xml) {
+  const doc = parseXml(xml);
+  const found = findEventNode(doc);
+
+  if (!found) {
+    return { tipo: null, tag: null, id: null, nrRecibo: null };
+  }
+
+  const { tag, node } = found;
+  return {
+    tipo: EVENT_TYPES[tag] || null,
+    tag,
+    id: node['@_Id'] || null,
+    nrRecibo: findReceipt(doc)
+  };
+}
+
+function findEventNode(node) {
+  if (!node || typeof node !== 'object') return null;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (/^evt[A-Z]/.test(key) && value && typeof value === 'object') {
+      return { tag: key, node: Array.isArray(value) ? value[0] : value };
+    }
+    if (key.startsWith('@_')) continue;
+
+    const found = findEventNode(value);
+    if (found) return found;
+  }
+  return null;
+}
+
+// O recibo aparece em retornoEvento/recibo/nrRecibo nos eventos processados
+function findReceipt(doc) {
+  const stack = [doc];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object') continue;
+    if (node.nrRecibo !== undefined) return text(node.nrRecibo);
+    if (node.nrRec !== undefined) return text(node.nrRec);
+    stack.push(...Object.values(node));
+  }
+  return null;
+}
+
+module.exports = { EVENT_TYPES, identifyEvent };
@@ -0,0 +1,31 @@
+/**
+ * Parser do retorno de EnviarLoteEventos (retornoEnvioLoteEventos)
+ * 
+ * O número de protocolo devolvido é usado depois na ação consultar.
+ */
+
+const { findFirst, findAll, text } = require('./xml');
+const { parseSoapBody, parseStatus, parseOcorrencia } = require('./soap');
+
+function parseRetornoEnvio(soapXml) {
+  const body = parseSoapBody(soapXml);
+  const retorno = findFirst(body, 'retornoEnvioLoteEventos');
+
+  if (!retorno) {
+    throw new Error('Resposta não contém retornoEnvioLoteEventos');
+  }
+
+  const recepcao = retorno.dadosRecepcaoLote || {};
+
+  return {
+    ...parseStatus(retorno.status),
+    // 201 = lote recebido com sucesso; demais códigos indicam rejeição do lote
+    recebido: text(retorno.status && retorno.status.cdResposta) === '201',
+    protocoloEnvio: text(recepcao.protocoloEnvio),
+    dhRecepcao: text(recepcao.dhRecepcao),
+    versaoAplicativoRecepcao: text(recepcao.versaoAplicativoRecepcao),
+    ocorrencias: findAll(retorno.status || {}, 'ocorrencia').map(parseOcorrencia)
+  };
+}
+
+module.exports = { parseRetornoEnvio };
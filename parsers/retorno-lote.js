@@ -0,0 +1,69 @@
+/**
+ * Parser do retorno de ConsultarLoteEventos (retornoProcessamentoLoteEventos)
+ * 
+ * Devolve a situação do lote, as ocorrências do lote e, por evento,
+ * o status do processamento, o recibo e as ocorrências.
+ */
+
+const { findFirst, findAll, asArray, text } = require('./xml');
+const { parseSoapBody, parseStatus, parseOcorrencia } = require('./soap');
+
+/**
+ * Situação do lote a partir do cdResposta (1xx aguardando, 2xx processado, demais erro)
+ */
+function situacaoLote(cdResposta) {
+  if (!cdResposta) return null;
+  if (cdResposta.startsWith('1')) return 'em_processamento';
+  if (cdResposta.startsWith('2')) return 'processado';
+  return 'erro';
+}
+
+function parseRetornoLote(soapXml) {
+  const body = parseSoapBody(soapXml);
+  const retorno = findFirst(body, 'retornoProcessamentoLoteEventos');
+
+  if (!retorno) {
+    throw new Error('Resposta não contém retornoProcessamentoLoteEventos');
+  }
+
+  const status = parseStatus(retorno.status);
+  const recepcao = retorno.dadosRecepcaoLote || {};
+  const eventosNode = retorno.retornoEventos || {};
+
+  return {
+    ...status,
+    situacao: situacaoLote(status.cdResposta),
+    tempoEstimadoConclusao: text(retorno.status && retorno.status.tempoEstimadoConclusao),
+    protocoloEnvio: text(recepcao.protocoloEnvio),
+    dhRecepcao: text(recepcao.dhRecepcao),
+    ocorrencias: findAll(retorno.status || {}, 'ocorrencia').map(parseOcorrencia),
+    eventos: asArray(eventosNode.evento).map(parseEvento)
+  };
+}
+
+function parseEvento(evento) {
+  const retornoEvento = findRetornoEvento(evento);
+  const processamento = retornoEvento.processamento || {};
+  const recibo = retornoEvento.recibo || {};
+
+  return {
+    id: evento['@_Id'] || null,
+    ...parseStatus(processamento),
+    dhProcessamento: text(processamento.dhProcessamento),
+    nrRecibo: text(recibo.nrRecibo),
+    hash: text(recibo.hash),
+    ocorrencias: findAll(processamento, 'ocorrencia').map(parseOcorrencia),
+    totalizadores: asArray(evento.tot).map(tot => tot['@_tipo'] || null).filter(Boolean)
+  };
+}
+
+// retornoEvento vem embrulhado em <retornoEvento><eSocial><retornoEvento>
+function findRetornoEvento(evento) {
+  let node = evento.retornoEvento;
+  while (node && !node.processamento) {
+    node = node.eSocial || node.retornoEvento;
+  }
+  return node || {};
+}
+
+module.exports = { parseRetornoLote, situacaoLote };
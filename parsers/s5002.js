@@ -0,0 +1,194 @@
+/**
+ * Parser do S-5002 (evtIrrfBenef - Imposto de Renda Retido na Fonte por trabalhador)
+ * 
+ * Normaliza tanto o XML baixado (downloadXML) quanto os dados extraídos da tela
+ * (extractDataFromScreen) para o mesmo formato JSON.
+ */
+
+const { parseXml, asArray, findFirst, findAll, text, parseDecimal } = require('./xml');
+
+/**
+ * Converte o XML do S-5002 em JSON estruturado
+ */
+function parseS5002Xml(xml) {
+  const doc = parseXml(xml);
+  const evento = findFirst(doc, 'evtIrrfBenef');
+
+  if (!evento) {
+    throw new Error('XML não contém evento S-5002 (evtIrrfBenef)');
+  }
+
+  const ideEvento = evento.ideEvento || {};
+  const ideEmpregador = evento.ideEmpregador || {};
+  const ideTrabalhador = evento.ideTrabalhador || {};
+
+  const demonstrativos = asArray(ideTrabalhador.dmDev).map(dmDev => ({
+    ideDmDev: text(dmDev.ideDmDev),
+    perRef: text(dmDev.perRef),
+    tpPgto: text(dmDev.tpPgto),
+    dtPgto: text(dmDev.dtPgto),
+    codCateg: text(dmDev.codCateg),
+    rendimentos: asArray(dmDev.infoIR).map(info => ({
+      tpInfoIR: text(info.tpInfoIR),
+      valor: parseDecimal(info.valor),
+      descricao: text(info.descRendimento)
+    }))
+  }));
+
+  // Leiaute S-1.0: bases agrupadas em infoIrrf/basesIrrf (tpValor + valor)
+  const basesLegadas = findAll(ideTrabalhador, 'basesIrrf').map(base => ({
+    tpInfoIR: text(base.tpValor),
+    valor: parseDecimal(base.valor),
+    descricao: null
+  }));
+  if (basesLegadas.length > 0) {
+    demonstrativos.push({
+      ideDmDev: null,
+      perRef: text(ideEvento.perApur),
+      tpPgto: null,
+      dtPgto: null,
+      codCateg: null,
+      rendimentos: basesLegadas
+    });
+  }
+
+  const consolidacoes = [
+    ...findAll(ideTrabalhador, 'consolidApurMen'),
+    ...findAll(ideTrabalhador, 'totApurMen')
+  ].map(parseConsolidacao);
+
+  return buildResult({
+    origem: 'xml',
+    id: evento['@_Id'] || null,
+    nrRecArqBase: text(ideEvento.nrRecArqBase),
+    perApur: text(ideEvento.perApur),
+    empregador: {
+      tpInsc: text(ideEmpregador.tpInsc),
+      nrInsc: text(ideEmpregador.nrInsc)
+    },
+    cpf: text(ideTrabalhador.cpfBenef) || text(ideTrabalhador.cpfTrab),
+    demonstrativos,
+    consolidacoes,
+    dependentes: findAll(ideTrabalhador, 'ideDep').map(dep => ({
+      cpf: text(dep.cpfDep),
+      nome: text(dep.nome),
+      dtNascto: text(dep.dtNascto),
+      tpDep: text(dep.tpDep),
+      depIRRF: text(dep.depIRRF)
+    })),
+    deducoesDependentes: [
+      ...findAll(ideTrabalhador, 'dedDepen').map(ded => ({
+        tpRend: text(ded.tpRend),
+        cpfDep: text(ded.cpfDep),
+        valor: parseDecimal(ded.vlrDedDep)
+      })),
+      // Leiaute S-1.0: valor total em infoDep/vrDedDep
+      ...findAll(ideTrabalhador, 'infoDep').map(dep => ({
+        tpRend: null,
+        cpfDep: null,
+        valor: parseDecimal(dep.vrDedDep)
+      }))
+    ],
+    pensoesAlimenticias: findAll(ideTrabalhador, 'penAlim').map(pen => ({
+      tpRend: text(pen.tpRend),
+      cpfDep: text(pen.cpfDep),
+      valor: parseDecimal(pen.vlrDedPenAlim)
+    }))
+  });
+}
+
+/**
+ * Normaliza o mapa label -> texto extraído da tela para o formato do XML.
+ * Labels no formato "11 - Remuneração mensal" preservam o código tpInfoIR.
+ */
+function normalizeScreenData(dados, { cpf, periodo } = {}) {
+  const rendimentos = [];
+  let cpfTela = null;
+  let periodoTela = null;
+
+  for (const [label, value] of Object.entries(dados || {})) {
+    const labelLower = label.toLowerCase();
+
+    if (labelLower.includes('cpf') && !cpfTela) {
+      cpfTela = String(value).replace(/\D/g, '') || null;
+      continue;
+    }
+    if ((labelLower.includes('período') || labelLower.includes('periodo')) && !periodoTela) {
+      periodoTela = String(value).trim();
+      continue;
+    }
+
+    const valor = parseDecimal(value);
+    if (valor === null) continue;
+
+    const codigo = label.match(/^\s*(\d{2,3})\s*[-–]\s*/);
+    rendimentos.push({
+      tpInfoIR: codigo ? codigo[1] : null,
+      valor,
+      descricao: codigo ? label.substring(codigo[0].length).trim() : label
+    });
+  }
+
+  return buildResult({
+    origem: 'tela',
+    id: null,
+    nrRecArqBase: null,
+    perApur: periodo || periodoTela,
+    empregador: null,
+    cpf: (cpf && String(cpf).replace(/\D/g, '')) || cpfTela,
+    demonstrativos: rendimentos.length > 0 ? [{
+      ideDmDev: null,
+      perRef: periodo || periodoTela,
+      tpPgto: null,
+      dtPgto: null,
+      codCateg: null,
+      rendimentos
+    }] : [],
+    consolidacoes: [],
+    dependentes: [],
+    deducoesDependentes: [],
+    pensoesAlimenticias: []
+  });
+}
+
+function parseConsolidacao(node) {
+  const consolidacao = { CRMen: text(node.CRMen) };
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'CRMen' || typeof value === 'object') continue;
+    consolidacao[key] = parseDecimal(value);
+  }
+  return consolidacao;
+}
+
+function buildResult(data) {
+  // Soma dos valores por tpInfoIR em todos os demonstrativos
+  const totaisPorTipo = {};
+  for (const dm of data.demonstrativos) {
+    for (const rend of dm.rendimentos) {
+      if (!rend.tpInfoIR || rend.valor === null) continue;
+      totaisPorTipo[rend.tpInfoIR] = round2((totaisPorTipo[rend.tpInfoIR] || 0) + rend.valor);
+    }
+  }
+
+  return {
+    evento: 'S-5002',
+    origem: data.origem,
+    id: data.id,
+    nrRecArqBase: data.nrRecArqBase,
+    cpf: data.cpf,
+    periodo: data.perApur,
+    empregador: data.empregador,
+    demonstrativos: data.demonstrativos,
+    totaisPorTipo,
+    consolidacoes: data.consolidacoes,
+    dependentes: data.dependentes,
+    deducoesDependentes: data.deducoesDependentes,
+    pensoesAlimenticias: data.pensoesAlimenticias
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { parseS5002Xml, normalizeScreenData };
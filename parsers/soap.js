@@ -0,0 +1,55 @@
+/**
+ * Helpers para respostas SOAP dos web services do eSocial
+ */
+
+const { parseXml, findFirst, text } = require('./xml');
+
+/**
+ * Extrai o conteúdo do Body do envelope SOAP.
+ * Lança erro com a mensagem do Fault (SOAP 1.1 ou 1.2) quando houver.
+ */
+function parseSoapBody(xml) {
+  const doc = parseXml(xml);
+  const body = findFirst(doc, 'Body');
+
+  if (!body) {
+    throw new Error('Resposta do eSocial não é um envelope SOAP válido');
+  }
+
+  const fault = body.Fault;
+  if (fault) {
+    const reason = text(findFirst(fault, 'Text')) || text(fault.faultstring) || 'SOAP Fault sem descrição';
+    const code = text(findFirst(fault, 'Value')) || text(fault.faultcode);
+    const error = new Error(`SOAP Fault${code ? ` (${code})` : ''}: ${reason}`);
+    error.soapFault = { code, reason };
+    throw error;
+  }
+
+  return body;
+}
+
+/**
+ * Status padrão dos retornos do eSocial (cdResposta / descResposta + ocorrências)
+ */
+function parseStatus(node) {
+  if (!node) return { cdResposta: null, descResposta: null };
+
+  return {
+    cdResposta: text(node.cdResposta),
+    descResposta: text(node.descResposta)
+  };
+}
+
+/**
+ * Ocorrência de retorno (erro/advertência) com localização do problema no XML
+ */
+function parseOcorrencia(node) {
+  return {
+    codigo: text(node.codigo),
+    descricao: text(node.descricao),
+    tipo: text(node.tipo),
+    localizacao: text(node.localizacao)
+  };
+}
+
+module.exports = { parseSoapBody, parseStatus, parseOcorrencia };
@@ -0,0 +1,139 @@
+/**
+ * Parser dos totalizadores S-5001, S-5003, S-5011 e S-5013
+ *
+ * Cada leiaute declara o elemento raiz do evento e os totais a somar: para cada grupo
+ * repetido (node), o código (chave) e o valor somado por código. O S-5002 tem parser
+ * próprio (s5002.js), com demonstrativos e dependentes.
+ */
+
+const { parseXml, findFirst, findAll, text, parseDecimal } = require('./xml');
+
+const LAYOUTS = {
+  'S-5001': {
+    evento: 'evtBasesTrab',
+    trabalhador: true,
+    totais: {
+      basesPorTipo: { node: 'infoBaseCS', chave: 'tpValor', valor: 'valor' },
+      contribuicoesPorCR: { node: 'infoCpCalc', chave: 'tpCR', valor: 'vrDescSeg' }
+    }
+  },
+  'S-5003': {
+    evento: 'evtBasesFGTS',
+    trabalhador: true,
+    totais: {
+      basesPorTipo: { node: 'basePerApur', chave: 'tpValor', valor: 'remFGTS' },
+      depositosPorTipo: { node: 'basePerApur', chave: 'tpValor', valor: 'dpsFGTS' }
+    }
+  },
+  'S-5011': {
+    evento: 'evtCS',
+    trabalhador: false,
+    totais: {
+      contribuicoesPorCR: { node: 'infoCRContrib', chave: 'tpCR', valor: 'vrCR' }
+    }
+  },
+  'S-5013': {
+    evento: 'evtFGTS',
+    trabalhador: false,
+    totais: {
+      basesPorTipo: { node: 'basePerApur', chave: 'tpValor', valor: 'baseFGTS' },
+      depositosPorTipo: { node: 'dpsPerApur', chave: 'tpDps', valor: 'vrFGTS' }
+    }
+  }
+};
+
+function layoutFor(tipo) {
+  const layout = LAYOUTS[tipo];
+  if (!layout) {
+    throw new Error(`Totalizador ${tipo} não suportado`);
+  }
+  return layout;
+}
+
+/**
+ * Converte o XML do totalizador em JSON com identificação e totais por código
+ */
+function parseTotalizadorXml(xml, tipo) {
+  const layout = layoutFor(tipo);
+  const doc = parseXml(xml);
+  const evento = findFirst(doc, layout.evento);
+
+  if (!evento) {
+    throw new Error(`XML não contém evento ${tipo} (${layout.evento})`);
+  }
+
+  const ideEvento = evento.ideEvento || {};
+  const ideEmpregador = evento.ideEmpregador || {};
+  const ideTrabalhador = evento.ideTrabalhador || {};
+
+  const totais = {};
+  for (const [nome, { node, chave, valor }] of Object.entries(layout.totais)) {
+    totais[nome] = {};
+    for (const grupo of findAll(evento, node)) {
+      const codigo = text(grupo[chave]);
+      const numero = parseDecimal(grupo[valor]);
+      if (!codigo || numero === null) continue;
+      totais[nome][codigo] = round2((totais[nome][codigo] || 0) + numero);
+    }
+  }
+
+  return {
+    evento: tipo,
+    origem: 'xml',
+    id: evento['@_Id'] || null,
+    // Em ideEvento; no S-5013 o recibo do arquivo base fica em infoFGTS
+    nrRecArqBase: text(findFirst(evento, 'nrRecArqBase')),
+    indApuracao: text(ideEvento.indApuracao),
+    periodo: text(ideEvento.perApur),
+    empregador: {
+      tpInsc: text(ideEmpregador.tpInsc),
+      nrInsc: text(ideEmpregador.nrInsc)
+    },
+    cpf: layout.trabalhador ? text(ideTrabalhador.cpfTrab) : null,
+    ...totais
+  };
+}
+
+/**
+ * Normaliza o mapa label -> texto extraído da tela. Labels "1000 - Descrição" preservam o código.
+ */
+function normalizeTotalizadorScreen(dados, { tipo, cpf, periodo } = {}) {
+  const layout = layoutFor(tipo);
+  const valores = [];
+
+  for (const [label, value] of Object.entries(dados || {})) {
+    const labelLower = label.toLowerCase();
+    if (labelLower.includes('cpf') || labelLower.includes('cnpj') ||
+        labelLower.includes('período') || labelLower.includes('periodo')) {
+      continue;
+    }
+
+    const valor = parseDecimal(value);
+    if (valor === null) continue;
+
+    const codigo = label.match(/^\s*(\d{2,6})\s*[-–]\s*/);
+    valores.push({
+      codigo: codigo ? codigo[1] : null,
+      descricao: codigo ? label.substring(codigo[0].length).trim() : label,
+      valor
+    });
+  }
+
+  return {
+    evento: tipo,
+    origem: 'tela',
+    id: null,
+    nrRecArqBase: null,
+    indApuracao: null,
+    periodo: periodo || null,
+    empregador: null,
+    cpf: layout.trabalhador && cpf ? String(cpf).replace(/\D/g, '') : null,
+    valores
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { parseTotalizadorXml, normalizeTotalizadorScreen, TOTALIZADOR_LAYOUTS: LAYOUTS };
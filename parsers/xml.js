@@ -0,0 +1,113 @@
+/**
+ * Utilitários de XML compartilhados pelos parsers do eSocial
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  // Manter tudo como string: CPF/CNPJ e códigos têm zeros à esquerda
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true
+});
+
+/**
+ * Converte XML em objeto (namespaces removidos, atributos com prefixo @_)
+ */
+function parseXml(xml) {
+  if (!xml || typeof xml !== 'string') {
+    throw new Error('XML vazio ou inválido');
+  }
+  return parser.parse(xml);
+}
+
+/**
+ * Garante array para tags que podem aparecer uma ou várias vezes
+ */
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Busca em profundidade a primeira ocorrência de uma tag
+ */
+function findFirst(node, tagName) {
+  if (!node || typeof node !== 'object') return undefined;
+
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findFirst(item, tagName);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(node, tagName)) {
+    return node[tagName];
+  }
+
+  for (const key of Object.keys(node)) {
+    const found = findFirst(node[key], tagName);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Busca em profundidade todas as ocorrências de uma tag
+ */
+function findAll(node, tagName, found = []) {
+  if (!node || typeof node !== 'object') return found;
+
+  if (Array.isArray(node)) {
+    node.forEach(item => findAll(item, tagName, found));
+    return found;
+  }
+
+  for (const key of Object.keys(node)) {
+    if (key === tagName) {
+      found.push(...asArray(node[key]));
+    } else {
+      findAll(node[key], tagName, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Texto de um nó (tags com atributos viram objetos com #text)
+ */
+function text(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') {
+    return value['#text'] !== undefined ? String(value['#text']) : null;
+  }
+  const str = String(value).trim();
+  return str === '' ? null : str;
+}
+
+/**
+ * Converte valores monetários para número.
+ * Aceita formato XML (1234.56) e formato da tela (R$ 1.234,56 ou R$ 1.234, sem centavos).
+ */
+function parseDecimal(value) {
+  const str = text(value);
+  if (str === null) return null;
+
+  let normalized = str.replace(/[^\d,.-]/g, '');
+  if (normalized.includes(',')) {
+    normalized = normalized.replace(/\./g, '').replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(normalized)) {
+    // Só separador de milhar (1.234, 1.234.567): o XML usa ponto decimal com duas casas
+    normalized = normalized.replace(/\./g, '');
+  }
+
+  const number = parseFloat(normalized);
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = { parseXml, asArray, findFirst, findAll, text, parseDecimal };
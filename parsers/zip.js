@@ -0,0 +1,75 @@
+/**
+ * Leitor mínimo de arquivos ZIP (apenas métodos store e deflate)
+ * 
+ * Suficiente para os pacotes de eventos devolvidos pelo eSocial,
+ * sem depender de bibliotecas externas.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIR_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * Extrai todas as entradas do ZIP. Retorna [{ name, data: Buffer }]
+ */
+function unzip(buffer) {
+  // End of Central Directory: procurar de trás para frente (comentário pode ter até 64KB)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('ZIP inválido: diretório central não encontrado');
+  }
+
+  const totalEntries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < totalEntries; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIR_SIGNATURE) {
+      throw new Error('ZIP inválido: entrada do diretório central corrompida');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue; // diretório
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = compressed;
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(compressed);
+    } else {
+      throw new Error(`ZIP: método de compressão ${method} não suportado (${name})`);
+    }
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
+
+module.exports = { isZip, unzip };
@@ -0,0 +1,69 @@
+/**
+ * Store em memória para o rate limiter (token bucket)
+ * 
+ * Memória limitada: no máximo RATE_LIMIT_MAX_KEYS buckets (LRU) e buckets
+ * que já recarregaram por completo são descartados periodicamente.
+ */
+
+const MAX_KEYS = parseInt(process.env.RATE_LIMIT_MAX_KEYS, 10) || 10000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+  constructor({ maxKeys = MAX_KEYS } = {}) {
+    this.maxKeys = maxKeys;
+    // key -> { tokens, updatedAt, capacity, refillPerSec }
+    this.buckets = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  async consume(key, cost, { capacity, refillPerSec }) {
+    const now = Date.now() / 1000;
+    const bucket = this.buckets.get(key);
+
+    let tokens = capacity;
+    if (bucket) {
+      tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerSec);
+      // Reinsere para manter a ordem LRU do Map
+      this.buckets.delete(key);
+    } else if (this.buckets.size >= this.maxKeys) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+
+    const allowed = tokens >= cost;
+    if (allowed) {
+      tokens -= cost;
+    }
+
+    this.buckets.set(key, { tokens, updatedAt: now, capacity, refillPerSec });
+    return { allowed, tokens };
+  }
+
+  // Devolve tokens consumidos (sem passar da capacidade)
+  async refund(key, amount, { capacity, refillPerSec }) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return;
+
+    const now = Date.now() / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerSec + amount);
+    bucket.updatedAt = now;
+  }
+
+  // Bucket cheio equivale a bucket inexistente: pode ser removido
+  sweep() {
+    const now = Date.now() / 1000;
+    for (const [key, bucket] of this.buckets) {
+      const tokens = bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerSec;
+      if (tokens >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  size() {
+    return this.buckets.size;
+  }
+}
+
+module.exports = { MemoryStore };
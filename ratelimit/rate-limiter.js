@@ -0,0 +1,162 @@
+/**
+ * Rate limiter por token bucket
+ * 
+ * Cada política (default, mtls, scraping) tem seu próprio orçamento: capacidade
+ * do bucket e recarga em tokens por minuto, configuráveis por ambiente:
+ *   RATE_LIMIT_<POLITICA>_CAPACITY / RATE_LIMIT_<POLITICA>_REFILL_PER_MIN
+ * 
+ * Chave do bucket (RATE_LIMIT_KEY_BY): auto (credencial autenticada, senão IP), apiKey ou ip.
+ * Quando a requisição identifica o empregador, um segundo bucket por CNPJ também é consumido;
+ * se ele recusar, os tokens já tirados do bucket do cliente são devolvidos.
+ * 
+ * Store plugável (RATE_LIMIT_STORE=memory|redis) para compartilhar limites entre instâncias.
+ */
+
+const { MemoryStore } = require('./memory-store');
+const { RedisStore } = require('./redis-store');
+const metrics = require('../metrics/metrics');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('RateLimit');
+
+const DEFAULT_POLICIES = {
+  default: { capacity: 100, refillPerMin: 100 },
+  mtls: { capacity: 60, refillPerMin: 60 },
+  // Custo = CPFs × períodos: comporta um lote máximo e recarrega 3000 itens/hora
+  scraping: { capacity: 1000, refillPerMin: 50 }
+};
+
+function loadPolicies() {
+  const policies = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_POLICIES)) {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    const capacity = parseFloat(process.env[`${prefix}_CAPACITY`]) || defaults.capacity;
+    const refillPerMin = parseFloat(process.env[`${prefix}_REFILL_PER_MIN`]) || defaults.refillPerMin;
+    policies[name] = { capacity, refillPerMin, refillPerSec: refillPerMin / 60 };
+  }
+  return policies;
+}
+
+function createStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+  if (type === 'redis') return new RedisStore();
+  if (type === 'memory') return new MemoryStore();
+  throw new Error(`RATE_LIMIT_STORE inválido: ${type} (use memory ou redis)`);
+}
+
+/**
+ * Raiz do CNPJ (8 dígitos) identifica o empregador; CPF (empregador pessoa física) é usado inteiro
+ */
+function employerKey(nrInsc) {
+  const digits = String(nrInsc || '').replace(/\D/g, '');
+  if (digits.length === 14) return digits.slice(0, 8);
+  if (digits.length === 11) return digits;
+  return null;
+}
+
+class RateLimiter {
+  constructor({ store, policies, keyBy } = {}) {
+    this.store = store || createStore();
+    this.policies = policies || loadPolicies();
+    this.keyBy = keyBy || process.env.RATE_LIMIT_KEY_BY || 'auto';
+
+    if (!['auto', 'apiKey', 'ip'].includes(this.keyBy)) {
+      throw new Error(`RATE_LIMIT_KEY_BY inválido: ${this.keyBy} (use auto, apiKey ou ip)`);
+    }
+
+    log.info(`Store: ${this.store.constructor.name}, chave: ${this.keyBy}, políticas: ${
+      Object.entries(this.policies).map(([name, p]) => `${name}=${p.capacity} (+${p.refillPerMin}/min)`).join(', ')
+    }`);
+  }
+
+  clientKey(req) {
+    const subject = req.auth && req.auth.subject;
+    if (this.keyBy !== 'ip' && subject) {
+      return `key:${subject}`;
+    }
+    return `ip:${req.ip || req.connection.remoteAddress}`;
+  }
+
+  /**
+   * Middleware da política. Opções:
+   *   cost(req) - tokens consumidos pela requisição (padrão 1)
+   *   cnpj(req) - inscrição do empregador para o bucket por CNPJ (opcional)
+   */
+  middleware(policyName, { cost = () => 1, cnpj = () => null } = {}) {
+    const policy = this.policies[policyName];
+    if (!policy) {
+      throw new Error(`Política de rate limit desconhecida: ${policyName}`);
+    }
+
+    return async (req, res, next) => {
+      const requestCost = Math.max(1, Math.ceil(cost(req) || 1));
+
+      if (requestCost > policy.capacity) {
+        metrics.rateLimitRejections.inc({ policy: policyName, scope: 'cost' });
+        return res.status(429).json({
+          success: false,
+          error: `Requisição custa ${requestCost} unidades e excede a capacidade do limite (${policy.capacity}). Divida em lotes menores.`,
+          code: 'RATE_LIMIT_COST_EXCEEDED'
+        });
+      }
+
+      const keys = [`${policyName}:${this.clientKey(req)}`];
+      const employer = employerKey(cnpj(req));
+      if (employer) {
+        keys.push(`${policyName}:cnpj:${employer}`);
+      }
+
+      let outcomes;
+      try {
+        outcomes = [];
+        for (const key of keys) {
+          const outcome = await this.store.consume(key, requestCost, policy);
+          outcomes.push(outcome);
+          if (!outcome.allowed) break;
+        }
+      } catch (error) {
+        // Falha do store não deve derrubar o proxy: libera a requisição
+        log.error(`Erro no store, requisição liberada: ${error.message}`);
+        return next();
+      }
+
+      // Recusada pelo bucket do CNPJ: a requisição não passa, então não gasta o orçamento do cliente
+      const charged = outcomes.filter(o => o.allowed).length;
+      if (charged < outcomes.length && charged > 0) {
+        try {
+          for (const key of keys.slice(0, charged)) {
+            await this.store.refund(key, requestCost, policy);
+          }
+        } catch (error) {
+          log.error(`Erro no store ao devolver tokens de ${keys[0]}: ${error.message}`);
+        }
+      }
+
+      // Reporta o bucket mais restritivo
+      const tokens = Math.min(...outcomes.map(o => o.tokens));
+      const rejected = outcomes.find(o => !o.allowed);
+
+      res.set('RateLimit-Policy', `${policy.capacity};w=${Math.ceil(policy.capacity / policy.refillPerSec)}`);
+      res.set('RateLimit-Limit', String(policy.capacity));
+      res.set('RateLimit-Remaining', String(Math.floor(tokens)));
+      res.set('RateLimit-Reset', String(Math.ceil((policy.capacity - tokens) / policy.refillPerSec)));
+
+      if (rejected) {
+        const retryAfter = Math.max(1, Math.ceil((requestCost - rejected.tokens) / policy.refillPerSec));
+        metrics.rateLimitRejections.inc({ policy: policyName, scope: outcomes.length > 1 ? 'cnpj' : 'client' });
+        log.warn(`${keys[outcomes.length - 1]} excedeu ${policyName} (custo ${requestCost})`);
+
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: `Rate limit excedido. Tente novamente em ${retryAfter}s.`,
+          code: 'RATE_LIMITED',
+          retryAfter
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = { RateLimiter, MemoryStore, RedisStore, employerKey };
@@ -0,0 +1,75 @@
+/**
+ * Store Redis para o rate limiter: permite que várias instâncias do proxy
+ * compartilhem os mesmos limites. O token bucket é atualizado atomicamente via Lua.
+ * 
+ * Requer o pacote ioredis (opcional, não incluído nas dependências padrão).
+ */
+
+const CONSUME_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local t = redis.call('TIME')
+local now = tonumber(t[1]) + tonumber(t[2]) / 1000000
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(data[1]) or capacity
+local ts = tonumber(data[2]) or now
+tokens = math.min(capacity, tokens + (now - ts) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate * 1000))
+return { allowed, tostring(tokens) }
+`;
+
+const REFUND_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local amount = tonumber(ARGV[3])
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+if not data[1] then
+  return 0
+end
+local t = redis.call('TIME')
+local now = tonumber(t[1]) + tonumber(t[2]) / 1000000
+local tokens = math.min(capacity, tonumber(data[1]) + (now - tonumber(data[2])) * rate + amount)
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+return 1
+`;
+
+class RedisStore {
+  constructor({ client, url = process.env.REDIS_URL, prefix = 'esocial-proxy:ratelimit:' } = {}) {
+    if (!client) {
+      let Redis;
+      try {
+        Redis = require('ioredis');
+      } catch {
+        throw new Error('RATE_LIMIT_STORE=redis requer o pacote ioredis (npm install ioredis)');
+      }
+      client = new Redis(url);
+    }
+
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async consume(key, cost, { capacity, refillPerSec }) {
+    const [allowed, tokens] = await this.client.eval(
+      CONSUME_SCRIPT, 1, this.prefix + key, capacity, refillPerSec, cost
+    );
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+  }
+
+  async refund(key, amount, { capacity, refillPerSec }) {
+    await this.client.eval(REFUND_SCRIPT, 1, this.prefix + key, capacity, refillPerSec, amount);
+  }
+
+  size() {
+    return null;
+  }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,85 @@
+/**
+ * Classificação de falhas em transitórias (vale tentar de novo) ou permanentes
+ *
+ * Retorna { transient, reason, retryAfterMs? }. reason tem baixa cardinalidade
+ * (vai para métricas e para a resposta de cada item).
+ * Certificado inválido, SOAP Fault e erros de TLS nunca são repetidos.
+ */
+
+const { scrapingErrorCode } = require('../errors/error-catalog');
+
+// Falhas de rede em que o servidor pode responder numa nova tentativa
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'
+]);
+
+const TRANSIENT_HTTP_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// Falhas do scraper marcadas em details.reason (render lento do portal)
+const TRANSIENT_SCRAPING_REASONS = new Set(['form_not_ready', 'result_not_rendered']);
+
+const transient = (reason, extra = {}) => ({ transient: true, reason, ...extra });
+const permanent = (reason) => ({ transient: false, reason });
+
+function isCertificateError(error) {
+  return error.name === 'CertificateError';
+}
+
+function isTlsError(code) {
+  return /^ERR_(SSL|TLS)_|CERT|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(code);
+}
+
+// Retry-After em segundos ou data HTTP
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined;
+}
+
+/**
+ * Erros de makeHttpsRequest (code do catálogo; status, Retry-After e código do socket em details)
+ */
+function classifySoapError(error) {
+  if (isCertificateError(error)) return permanent('certificate');
+  if (error.code === 'SOAP_FAULT' || error.soapFault) return permanent('soap_fault');
+  if (error.code === 'ESOCIAL_TIMEOUT') return transient('timeout');
+  if (error.code === 'ESOCIAL_TLS_ERROR') return permanent('tls');
+
+  const details = error.details || {};
+  if (details.statusCode) {
+    const reason = `http_${details.statusCode}`;
+    return TRANSIENT_HTTP_STATUS.has(details.statusCode)
+      ? transient(reason, { retryAfterMs: parseRetryAfter(details.retryAfter) })
+      : permanent(reason);
+  }
+
+  const code = String(details.socketCode || '');
+  if (isTlsError(code)) return permanent('tls');
+  if (TRANSIENT_NETWORK_CODES.has(code)) return transient(code.toLowerCase());
+  if (code === 'ENOTFOUND') return permanent('dns');
+
+  return permanent('unexpected');
+}
+
+/**
+ * Erros de uma consulta no portal (puppeteer ou falhas marcadas pelo scraper)
+ */
+function classifyScrapingError(error) {
+  if (isCertificateError(error)) return permanent('certificate');
+
+  const reason = error.details && error.details.reason;
+  if (TRANSIENT_SCRAPING_REASONS.has(reason)) return transient(reason);
+
+  switch (scrapingErrorCode(error)) {
+    case 'PORTAL_TIMEOUT': return transient('timeout');
+    case 'PORTAL_UNAVAILABLE': return transient('network');
+    // Navegador/aba fechados: repetir na mesma sessão não adianta
+    case 'BROWSER_CRASHED': return permanent('browser_closed');
+    default: return permanent('unexpected');
+  }
+}
+
+module.exports = { classifySoapError, classifyScrapingError, parseRetryAfter };
@@ -0,0 +1,61 @@
+/**
+ * Novas tentativas com backoff exponencial e jitter
+ *
+ * Só erros classificados como transitórios são repetidos (ver error-classifier.js).
+ * Limites por operação via ambiente: <PREFIXO>_RETRY_MAX_ATTEMPTS, _BASE_DELAY_MS e _MAX_DELAY_MS.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Política da operação: { maxAttempts, baseDelayMs, maxDelayMs } (maxAttempts inclui a primeira)
+ */
+function loadRetryPolicy(prefix, defaults) {
+  return {
+    maxAttempts: Math.max(1, envInt(`${prefix}_RETRY_MAX_ATTEMPTS`, defaults.maxAttempts)),
+    baseDelayMs: envInt(`${prefix}_RETRY_BASE_DELAY_MS`, defaults.baseDelayMs),
+    maxDelayMs: envInt(`${prefix}_RETRY_MAX_DELAY_MS`, defaults.maxDelayMs)
+  };
+}
+
+/**
+ * Espera antes da tentativa attempt + 1: base * 2^(attempt - 1) limitado a maxDelayMs,
+ * com jitter na metade superior do intervalo para espalhar clientes que falharam juntos.
+ * Um Retry-After do servidor (retryAfterMs) é respeitado como mínimo, até maxDelayMs.
+ */
+function backoffDelay(attempt, policy, { retryAfterMs = 0, random = Math.random } = {}) {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  const delay = Math.round(cap / 2 + random() * cap / 2);
+  return Math.max(delay, Math.min(retryAfterMs, policy.maxDelayMs));
+}
+
+/**
+ * Executa fn(attempt) até sucesso, erro permanente ou fim das tentativas.
+ * Resolve com { result, attempts }; o erro final recebe error.attempts e error.classification.
+ */
+async function withRetry(fn, { policy, classify, shouldRetry = (c) => c.transient, onRetry, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      return { result, attempts: attempt };
+    } catch (error) {
+      const classification = classify(error);
+      error.attempts = attempt;
+      error.classification = classification;
+
+      const retry = shouldRetry(classification) && attempt < policy.maxAttempts && !(signal && signal.aborted);
+      if (!retry) throw error;
+
+      const delayMs = backoffDelay(attempt, policy, { retryAfterMs: classification.retryAfterMs });
+      if (onRetry) onRetry({ attempt, delayMs, error, classification });
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = { loadRetryPolicy, backoffDelay, withRetry };
@@ -1,8 +1,9 @@
 /**
  * eSocial IRRF Scraper
  * 
- * Automatiza a navegação no portal eSocial para consultar IRRF por trabalhador
- * Fluxo: Folha de Pagamento > Totalizadores > Trabalhador > IRRF por trabalhador
+ * Automatiza a navegação no portal eSocial para consultar os totalizadores
+ * (IRRF, contribuições sociais e FGTS por trabalhador ou consolidados do empregador)
+ * Fluxo: Folha de Pagamento > Totalizadores > Trabalhador/Empregador > relatório (ver totalizadores.js)
  */
 
 // ========== VERSÃO DO SCRAPER ==========
@@ -14,37 +15,33 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
+const { EventEmitter } = require('events');
+const { createLogger, maskDocument } = require('../logging/logger');
+const metrics = require('../metrics/metrics');
+const { loadRetryPolicy, backoffDelay } = require('../retry/retry');
+const { classifyScrapingError } = require('../retry/error-classifier');
+const { ProxyError, scrapingErrorCode } = require('../errors/error-catalog');
+const { getTotalizador } = require('./totalizadores');
+
+const log = createLogger('Scraper');
+const browserLog = createLogger('Browser Console');
 
 puppeteer.use(StealthPlugin());
 
 // Helper function to replace deprecated waitForTimeout
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Seletores CSS do portal eSocial (apenas seletores CSS válidos)
-const SELECTORS = {
-  // Login - seletores CSS válidos apenas
-  loginCertificado: 'button[data-option="certificado"], .btn-certificado, #btn-certificado, .certificate-login',
-  
-  // Menu de navegação
-  menuFolhaPagamento: '[data-menu="folha-pagamento"], a[href*="folha"], .menu-folha',
-  submenuTotalizadores: 'a[href*="totalizadores"], .submenu-totalizadores',
-  submenuTrabalhador: 'a[href*="trabalhador"], .submenu-trabalhador',
-  optionIRRF: 'a[href*="irrf"], .option-irrf-trabalhador',
-  
-  // Formulário de pesquisa IRRF
-  inputPeriodo: '#periodo, input[name="periodo"], input[id*="periodo"], input[placeholder*="Período"]',
-  inputCPF: '#cpf, input[name="cpf"], input[id*="cpf"], input[placeholder*="CPF"]',
-  btnPesquisar: 'button[type="submit"], .btn-pesquisar, input[type="submit"]',
-  
-  // Resultado
-  resultadoContainer: '.resultado-consulta, .informacoes-demonstrativo, .dados-irrf, table.resultado',
-  btnBaixarXML: '.btn-baixar-xml, a[href*="download"], button[id*="xml"], a[id*="xml"]',
-  btnVoltar: '.btn-voltar, a[href*="voltar"], button[id*="voltar"]',
-  
-  // Mensagens
-  msgSemDados: '.msg-sem-dados, .alert-info, .no-data',
-  msgErro: '.msg-erro, .alert-danger, .error-message'
-};
+// Seletores, caminho de menu e textos de fallback vêm do perfil do portal (profiles/portal)
+
+// Página de entrada do login. Em testes, ESOCIAL_PORTAL_HOST_RULES (formato --host-resolver-rules
+// do Chrome, ex: "MAP *.gov.br 127.0.0.1:9443") leva os hosts reais para o portal simulado (mock/)
+const PORTAL_LOGIN_URL = process.env.ESOCIAL_PORTAL_URL || 'https://login.esocial.gov.br/login.aspx';
+const PORTAL_HOST_RULES = process.env.ESOCIAL_PORTAL_HOST_RULES || null;
+
+// Novas tentativas por consulta (SCRAPER_RETRY_MAX_ATTEMPTS, _BASE_DELAY_MS, _MAX_DELAY_MS)
+const ITEM_RETRY = loadRetryPolicy('SCRAPER', { maxAttempts: 3, baseDelayMs: 2000, maxDelayMs: 15000 });
+// Espera pelo resultado da pesquisa na 1ª tentativa; cresce a cada nova tentativa (render lento)
+const RESULT_TIMEOUT_MS = parseInt(process.env.SCRAPER_RESULT_TIMEOUT_MS, 10) || 15000;
 
 // Helper function to find element by text content (replacement for :contains())
 async function findElementByText(page, text, tagSelector = '*') {
@@ -74,12 +71,15 @@ async function clickByText(page, text, tagSelector = 'button, a, input[type="sub
   return clicked;
 }
 
-async function debugDumpInputs(page, label) {
+// Screenshot, HTML e inputs da página nos artefatos da execução (sem recorder, apenas log)
+async function debugDumpInputs(page, label, artifacts) {
   try {
     const safeLabel = String(label || 'debug').replace(/[^a-z0-9_-]+/gi, '_').slice(0, 50);
-    const ts = Date.now();
 
-    await page.screenshot({ path: `/tmp/esocial_${safeLabel}_${ts}.png`, fullPage: true });
+    if (artifacts) {
+      await artifacts.screenshot(page, safeLabel, { fullPage: true });
+      await artifacts.html(page, safeLabel);
+    }
 
     const inputs = await page.$$eval('input, select, textarea', (els) =>
       els.map((el) => {
@@ -99,10 +99,94 @@ async function debugDumpInputs(page, label) {
       })
     );
 
-    console.log(`[Scraper][Debug] Inputs (${safeLabel}) =`, JSON.stringify(inputs, null, 2));
+    log.debug(`Inputs (${safeLabel}) =`, inputs);
+    if (artifacts) {
+      artifacts.json(`${safeLabel}_inputs`, inputs);
+    }
   } catch (e) {
-    console.log('[Scraper][Debug] Failed to dump inputs:', e?.message || e);
+    log.debug('Failed to dump inputs:', e?.message || e);
+  }
+}
+
+// Converte XML ou dados da tela no JSON normalizado do totalizador (chave `resultado` da definição)
+function parseReportData(totalizador, { cpf, periodo }, { xml = null, dados = null }) {
+  const key = totalizador.resultado;
+  try {
+    return { [key]: xml ? totalizador.parseXml(xml) : totalizador.parseTela(dados, { cpf, periodo }) };
+  } catch (error) {
+    log.warn(`Não foi possível interpretar ${totalizador.tipo} de ${describeItem({ cpf, periodo })}:`, error.message);
+    return { [key]: null, parseError: error.message };
+  }
+}
+
+// "CPF - período" nos logs, com o CPF mascarado (totalizadores do empregador não têm CPF)
+function describeItem({ cpf, periodo }) {
+  return cpf ? `${maskDocument(cpf)} - ${periodo}` : periodo;
+}
+
+/**
+ * Repassa ao log o console.log('[Scraper] ...', dados) dos callbacks de page.evaluate.
+ * msg.text() mostra objetos como JSHandle@object: os argumentos são resolvidos com jsonValue().
+ */
+async function forwardBrowserConsole(msg) {
+  const text = msg.text();
+  if (text.startsWith('[Scraper]')) {
+    const [first, ...rest] = await Promise.all(msg.args().map(arg => arg.jsonValue().catch(() => String(arg))));
+    browserLog.info(String(first).substring('[Scraper] '.length), ...rest);
+  } else if (msg.type() === 'error' || text.toLowerCase().includes('certificate')) {
+    browserLog.debug(text);
+  }
+}
+
+// Motivo da falha de login por code do catálogo; codes com mais de uma causa no login
+// (SSO_REDIRECT_FAILED, PORTAL_LAYOUT_CHANGED) informam o motivo em details.reason
+const LOGIN_FAILURE_BY_CODE = {
+  BROWSER_SETUP_FAILED: 'nss_setup',
+  SSO_LINK_NOT_FOUND: 'sso_link_not_found',
+  LOGIN_FAILED: 'still_on_login',
+  LOGIN_TIMEOUT: 'gov_br_pending',
+  PORTAL_TIMEOUT: 'timeout',
+  PORTAL_UNAVAILABLE: 'network'
+};
+
+// Motivo da falha de login para métricas (label de baixa cardinalidade)
+function classifyLoginFailure(error) {
+  if (error && error.code) {
+    const reason = (error.details && error.details.reason) || LOGIN_FAILURE_BY_CODE[error.code];
+    if (reason) return reason;
   }
+  if (error && error.name === 'TimeoutError') return 'timeout';
+
+  // Fallback pela mensagem: erros sem code (puppeteer, NSS) ou code sem motivo definido
+  const message = String(error && error.message || '');
+  if (/libnss3|NSS/i.test(message)) return 'nss_setup';
+  if (/Nenhum link/i.test(message)) return 'sso_link_not_found';
+  if (/portal genérico/i.test(message)) return 'generic_portal_redirect';
+  if (/certificado digital" não encontrada/i.test(message)) return 'certificate_option_not_found';
+  if (/Ainda (na página de login|em login)/i.test(message)) return 'still_on_login';
+  if (/Ainda na página do gov\.br/i.test(message)) return 'gov_br_pending';
+  if (/timeout/i.test(message)) return 'timeout';
+  if (/net::|ERR_/.test(message)) return 'network';
+  return 'other';
+}
+
+// Item com falha: code do catálogo e details, além da classificação para retry
+function failedItem(item, error, { transient, reason }) {
+  return {
+    ...item,
+    success: false,
+    error: error.message,
+    code: scrapingErrorCode(error),
+    ...(error.details && { details: error.details }),
+    classification: transient ? 'transient' : 'permanent',
+    reason
+  };
+}
+
+// Resultado de um item para métricas: ok, no_data (sem dados no período) ou error
+function itemOutcome(result) {
+  if (result.success) return 'ok';
+  return result.error ? 'error' : 'no_data';
 }
 
 async function findInputHandleByLabel(page, labelIncludes) {
@@ -164,52 +248,102 @@ async function getVisibleTextInputs(page) {
   return visible;
 }
 
-class ESocialIRRFScraper {
-  constructor(certificatePfx, password) {
+/**
+ * Classifica a URL pelos hosts do SSO do perfil (sso.hosts e sso.portalGenericoHosts).
+ * Compara o hostname: um redirect_uri para www.gov.br na query não transforma o SSO em portal genérico.
+ */
+function classifyGovBrUrl(url, sso) {
+  let host = '';
+  try {
+    host = new URL(url).hostname;
+  } catch {}
+  const onHost = (h) => host === h || host.endsWith(`.${h}`);
+  return { isSSO: sso.hosts.some(onHost), isPortalGenerico: sso.portalGenericoHosts.some(onHost) };
+}
+
+/**
+ * Emite eventos 'progress' ({ type, timestamp, ... }) durante login, navegação e consultas:
+ * session, login-step, retry, navigation, item-result e summary.
+ */
+class ESocialIRRFScraper extends EventEmitter {
+  constructor(certificatePfx, password, { profile = null } = {}) {
+    super();
+    // Perfil do portal (seletores, menu, textos); trocado a cada aquisição do pool
+    this.profile = profile;
     this.certificatePfxBase64 = certificatePfx;
     this.password = password;
     this.browser = null;
     this.page = null;
+    // Diretório privado (mkdtemp, 0700) com PFX, arquivo de senha, perfil/NSS do Chrome e downloads
+    this.tempDir = null;
     this.tempCertPath = null;
-    this.tempNssDb = null;
     this.tempUserDataDir = null;
+    // Downloads desta instância (XMLs): nunca compartilhado com outros scrapers
+    this.tempDownloadDir = null;
+    this.cancelled = false;
+    this.loggedIn = false;
+    this.homeUrl = null;
+    // Passo atual do login (init, 1-4), usado nas métricas de falha
+    this.loginStep = null;
+    // ArtifactRecorder da execução atual (definido a cada aquisição do pool)
+    this.artifacts = null;
+  }
+
+  async captureScreenshot(label) {
+    if (this.artifacts && this.page) {
+      await this.artifacts.screenshot(this.page, label);
+    }
+  }
+
+  /**
+   * URL e título atuais + HTML da página, para diagnosticar falhas
+   */
+  async capturePageState(label) {
+    if (this.artifacts && this.page) {
+      await this.artifacts.pageState(this.page, label);
+      await this.artifacts.html(this.page, label);
+    }
+  }
+
+  emitProgress(type, data = {}) {
+    if (type === 'login-step' && data.status === 'started') {
+      this.loginStep = data.step;
+    }
+    this.emit('progress', { type, timestamp: new Date().toISOString(), ...data });
   }
 
   async init() {
-    console.log('[Scraper] Initializing Puppeteer with NSS certificate support...');
+    log.info('Initializing Puppeteer with NSS certificate support...');
     
-    const timestamp = Date.now();
-    
-    // 1. Salvar certificado PFX em arquivo temporário
-    this.tempCertPath = path.join(os.tmpdir(), `cert_${timestamp}.pfx`);
-    const certBuffer = Buffer.from(this.certificatePfxBase64, 'base64');
-    fs.writeFileSync(this.tempCertPath, certBuffer);
-    console.log('[Scraper] Certificate saved to temp file');
+    // 1. Diretório privado da instância: nome imprevisível e acessível só pelo processo (0700)
+    this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esocial-scraper-'));
 
-    // 2. Criar diretório NSS database temporário
-    this.tempNssDb = path.join(os.tmpdir(), `nssdb_${timestamp}`);
-    fs.mkdirSync(this.tempNssDb, { recursive: true });
-    console.log('[Scraper] NSS database directory created:', this.tempNssDb);
+    // 2. Salvar certificado PFX em arquivo temporário (removido logo após o import)
+    this.tempCertPath = path.join(this.tempDir, 'cert.pfx');
+    const certBuffer = Buffer.from(this.certificatePfxBase64, 'base64');
+    fs.writeFileSync(this.tempCertPath, certBuffer, { mode: 0o600 });
+    log.info('Certificate saved to temp file');
 
-    // 3. Criar diretório userDataDir para o Chrome (separado do NSS)
-    this.tempUserDataDir = path.join(os.tmpdir(), `chrome_profile_${timestamp}`);
-    fs.mkdirSync(this.tempUserDataDir, { recursive: true });
-    
-    // Criar estrutura de diretórios necessária para NSS no Chrome
+    // 3. Criar diretório userDataDir para o Chrome, com a NSS database dentro do perfil
+    this.tempUserDataDir = path.join(this.tempDir, 'chrome_profile');
     const nssDbInProfile = path.join(this.tempUserDataDir, 'nssdb');
-    fs.mkdirSync(nssDbInProfile, { recursive: true });
+    fs.mkdirSync(nssDbInProfile, { recursive: true, mode: 0o700 });
+
+    // Diretório de downloads exclusivo, para não ler o XML baixado por outro scraper
+    this.tempDownloadDir = path.join(this.tempDir, 'downloads');
+    fs.mkdirSync(this.tempDownloadDir, { mode: 0o700 });
     
     try {
       // 4. Inicializar NSS database vazia
-      console.log('[Scraper] Initializing NSS database...');
+      log.info('Initializing NSS database...');
       execSync(`certutil -d sql:${nssDbInProfile} -N --empty-password`, { 
         stdio: 'pipe',
         timeout: 30000 
       });
-      console.log('[Scraper] NSS database initialized');
+      log.info('NSS database initialized');
 
       // 5. Importar certificado PFX no NSS database
-      console.log('[Scraper] Importing certificate into NSS database...');
+      log.info('Importing certificate into NSS database...');
       
       // Escapar senha para shell (substituir aspas simples)
       const escapedPassword = this.password.replace(/'/g, "'\\''");
@@ -218,7 +352,11 @@ class ESocialIRRFScraper {
         stdio: 'pipe',
         timeout: 30000
       });
-      console.log('[Scraper] Certificate imported successfully');
+      log.info('Certificate imported successfully');
+
+      // O PFX só é necessário para o import: não manter em disco durante a sessão
+      fs.unlinkSync(this.tempCertPath);
+      this.tempCertPath = null;
 
       // Listar certificados para confirmar importação
       try {
@@ -226,52 +364,52 @@ class ESocialIRRFScraper {
           encoding: 'utf-8',
           timeout: 10000 
         });
-        console.log('[Scraper] Certificates in NSS database:\n', certList);
+        log.debug('Certificates in NSS database:', certList);
       } catch (e) {
-        console.log('[Scraper] Could not list certificates:', e.message);
+        log.warn('Could not list certificates:', e.message);
       }
 
       // NOVO: Verificar se a chave privada foi importada (essencial para autenticação)
-      console.log('[Scraper] Verifying private key import...');
-      const passwordFilePath = path.join(os.tmpdir(), `nss_pass_${Date.now()}.txt`);
+      log.info('Verifying private key import...');
+      const passwordFilePath = path.join(this.tempDir, 'nss_pass.txt');
       try {
         // Criar arquivo de senha temporário para certutil -K
-        fs.writeFileSync(passwordFilePath, '');  // NSS db usa empty password
+        fs.writeFileSync(passwordFilePath, '', { mode: 0o600 });  // NSS db usa empty password
         
         const keyList = execSync(`certutil -d sql:${nssDbInProfile} -K -f ${passwordFilePath}`, {
           encoding: 'utf-8',
           timeout: 10000
         });
-        console.log('[Scraper] ✓ Private keys in NSS database:\n', keyList);
+        log.debug('✓ Private keys in NSS database:', keyList);
         
         // Limpar arquivo de senha
         fs.unlinkSync(passwordFilePath);
       } catch (e) {
-        console.log('[Scraper] AVISO: Não foi possível listar chaves privadas:', e.message);
-        console.log('[Scraper] Isso pode indicar que a chave privada não foi importada corretamente');
-        console.log('[Scraper] O certificado pode não funcionar para autenticação mTLS');
+        log.warn('AVISO: Não foi possível listar chaves privadas:', e.message);
+        log.warn('Isso pode indicar que a chave privada não foi importada corretamente');
+        log.warn('O certificado pode não funcionar para autenticação mTLS');
         
         // Limpar arquivo de senha se existir
         try { fs.unlinkSync(passwordFilePath); } catch {}
       }
 
     } catch (error) {
-      console.error('[Scraper] NSS setup error:', error.message);
-      console.error('[Scraper] Stderr:', error.stderr?.toString() || 'N/A');
+      log.error('NSS setup error:', error.message);
+      log.error('Stderr:', error.stderr?.toString() || 'N/A');
       
       // Verificar se as ferramentas estão instaladas
       try {
         execSync('which certutil pk12util', { stdio: 'pipe' });
       } catch {
-        throw new Error('libnss3-tools não está instalado. Execute: apt-get install -y libnss3-tools');
+        throw new ProxyError('BROWSER_SETUP_FAILED', 'libnss3-tools não está instalado. Execute: apt-get install -y libnss3-tools');
       }
       
-      throw new Error(`Falha ao configurar certificado NSS: ${error.message}`);
+      throw new ProxyError('BROWSER_SETUP_FAILED', `Falha ao configurar certificado NSS: ${error.message}`);
     }
 
     // 6. Iniciar browser com NSS configurado (headless: false para popup de certificado)
-    console.log('[Scraper] Launching browser with certificate support...');
-    console.log('[Scraper] DISPLAY env:', process.env.DISPLAY);
+    log.info('Launching browser with certificate support...');
+    log.info('DISPLAY env:', process.env.DISPLAY);
     
     this.browser = await puppeteer.launch({
       headless: false, // IMPORTANTE: false para permitir popup de certificado via Xvfb
@@ -291,6 +429,7 @@ class ESocialIRRFScraper {
         '--auto-select-certificate-for-urls={"pattern":"*","filter":{}}',
         // Usar NSS database do perfil
         '--allow-running-insecure-content',
+        ...(PORTAL_HOST_RULES ? [`--host-resolver-rules=${PORTAL_HOST_RULES}`] : []),
       ],
     });
 
@@ -307,38 +446,33 @@ class ESocialIRRFScraper {
     // Listener para requests de certificado cliente
     this.page.on('request', request => {
       if (request.url().includes('esocial.gov.br') || request.url().includes('gov.br')) {
-        console.log('[Scraper] Request to:', request.url());
+        log.debug('Request to:', request.url());
       }
     });
 
-    // Listener para console do browser
-    this.page.on('console', msg => {
-      if (msg.type() === 'error' || msg.text().toLowerCase().includes('certificate')) {
-        console.log('[Browser Console]', msg.text());
-      }
-    });
+    // Listener para console do browser (callbacks de page.evaluate rodam no Chrome: logam via console.log '[Scraper] ...')
+    this.page.on('console', msg => forwardBrowserConsole(msg));
 
-    console.log('[Scraper] Browser initialized with certificate support');
+    log.info('Browser initialized with certificate support');
   }
 
   async login() {
-    console.log('[Scraper] ========================================');
-    console.log(`[Scraper] VERSÃO DO SCRAPER: ${SCRAPER_VERSION}`);
-    console.log('[Scraper] === INICIANDO FLUXO DE LOGIN ===');
-    console.log('[Scraper] ========================================');
+    log.info(`VERSÃO DO SCRAPER: ${SCRAPER_VERSION}`);
+    log.info('=== INICIANDO FLUXO DE LOGIN ===');
     
     // ============================================
     // PASSO 1: Acessar página inicial do eSocial
     // ============================================
-    console.log('[Scraper] PASSO 1: Acessando página inicial do eSocial...');
-    await this.page.goto('https://login.esocial.gov.br/login.aspx', { 
+    log.info('PASSO 1: Acessando página inicial do eSocial...');
+    this.emitProgress('login-step', { step: 1, status: 'started' });
+    await this.page.goto(PORTAL_LOGIN_URL, { 
       waitUntil: 'networkidle2' 
     });
     await sleep(2000);
     
-    await this.page.screenshot({ path: '/tmp/esocial_01_pagina_inicial.png' });
-    console.log('[Scraper] Página inicial carregada. URL:', this.page.url());
-    console.log('[Scraper] Título:', await this.page.title());
+    await this.captureScreenshot('01_pagina_inicial');
+    log.info('Página inicial carregada. URL:', this.page.url());
+    log.info('Título:', await this.page.title());
     
     // Listar elementos clicáveis para debug
     const buttons1 = await this.page.$$eval('button, a, div[role="button"], span[role="button"]', els => 
@@ -348,42 +482,34 @@ class ESocialIRRFScraper {
         href: el.getAttribute('href') || null
       })).filter(e => e.text)
     );
-    console.log('[Scraper] Elementos clicáveis disponíveis:', JSON.stringify(buttons1.slice(0, 15), null, 2));
+    log.debug('Elementos clicáveis disponíveis:', buttons1.slice(0, 15));
     
     // ============================================
     // PASSO 2: Clicar em link SSO para sso.acesso.gov.br
     // CRÍTICO: NÃO podemos cair em www.gov.br (portal genérico)
     // ============================================
-    console.log('[Scraper] PASSO 2: Procurando link SSO (sso.acesso.gov.br ou acesso.gov.br)...');
-    console.log('[Scraper] PASSO 2: REGRA CRÍTICA - Deve ir para SSO, NÃO para www.gov.br!');
+    log.info(`PASSO 2: Procurando link SSO (${this.profile.sso.hosts.join(' ou ')})...`);
+    this.emitProgress('login-step', { step: 2, status: 'started' });
+    log.info('PASSO 2: REGRA CRÍTICA - Deve ir para SSO, NÃO para www.gov.br!');
     
     // Primeiro, capturar TODOS os links da página para diagnóstico
-    const allPageLinks = await this.page.$$eval('a', els => 
-      els.map(el => ({
-        href: el.getAttribute('href') || '',
-        text: (el.textContent || '').trim().substring(0, 50),
-        isSSO: (el.getAttribute('href') || '').includes('sso.acesso.gov.br') || 
-               (el.getAttribute('href') || '').includes('acesso.gov.br'),
-        isPortalGenerico: (el.getAttribute('href') || '').includes('www.gov.br') && 
-                          !(el.getAttribute('href') || '').includes('sso.acesso')
-      })).filter(l => l.href.includes('gov'))
-    );
-    console.log('[Scraper] PASSO 2: Links gov.br encontrados:', JSON.stringify(allPageLinks.slice(0, 10), null, 2));
+    const allPageLinks = (await this.page.$$eval('a', els =>
+      els.map(el => ({ href: el.href || '', text: (el.textContent || '').trim().substring(0, 50) }))
+    ))
+      .filter(l => l.href.includes('gov'))
+      .map(l => ({ ...l, ...classifyGovBrUrl(l.href, this.profile.sso) }));
+    log.debug('PASSO 2: Links gov.br encontrados:', allPageLinks.slice(0, 10));
     
     // ESTRATÉGIA 1 (PRIORIDADE MÁXIMA): Buscar link com href direto para SSO
-    let govBrClicked = await this.page.evaluate(() => {
+    let govBrClicked = await this.page.evaluate((sso) => {
       const candidates = Array.from(document.querySelectorAll('a'));
       
-      // Filtrar APENAS links que vão para o SSO correto
+      // Filtrar APENAS links que vão para o SSO correto (hosts do perfil, nunca o portal genérico)
       const ssoLinks = candidates.filter(el => {
-        const href = el.getAttribute('href') || '';
-        // DEVE conter sso.acesso.gov.br OU acesso.gov.br (sem www.gov.br)
-        const isValidSSO = href.includes('sso.acesso.gov.br') || 
-                          (href.includes('acesso.gov.br') && !href.includes('www.gov.br'));
-        // NÃO pode ser link para portal genérico www.gov.br
-        const isPortalGenerico = href.includes('www.gov.br') && !href.includes('sso.acesso');
-        
-        return isValidSSO && !isPortalGenerico;
+        let host = '';
+        try { host = new URL(el.href).hostname; } catch {}
+        const onHost = (h) => host === h || host.endsWith('.' + h);
+        return sso.hosts.some(onHost) && !sso.portalGenericoHosts.some(onHost);
       });
       
       console.log('[Scraper] PASSO 2 - Links SSO válidos encontrados:', ssoLinks.length);
@@ -405,21 +531,24 @@ class ESocialIRRFScraper {
       }
       
       return null;
-    });
+    }, this.profile.sso);
     
     // ESTRATÉGIA 2: Extrair URL SSO do HTML e navegar diretamente
     if (!govBrClicked) {
-      console.log('[Scraper] PASSO 2: Nenhum link SSO direto, buscando URL no HTML...');
+      log.info('PASSO 2: Nenhum link SSO direto, buscando URL no HTML...');
       
       const pageContent = await this.page.content();
       
-      // Regex para encontrar URLs SSO
-      const ssoUrlMatches = pageContent.match(/https:\/\/sso\.acesso\.gov\.br[^"'\s]*/g) ||
-                           pageContent.match(/https:\/\/acesso\.gov\.br\/authorize[^"'\s]*/g);
+      // URLs absolutas no HTML que apontam para os hosts do SSO do perfil
+      const ssoUrl = (pageContent.match(/https:\/\/[^"'\s<>]+/g) || [])
+        .map(url => url.replace(/&amp;/g, '&'))
+        .find(url => {
+          const { isSSO, isPortalGenerico } = classifyGovBrUrl(url, this.profile.sso);
+          return isSSO && !isPortalGenerico;
+        });
       
-      if (ssoUrlMatches && ssoUrlMatches.length > 0) {
-        const ssoUrl = ssoUrlMatches[0].replace(/&amp;/g, '&');
-        console.log('[Scraper] PASSO 2 - Encontrada URL SSO no HTML:', ssoUrl);
+      if (ssoUrl) {
+        log.info('PASSO 2 - Encontrada URL SSO no HTML:', ssoUrl);
         
         // Navegar diretamente para o SSO
         await this.page.goto(ssoUrl, { waitUntil: 'networkidle2', timeout: 30000 });
@@ -429,9 +558,9 @@ class ESocialIRRFScraper {
     
     // ESTRATÉGIA 3: Buscar dentro do container "Acesso GOV.BR" por LINKS (não botões)
     if (!govBrClicked) {
-      console.log('[Scraper] PASSO 2: Buscando no container "Acesso GOV.BR"...');
+      log.info('PASSO 2: Buscando no container "Acesso GOV.BR"...');
       
-      govBrClicked = await this.page.evaluate(() => {
+      govBrClicked = await this.page.evaluate((sso) => {
         const containers = document.querySelectorAll('div, section, aside, fieldset, article');
         
         for (const container of containers) {
@@ -456,8 +585,10 @@ class ESocialIRRFScraper {
             const links = container.querySelectorAll('a');
             for (const link of links) {
               const href = link.getAttribute('href') || '';
-              if (href.includes('sso.acesso.gov.br') || 
-                  (href.includes('acesso.gov.br') && !href.includes('www.gov.br'))) {
+              let host = '';
+              try { host = new URL(link.href).hostname; } catch {}
+              const onHost = (h) => host === h || host.endsWith('.' + h);
+              if (sso.hosts.some(onHost) && !sso.portalGenericoHosts.some(onHost)) {
                 console.log('[Scraper] PASSO 2: Clicando em link SSO no container:', href);
                 link.click();
                 return { clicked: true, method: 'container-sso-link', href };
@@ -478,39 +609,36 @@ class ESocialIRRFScraper {
         }
         
         return null;
-      });
+      }, this.profile.sso);
     }
     
     // ESTRATÉGIA 4: Último recurso - botão por texto
     if (!govBrClicked) {
-      console.log('[Scraper] PASSO 2 - ÚLTIMO RECURSO: buscando botão por texto...');
-      const textClicked = await clickByText(this.page, 'Entrar com gov.br', 'a, button');
+      log.info('PASSO 2 - ÚLTIMO RECURSO: buscando botão por texto...');
+      const textClicked = await clickByText(this.page, this.profile.texts.loginGovBr, 'a, button');
       if (textClicked) {
         govBrClicked = { clicked: true, method: 'text-fallback-LAST-RESORT' };
       }
     }
     
     if (!govBrClicked) {
-      await this.page.screenshot({ path: '/tmp/esocial_erro_govbr_nao_encontrado.png' });
-      console.log('[Scraper] PASSO 2: FALHA - Nenhum link SSO encontrado');
-      throw new Error('PASSO 2 falhou: Nenhum link para SSO (sso.acesso.gov.br) encontrado na página do eSocial');
+      await this.captureScreenshot('erro_govbr_nao_encontrado');
+      log.warn('PASSO 2: FALHA - Nenhum link SSO encontrado');
+      throw new ProxyError('SSO_LINK_NOT_FOUND', `PASSO 2 falhou: Nenhum link para SSO (${this.profile.sso.hosts.join(', ')}) encontrado na página do eSocial`, { step: 2, url: this.page.url() });
     }
     
-    console.log('[Scraper] PASSO 2: Clicou (método:', govBrClicked.method, '). Aguardando redirecionamento...');
+    log.info(`PASSO 2: Clicou (método: ${govBrClicked.method}). Aguardando redirecionamento...`);
     
     // DETECTAR NOVA ABA/JANELA (SSO pode abrir em nova aba)
     let newPageOpened = false;
     try {
       const newTarget = await this.browser.waitForTarget(
-        target => {
-          const url = target.url();
-          return url.includes('sso.acesso.gov.br') || url.includes('acesso.gov.br');
-        },
+        target => classifyGovBrUrl(target.url(), this.profile.sso).isSSO,
         { timeout: 10000 }
       );
       
       if (newTarget) {
-        console.log('[Scraper] PASSO 2: Nova aba detectada para SSO!');
+        log.info('PASSO 2: Nova aba detectada para SSO!');
         const newPage = await newTarget.page();
         if (newPage && newPage !== this.page) {
           this.page = newPage;
@@ -519,7 +647,7 @@ class ESocialIRRFScraper {
         }
       }
     } catch (e) {
-      console.log('[Scraper] PASSO 2: Nenhuma nova aba SSO detectada');
+      log.info('PASSO 2: Nenhuma nova aba SSO detectada');
     }
     
     // Se não abriu nova aba, aguardar navegação
@@ -527,33 +655,30 @@ class ESocialIRRFScraper {
       try {
         await this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 });
       } catch (e) {
-        console.log('[Scraper] PASSO 2: Timeout na navegação, verificando estado...');
+        log.info('PASSO 2: Timeout na navegação, verificando estado...');
       }
     }
     
     await sleep(2000);
-    await this.page.screenshot({ path: '/tmp/esocial_02_pagina_apos_clique.png' });
+    await this.captureScreenshot('02_pagina_apos_clique');
     
     const urlAposClique = this.page.url();
-    console.log('[Scraper] PASSO 2: URL após clique:', urlAposClique);
-    console.log('[Scraper] PASSO 2: Título:', await this.page.title());
+    log.info('PASSO 2: URL após clique:', urlAposClique);
+    log.info('PASSO 2: Título:', await this.page.title());
     
     // ============================================
     // VALIDAÇÃO CRÍTICA PÓS-CLIQUE
     // ============================================
-    const isSSO = urlAposClique.includes('sso.acesso.gov.br') || 
-                  urlAposClique.includes('acesso.gov.br');
-    const isPortalGenerico = urlAposClique.includes('www.gov.br') && 
-                             !urlAposClique.includes('sso.acesso');
+    const { isSSO, isPortalGenerico } = classifyGovBrUrl(urlAposClique, this.profile.sso);
     const isEsocialLogado = urlAposClique.includes('esocial.gov.br') && 
                             !urlAposClique.includes('login.esocial.gov.br/login.aspx');
     const isAindaLoginEsocial = urlAposClique.includes('login.esocial.gov.br/login.aspx');
     
-    console.log('[Scraper] PASSO 2 - Validação:', { isSSO, isPortalGenerico, isEsocialLogado, isAindaLoginEsocial });
+    log.info('PASSO 2 - Validação:', { isSSO, isPortalGenerico, isEsocialLogado, isAindaLoginEsocial });
     
     // ERRO: Caiu no portal genérico www.gov.br
     if (isPortalGenerico) {
-      await this.page.screenshot({ path: '/tmp/esocial_ERRO_PORTAL_GENERICO.png' });
+      await this.captureScreenshot('erro_portal_generico');
       
       // Dump de todos os elementos clicáveis para diagnóstico
       const elementosDisponiveis = await this.page.$$eval('a, button', els => 
@@ -563,22 +688,25 @@ class ESocialIRRFScraper {
           text: el.textContent?.trim().substring(0, 50)
         })).slice(0, 30)
       );
-      console.log('[Scraper] ERRO: Elementos na página errada:', JSON.stringify(elementosDisponiveis, null, 2));
+      log.warn('ERRO: Elementos na página errada:', elementosDisponiveis);
       
-      throw new Error(`PASSO 2 FALHOU: Redirecionou para portal genérico (${urlAposClique}) em vez do SSO (sso.acesso.gov.br). Método usado: ${govBrClicked.method}`);
+      throw new ProxyError('SSO_REDIRECT_FAILED', `PASSO 2 FALHOU: Redirecionou para portal genérico (${urlAposClique}) em vez do SSO (${this.profile.sso.hosts.join(', ')}). Método usado: ${govBrClicked.method}`,
+        { step: 2, url: urlAposClique, method: govBrClicked.method, reason: 'generic_portal_redirect' });
     }
     
     // AVISO: Ainda na página de login do eSocial
     if (isAindaLoginEsocial) {
-      console.log('[Scraper] PASSO 2: AVISO - Ainda na página de login. Tentando retry...');
+      log.warn('PASSO 2: AVISO - Ainda na página de login. Tentando retry...');
+      this.emitProgress('retry', { step: 2, reason: 'Ainda na página de login do eSocial' });
       
       // Retry: buscar link SSO novamente
-      const retryResult = await this.page.evaluate(() => {
+      const retryResult = await this.page.evaluate((sso) => {
         const ssoLinks = Array.from(document.querySelectorAll('a'));
         const validLink = ssoLinks.find(el => {
-          const href = el.getAttribute('href') || '';
-          return (href.includes('sso.acesso.gov.br') || href.includes('acesso.gov.br')) &&
-                 !href.includes('www.gov.br');
+          let host = '';
+          try { host = new URL(el.href).hostname; } catch {}
+          const onHost = (h) => host === h || host.endsWith('.' + h);
+          return sso.hosts.some(onHost) && !sso.portalGenericoHosts.some(onHost);
         });
         
         if (validLink) {
@@ -587,28 +715,28 @@ class ESocialIRRFScraper {
           return { clicked: true, href };
         }
         return null;
-      });
+      }, this.profile.sso);
       
       if (retryResult) {
-        console.log('[Scraper] PASSO 2 - Retry: clicou em', retryResult.href);
+        log.info('PASSO 2 - Retry: clicou em', retryResult.href);
         await sleep(5000);
       }
       
       // Verificar novamente
       const urlRetry = this.page.url();
       if (urlRetry.includes('login.esocial.gov.br/login.aspx')) {
-        await this.page.screenshot({ path: '/tmp/esocial_ERRO_NAO_REDIRECIONOU.png' });
-        throw new Error('PASSO 2 FALHOU: Clique não redirecionou para SSO. Ainda em login.esocial.gov.br');
+        await this.captureScreenshot('erro_nao_redirecionou');
+        throw new ProxyError('SSO_REDIRECT_FAILED', 'PASSO 2 FALHOU: Clique não redirecionou para SSO. Ainda em login.esocial.gov.br', { step: 2, url: urlRetry, reason: 'still_on_login' });
       }
     }
     
     // SUCESSO: Está no SSO correto
     if (isSSO) {
-      console.log('[Scraper] PASSO 2: ✓ SUCESSO - Redirecionou para SSO correto:', urlAposClique);
+      log.info('PASSO 2: ✓ SUCESSO - Redirecionou para SSO correto:', urlAposClique);
     } else if (isEsocialLogado) {
-      console.log('[Scraper] PASSO 2: ✓ SUCESSO - Já logado no eSocial:', urlAposClique);
+      log.info('PASSO 2: ✓ SUCESSO - Já logado no eSocial:', urlAposClique);
     } else {
-      console.log('[Scraper] PASSO 2: AVISO - URL não reconhecida, continuando:', urlAposClique);
+      log.warn('PASSO 2: AVISO - URL não reconhecida, continuando:', urlAposClique);
     }
     
     // Listar elementos para debug
@@ -619,45 +747,33 @@ class ESocialIRRFScraper {
         classes: el.className?.substring?.(0, 30) || ''
       })).filter(e => e.text)
     );
-    console.log('[Scraper] PASSO 2: Elementos disponíveis:', JSON.stringify(buttons2.slice(0, 15), null, 2));
+    log.debug('PASSO 2: Elementos disponíveis:', buttons2.slice(0, 15));
     
     // ============================================
     // PASSO 3: Clicar em "Seu certificado digital" - APENAS SE ESTIVER NO SSO
     // ============================================
     const urlAntesPasso3 = this.page.url();
-    console.log('[Scraper] PASSO 3: URL antes de buscar certificado:', urlAntesPasso3);
+    log.info('PASSO 3: URL antes de buscar certificado:', urlAntesPasso3);
     
     // VALIDAÇÃO: Só executar PASSO 3 se estiver no SSO correto
-    const estaNoSSO = urlAntesPasso3.includes('sso.acesso.gov.br') || 
-                      urlAntesPasso3.includes('acesso.gov.br');
-    const estaNoPortalGenerico = urlAntesPasso3.includes('www.gov.br') && 
-                                  !urlAntesPasso3.includes('sso.acesso');
+    const { isSSO: estaNoSSO, isPortalGenerico: estaNoPortalGenerico } = classifyGovBrUrl(urlAntesPasso3, this.profile.sso);
     
     if (estaNoPortalGenerico) {
-      await this.page.screenshot({ path: '/tmp/esocial_ERRO_PASSO3_PORTAL_ERRADO.png' });
-      throw new Error(`PASSO 3 ABORTADO: Estamos no portal genérico (${urlAntesPasso3}), não no SSO. O PASSO 2 falhou em redirecionar corretamente.`);
+      await this.captureScreenshot('erro_passo3_portal_errado');
+      throw new ProxyError('SSO_REDIRECT_FAILED', `PASSO 3 ABORTADO: Estamos no portal genérico (${urlAntesPasso3}), não no SSO. O PASSO 2 falhou em redirecionar corretamente.`,
+        { step: 3, url: urlAntesPasso3, reason: 'generic_portal_redirect' });
     }
     
     if (!estaNoSSO && !urlAntesPasso3.includes('esocial.gov.br')) {
-      console.log('[Scraper] PASSO 3: AVISO - URL não parece ser SSO nem eSocial:', urlAntesPasso3);
+      log.warn('PASSO 3: AVISO - URL não parece ser SSO nem eSocial:', urlAntesPasso3);
     }
     
-    console.log('[Scraper] PASSO 3: Procurando opção "Seu certificado digital"...');
+    log.info('PASSO 3: Procurando opção "Seu certificado digital"...');
+    this.emitProgress('login-step', { step: 3, status: 'started' });
     
     // 1. Buscar por seletores conhecidos do gov.br + texto
-    let certClicked = await this.page.evaluate(() => {
-      // Seletores comuns no gov.br para opções de login
-      const selectors = [
-        '[data-testid*="certificado"]',
-        '[data-testid*="certificate"]',
-        '[aria-label*="certificado"]',
-        '.card-certificado',
-        '.option-certificado',
-        'li[class*="certificado"]',
-        'div[class*="certificado"]'
-      ];
-      
-      // Tentar seletores específicos primeiro
+    let certClicked = await this.page.evaluate((selectors) => {
+      // Tentar os seletores do perfil primeiro, em ordem de prioridade
       for (const sel of selectors) {
         const el = document.querySelector(sel);
         if (el) {
@@ -700,19 +816,19 @@ class ESocialIRRFScraper {
       }
       
       return null;
-    });
+    }, this.profile.selectors.loginCertificado);
     
     if (!certClicked) {
       // 2. Fallback: clickByText genérico
-      console.log('[Scraper] PASSO 3: Fallback - buscando por texto genérico...');
-      const textClicked = await clickByText(this.page, 'certificado', 'a, button, div, span, li, label');
+      log.info('PASSO 3: Fallback - buscando por texto genérico...');
+      const textClicked = await clickByText(this.page, this.profile.texts.loginCertificado, 'a, button, div, span, li, label');
       if (textClicked) {
         certClicked = { clicked: true, method: 'fallback-text' };
       }
     }
     
     if (!certClicked) {
-      await this.page.screenshot({ path: '/tmp/esocial_erro_certificado_nao_encontrado.png' });
+      await this.captureScreenshot('erro_certificado_nao_encontrado');
       
       // Dump de opções disponíveis para debug
       const options = await this.page.$$eval('a, button, li, [class*="card"], [class*="option"]', els =>
@@ -722,21 +838,22 @@ class ESocialIRRFScraper {
           classes: el.className?.substring?.(0, 40) || ''
         })).filter(e => e.text).slice(0, 20)
       );
-      console.log('[Scraper] PASSO 3: Opções disponíveis:', JSON.stringify(options, null, 2));
+      log.debug('PASSO 3: Opções disponíveis:', options);
       
-      throw new Error('Opção "Seu certificado digital" não encontrada na página do gov.br');
+      throw new ProxyError('PORTAL_LAYOUT_CHANGED', 'Opção "Seu certificado digital" não encontrada na página do gov.br', { step: 3, url: this.page.url(), reason: 'certificate_option_not_found' });
     }
     
-    console.log('[Scraper] PASSO 3: Clicou em certificado digital:', JSON.stringify(certClicked));
+    log.info('PASSO 3: Clicou em certificado digital:', certClicked);
     
-    console.log('[Scraper] Clicou em "Seu certificado digital". Aguardando popup/autenticação...');
+    log.info('Clicou em "Seu certificado digital". Aguardando popup/autenticação...');
     
     // ============================================
     // PASSO 4: Aguardar popup de certificado e autenticação
     // ============================================
-    console.log('[Scraper] PASSO 4: Aguardando seleção automática de certificado...');
-    console.log('[Scraper] Auto-select configurado para qualquer URL que pedir certificado');
-    console.log('[Scraper] Se popup aparecer, Chrome deve selecionar automaticamente do NSS database');
+    log.info('PASSO 4: Aguardando seleção automática de certificado...');
+    this.emitProgress('login-step', { step: 4, status: 'started' });
+    log.info('Auto-select configurado para qualquer URL que pedir certificado');
+    log.info('Se popup aparecer, Chrome deve selecionar automaticamente do NSS database');
     
     // Loop de verificação: aguardar até 90 segundos para o login completar
     const loginStartTime = Date.now();
@@ -752,26 +869,25 @@ class ESocialIRRFScraper {
       const elapsedSec = Math.round((Date.now() - loginStartTime) / 1000);
       
       // Log de progresso a cada verificação
-      console.log(`[Scraper] PASSO 4 - ${elapsedSec}s: URL atual = ${currentUrl}`);
+      log.debug(`PASSO 4 - ${elapsedSec}s: URL atual = ${currentUrl}`);
       
       // Tirar screenshot periodicamente
       if (screenshotCount < 10) {
-        await this.page.screenshot({ path: `/tmp/esocial_passo4_${screenshotCount}_${elapsedSec}s.png` });
+        await this.captureScreenshot(`passo4_${screenshotCount}_${elapsedSec}s`);
         screenshotCount++;
       }
       
       // Verificar se saiu da página de login
       if (!currentUrl.includes('login.esocial.gov.br/login.aspx') && 
-          !currentUrl.includes('sso.acesso.gov.br/login') &&
-          !currentUrl.includes('sso.acesso.gov.br/authorize')) {
-        console.log('[Scraper] PASSO 4: URL mudou para fora do login!');
+          !(classifyGovBrUrl(currentUrl, this.profile.sso).isSSO && /^\/(login|authorize)/.test(new URL(currentUrl).pathname))) {
+        log.info('PASSO 4: URL mudou para fora do login!');
         loginCompleted = true;
         break;
       }
       
       // Verificar se a URL mudou (pode indicar progresso)
       if (currentUrl !== lastUrl) {
-        console.log(`[Scraper] PASSO 4: URL mudou de ${lastUrl} para ${currentUrl}`);
+        log.info(`PASSO 4: URL mudou de ${lastUrl} para ${currentUrl}`);
         lastUrl = currentUrl;
       }
       
@@ -785,7 +901,7 @@ class ESocialIRRFScraper {
         });
         
         if (pageInfo.alerts.length > 0) {
-          console.log('[Scraper] PASSO 4 - Mensagens de alerta:', pageInfo.alerts);
+          log.debug('PASSO 4 - Mensagens de alerta:', pageInfo.alerts);
         }
       } catch (e) {
         // Ignorar erros de avaliação
@@ -800,24 +916,25 @@ class ESocialIRRFScraper {
           c.name.toLowerCase().includes('auth')
         );
         if (authCookies.length > 0) {
-          console.log('[Scraper] PASSO 4 - Cookies de auth encontrados:', authCookies.map(c => c.name));
+          log.debug('PASSO 4 - Cookies de auth encontrados:', authCookies.map(c => c.name));
         }
       } catch (e) {
         // Ignorar erros
       }
     }
     
-    await this.page.screenshot({ path: '/tmp/esocial_04_final.png' });
+    await this.captureScreenshot('04_final');
+    await this.capturePageState('04_final');
     
     if (!loginCompleted) {
       const totalElapsed = Math.round((Date.now() - loginStartTime) / 1000);
-      console.log(`[Scraper] PASSO 4: Timeout após ${totalElapsed}s aguardando login completar`);
+      log.warn(`PASSO 4: Timeout após ${totalElapsed}s aguardando login completar`);
     }
     
     const finalUrl = this.page.url();
     const finalTitle = await this.page.title();
-    console.log('[Scraper] URL final após login:', finalUrl);
-    console.log('[Scraper] Título final:', finalTitle);
+    log.info('URL final após login:', finalUrl);
+    log.info('Título final:', finalTitle);
     
     // ============================================
     // VERIFICAÇÃO: Login foi bem-sucedido?
@@ -833,76 +950,133 @@ class ESocialIRRFScraper {
         title: finalTitle,
         errorMessages: errorMsgs.slice(0, 5)
       };
-      console.log('[Scraper] DEBUG - Login falhou:', JSON.stringify(debugInfo));
-      throw new Error(`Login não completado. Ainda na página de login. Debug: ${JSON.stringify(debugInfo)}`);
+      log.debug('DEBUG - Login falhou:', debugInfo);
+      throw new ProxyError('LOGIN_FAILED', `Login não completado. Ainda na página de login. Debug: ${JSON.stringify(debugInfo)}`, { step: 4, ...debugInfo });
     }
     
     // Ainda na página do gov.br sem ter logado
-    if (finalUrl.includes('sso.acesso.gov.br') && !finalUrl.includes('authorize')) {
+    if (classifyGovBrUrl(finalUrl, this.profile.sso).isSSO && !finalUrl.includes('authorize')) {
       const pageContent = await this.page.content();
       const hasLoginForm = pageContent.includes('Seu certificado') || pageContent.includes('senha');
       if (hasLoginForm) {
-        throw new Error('Login não completado. Ainda na página do gov.br aguardando autenticação.');
+        throw new ProxyError('LOGIN_TIMEOUT', 'Login não completado. Ainda na página do gov.br aguardando autenticação.', { step: 4, url: finalUrl });
       }
     }
     
-    console.log('[Scraper] === LOGIN CONCLUÍDO COM SUCESSO ===');
+    log.info('=== LOGIN CONCLUÍDO COM SUCESSO ===');
+    this.loggedIn = true;
+    this.homeUrl = finalUrl;
+    this.emitProgress('login-step', { step: 4, status: 'completed' });
   }
 
-  async navigateToIRRF() {
-    console.log('[Scraper] Navigating to IRRF por trabalhador...');
-    
+  isBrowserConnected() {
+    return !!this.browser && this.browser.isConnected();
+  }
+
+  /**
+   * Verifica se a sessão do portal ainda é válida (sessões reaproveitadas do pool).
+   * Volta para a página inicial pós-login; redirecionamento para login/SSO indica sessão expirada.
+   */
+  async isSessionActive() {
+    if (!this.loggedIn || !this.isBrowserConnected() || !this.homeUrl) return false;
+
     try {
-      // Menu: Folha de Pagamento
-      let menuClicked = false;
-      try {
-        await this.page.waitForSelector(SELECTORS.menuFolhaPagamento, { timeout: 5000 });
-        await this.page.click(SELECTORS.menuFolhaPagamento);
-        menuClicked = true;
-      } catch {
-        menuClicked = await clickByText(this.page, 'Folha de Pagamento', 'a, button, li, span');
+      await this.page.goto(this.homeUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+      const url = this.page.url();
+      const expired = url.includes('login.esocial.gov.br/login.aspx') ||
+                      classifyGovBrUrl(url, this.profile.sso).isSSO;
+      log.info(`Verificação de sessão: ${expired ? 'EXPIRADA' : 'ativa'} (${url})`);
+      return !expired;
+    } catch (e) {
+      log.warn('Falha ao verificar sessão:', e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Garante browser iniciado e login feito, reaproveitando a sessão quando possível
+   */
+  async ensureSession() {
+    if (this.loggedIn) {
+      if (await this.isSessionActive()) {
+        this.emitProgress('session', { status: 'reused' });
+        return;
       }
-      await sleep(1000);
-      
-      // Submenu: Totalizadores
-      try {
-        await this.page.waitForSelector(SELECTORS.submenuTotalizadores, { timeout: 5000 });
-        await this.page.click(SELECTORS.submenuTotalizadores);
-      } catch {
-        await clickByText(this.page, 'Totalizadores', 'a, button, li, span');
+
+      // Sessão expirada: descartar browser e refazer todo o fluxo
+      log.info('Sessão do portal expirada, reiniciando browser e login...');
+      this.emitProgress('session', { status: 'expired' });
+      await this.close();
+    }
+
+    const endTimer = metrics.loginDuration.startTimer();
+    this.loginStep = 'init';
+
+    try {
+      await this.init();
+      await this.login();
+      endTimer({ outcome: 'success' });
+    } catch (error) {
+      endTimer({ outcome: 'failure' });
+      metrics.loginFailures.inc({ step: String(this.loginStep), reason: classifyLoginFailure(error) });
+      // Timeout do puppeteer durante o login (SSO ou popup do certificado sem resposta)
+      if (error.name === 'TimeoutError') {
+        throw new ProxyError('LOGIN_TIMEOUT', `Login não concluído no prazo: ${error.message}`, { step: this.loginStep });
       }
-      await sleep(1000);
-      
-      // Submenu: Trabalhador
-      try {
-        await this.page.waitForSelector(SELECTORS.submenuTrabalhador, { timeout: 5000 });
-        await this.page.click(SELECTORS.submenuTrabalhador);
-      } catch {
-        await clickByText(this.page, 'Trabalhador', 'a, button, li, span');
+      throw error;
+    }
+  }
+
+  async navigateToReport(totalizador) {
+    const target = totalizador.tipo;
+    log.info(`Navigating to ${target} (${totalizador.descricao})...`);
+    this.emitProgress('navigation', { target, status: 'started', profile: this.profile.version });
+    
+    try {
+      const steps = this.profile.navigation[totalizador.fluxo];
+      if (!Array.isArray(steps) || steps.length === 0) {
+        throw new ProxyError('PORTAL_LAYOUT_CHANGED', `Perfil ${this.profile.version} sem caminho de menu navigation.${totalizador.fluxo}`);
       }
-      await sleep(1000);
-      
-      // Opção: IRRF por trabalhador
-      try {
-        await this.page.waitForSelector(SELECTORS.optionIRRF, { timeout: 5000 });
-        await this.page.click(SELECTORS.optionIRRF);
-      } catch {
-        await clickByText(this.page, 'IRRF', 'a, button, li, span');
+
+      // Caminho de menu do perfil (ex.: Folha de Pagamento > Totalizadores > Trabalhador > IRRF):
+      // seletor CSS primeiro, texto como fallback
+      for (const step of steps) {
+        let clicked = false;
+        if (step.selector) {
+          try {
+            await this.page.waitForSelector(step.selector, { timeout: 5000 });
+            await this.page.click(step.selector);
+            clicked = true;
+          } catch {}
+        }
+        if (!clicked && step.text) {
+          await clickByText(this.page, step.text, step.textTags || 'a, button, li, span');
+        }
+        await sleep(step.waitMs !== undefined ? step.waitMs : 1000);
       }
-      await sleep(2000);
       
-      console.log('[Scraper] Navigated to IRRF form');
-      await debugDumpInputs(this.page, 'irrf_form');
+      log.info(`Navigated to ${target} form`);
+      this.emitProgress('navigation', { target, status: 'completed' });
+      await debugDumpInputs(this.page, `${totalizador.fluxo}_form`, this.artifacts);
       
     } catch (error) {
-      console.error('[Scraper] Navigation error:', error.message);
-      await this.page.screenshot({ path: '/tmp/esocial_nav_error.png' });
-      throw new Error(`Falha na navegação: ${error.message}`);
+      log.error('Navigation error:', error.message);
+      this.emitProgress('navigation', { target, status: 'failed', error: error.message });
+      await this.captureScreenshot('nav_error');
+      await this.capturePageState('nav_error');
+      throw new ProxyError(error.name === 'TimeoutError' ? 'PORTAL_TIMEOUT' : 'PORTAL_LAYOUT_CHANGED',
+        `Falha na navegação: ${error.message}`, { target, url: this.page.url() });
     }
   }
 
-  async consultarIRRF(cpf, periodo) {
-    console.log(`[Scraper] Consulting IRRF for CPF ${cpf}, period ${periodo}...`);
+  /**
+   * Preenche o formulário do totalizador (período e, no escopo trabalhador, CPF) e lê o resultado
+   */
+  async consultar(totalizador, { cpf = null, periodo }, attempt = 1) {
+    log.info(`Consulting ${totalizador.tipo} for ${describeItem({ cpf, periodo })} (tentativa ${attempt})...`);
+    const { selectors, texts } = this.profile;
+    const item = { tipo: totalizador.tipo, cpf, periodo };
+    const usaCpf = totalizador.campos.includes('cpf');
     
     try {
       // Limpar campos anteriores (mantém simples: limpar inputs visíveis)
@@ -915,28 +1089,35 @@ class ESocialIRRFScraper {
       });
 
       const periodoFormatado = this.formatPeriodo(periodo);
-      const cpfFormatado = this.formatCPF(cpf);
-
       // Encontrar campo Período (selector -> label -> fallback por posição)
-      let periodoEl = await this.page.$(SELECTORS.inputPeriodo);
-      if (!periodoEl) periodoEl = await findInputHandleByLabel(this.page, 'Período');
-      if (!periodoEl) periodoEl = await findInputHandleByLabel(this.page, 'Periodo');
-      if (!periodoEl) periodoEl = await findInputHandleByLabel(this.page, 'Compet');
+      let periodoEl = await this.page.$(selectors.inputPeriodo);
+      for (const label of texts.labelsPeriodo) {
+        if (!periodoEl) periodoEl = await findInputHandleByLabel(this.page, label);
+      }
 
-      // Encontrar campo CPF (selector -> label -> fallback por posição)
-      let cpfEl = await this.page.$(SELECTORS.inputCPF);
-      if (!cpfEl) cpfEl = await findInputHandleByLabel(this.page, 'CPF');
+      // Encontrar campo CPF, só nos totalizadores por trabalhador (selector -> label -> fallback por posição)
+      let cpfEl = null;
+      if (usaCpf) {
+        cpfEl = await this.page.$(selectors.inputCPF);
+        for (const label of texts.labelsCPF) {
+          if (!cpfEl) cpfEl = await findInputHandleByLabel(this.page, label);
+        }
+      }
 
       // Fallback final: usar 1º e 2º inputs de texto visíveis
-      if (!periodoEl || !cpfEl) {
+      if (!periodoEl || (usaCpf && !cpfEl)) {
         const visibleTextInputs = await getVisibleTextInputs(this.page);
         if (!periodoEl) periodoEl = visibleTextInputs[0] || null;
-        if (!cpfEl) cpfEl = visibleTextInputs[1] || null;
+        if (usaCpf && !cpfEl) cpfEl = visibleTextInputs[1] || null;
       }
 
-      if (!periodoEl || !cpfEl) {
-        await debugDumpInputs(this.page, 'irrf_missing_fields');
-        throw new Error('Não foi possível localizar os campos de Período e/ou CPF no formulário');
+      if (!periodoEl || (usaCpf && !cpfEl)) {
+        await debugDumpInputs(this.page, `${totalizador.fluxo}_missing_fields`, this.artifacts);
+        // Pode ser só render lento do formulário: classificado como transitório (form_not_ready)
+        throw new ProxyError('PORTAL_LAYOUT_CHANGED', `Não foi possível localizar os campos ${totalizador.campos.join(', ')} no formulário`, {
+          reason: 'form_not_ready',
+          missing: [!periodoEl && 'periodo', usaCpf && !cpfEl && 'cpf'].filter(Boolean)
+        });
       }
 
       // Preencher período (formato MM/YYYY)
@@ -944,13 +1125,15 @@ class ESocialIRRFScraper {
       await this.page.keyboard.type(periodoFormatado, { delay: 50 });
 
       // Preencher CPF (formato XXX.XXX.XXX-XX)
-      await cpfEl.click({ clickCount: 3 });
-      await this.page.keyboard.type(cpfFormatado, { delay: 50 });
+      if (usaCpf) {
+        await cpfEl.click({ clickCount: 3 });
+        await this.page.keyboard.type(this.formatCPF(cpf), { delay: 50 });
+      }
 
       // Clicar em Pesquisar - tentar CSS primeiro, depois texto
       let searchClicked = false;
       try {
-        const btnPesquisar = await this.page.$(SELECTORS.btnPesquisar);
+        const btnPesquisar = await this.page.$(selectors.btnPesquisar);
         if (btnPesquisar) {
           await btnPesquisar.click();
           searchClicked = true;
@@ -958,94 +1141,154 @@ class ESocialIRRFScraper {
       } catch {}
       
       if (!searchClicked) {
-        searchClicked = await clickByText(this.page, 'Pesquisar', 'button, input[type="submit"], a');
+        searchClicked = await clickByText(this.page, texts.btnPesquisar, 'button, input[type="submit"], a');
       }
 
       // Aguardar resultado (pode ser tabela de dados ou mensagem de sem dados)
       await sleep(3000);
+      await this.waitForResult(attempt);
 
       // Verificar se há mensagem de "sem dados"
-      const semDados = await this.page.$(SELECTORS.msgSemDados);
+      const semDados = await this.page.$(selectors.msgSemDados);
       if (semDados) {
-        console.log(`[Scraper] No data found for ${cpf} - ${periodo}`);
-        return { cpf, periodo, success: false, message: 'Sem dados para o período' };
+        log.info(`No data found for ${describeItem(item)}`);
+        return { ...item, success: false, code: 'NO_DATA', message: 'Sem dados para o período' };
       }
 
       // Verificar se há mensagem de erro
-      const erro = await this.page.$(SELECTORS.msgErro);
+      const erro = await this.page.$(selectors.msgErro);
       if (erro) {
         const msgErro = await this.page.evaluate(el => el.textContent, erro);
-        console.log(`[Scraper] Error for ${cpf} - ${periodo}: ${msgErro}`);
-        return { cpf, periodo, success: false, error: msgErro };
+        log.info(`Error for ${describeItem(item)}: ${msgErro}`);
+        // Mensagem do próprio portal: repetir a consulta não muda a resposta
+        return {
+          ...item,
+          success: false,
+          error: msgErro,
+          code: 'PORTAL_ERROR',
+          details: { mensagem: String(msgErro).trim() },
+          classification: 'permanent',
+          reason: 'portal_error'
+        };
       }
 
       // Tentar baixar XML
-      const xmlContent = await this.downloadXML();
+      const xmlContent = await this.downloadXML(totalizador);
 
       if (xmlContent) {
-        console.log(`[Scraper] XML downloaded for ${cpf} - ${periodo}`);
-        return { cpf, periodo, success: true, xml: xmlContent };
+        log.info(`XML downloaded for ${describeItem(item)}`);
+        return {
+          ...item,
+          success: true,
+          ...parseReportData(totalizador, item, { xml: xmlContent }),
+          xml: xmlContent
+        };
       }
 
       // Se não conseguir baixar XML, extrair dados da tela
       const dadosTela = await this.extractDataFromScreen();
 
       return {
-        cpf,
-        periodo,
+        ...item,
         success: true,
+        ...parseReportData(totalizador, item, { dados: dadosTela }),
         dados: dadosTela
       };
       
     } catch (error) {
-      console.error(`[Scraper] Consultation error for ${cpf} - ${periodo}:`, error.message);
-      await this.page.screenshot({ path: `/tmp/esocial_error_${cpf}_${periodo}.png` });
-      return { cpf, periodo, success: false, error: error.message };
+      const classification = classifyScrapingError(error);
+      log.error(`Consultation error for ${describeItem(item)} (${classification.reason}):`, error.message);
+      await this.captureScreenshot(`erro_consulta_${totalizador.fluxo}_${periodo}_t${attempt}`);
+      return failedItem(item, error, classification);
     }
   }
 
-  async downloadXML() {
+  /**
+   * Aguarda o portal renderizar dados, "sem dados" ou erro após Pesquisar.
+   * Sem nenhum deles no prazo, a falha é transitória (PORTAL_TIMEOUT, reason result_not_rendered).
+   */
+  async waitForResult(attempt) {
+    const { selectors } = this.profile;
+    const anyResult = [selectors.resultadoContainer, selectors.btnBaixarXML, selectors.msgSemDados, selectors.msgErro]
+      .filter(Boolean)
+      .join(', ');
+    const timeout = RESULT_TIMEOUT_MS * attempt;
+
     try {
-      // Tentar encontrar botão de download por CSS
-      let downloadButton = await this.page.$(SELECTORS.btnBaixarXML);
-      
-      // Se não encontrar, tentar por texto
-      if (!downloadButton) {
-        const clicked = await clickByText(this.page, 'Baixar XML', 'button, a');
-        if (clicked) {
-          await sleep(3000);
-          // Ler arquivo baixado
-          const files = fs.readdirSync(os.tmpdir())
-            .filter(f => f.endsWith('.xml') && f.includes('S-5002'));
-          
-          if (files.length > 0) {
-            const latestFile = files.sort().pop();
-            const xmlPath = path.join(os.tmpdir(), latestFile);
-            const xmlContent = fs.readFileSync(xmlPath, 'utf-8');
-            fs.unlinkSync(xmlPath);
-            return xmlContent;
-          }
+      await this.page.waitForSelector(anyResult, { timeout });
+    } catch (e) {
+      throw new ProxyError('PORTAL_TIMEOUT', `Resultado da consulta não carregou em ${Math.round(timeout / 1000)}s`, {
+        reason: 'result_not_rendered',
+        timeoutMs: timeout
+      });
+    }
+  }
+
+  /**
+   * consultar() com novas tentativas (backoff + jitter) para falhas transitórias.
+   * Entre tentativas volta ao formulário pela página inicial e o caminho de menu do perfil.
+   * O resultado informa attempts e, nas falhas, classification (transient/permanent) e reason.
+   */
+  async consultarWithRetry(totalizador, { cpf, periodo }) {
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.consultar(totalizador, { cpf, periodo }, attempt);
+      result.attempts = attempt;
+
+      if (result.classification !== 'transient' || attempt >= ITEM_RETRY.maxAttempts || this.cancelled) {
+        return result;
+      }
+
+      const delayMs = backoffDelay(attempt, ITEM_RETRY);
+      log.warn(`${describeItem(result)}: tentativa ${attempt}/${ITEM_RETRY.maxAttempts} falhou (${result.reason}), nova tentativa em ${delayMs}ms`);
+      metrics.retries.inc({ operation: 'irrf_item', reason: result.reason });
+      this.emitProgress('retry', { tipo: totalizador.tipo, cpf, periodo, attempt, delayMs, reason: result.reason });
+      await sleep(delayMs);
+
+      try {
+        if (this.homeUrl) {
+          await this.page.goto(this.homeUrl, { waitUntil: 'networkidle2', timeout: 30000 });
         }
-        return null;
+        await this.navigateToReport(totalizador);
+      } catch (error) {
+        log.warn(`${describeItem(result)}: não foi possível voltar ao formulário para nova tentativa:`, error.message);
+        return result;
       }
+    }
+  }
 
-      // Configurar interceptação de download
+  /**
+   * Baixa o XML do evento do totalizador (arquivo com o tipo no nome, ex.: S-5002_<cpf>_<periodo>.xml)
+   */
+  async downloadXML(totalizador) {
+    try {
+      // A página pode ter mudado (SSO em nova aba): apontar os downloads para o diretório desta instância
       const client = await this.page.target().createCDPSession();
       await client.send('Page.setDownloadBehavior', {
         behavior: 'allow',
-        downloadPath: os.tmpdir()
+        downloadPath: this.tempDownloadDir
       });
 
-      await downloadButton.click();
+      // Descartar downloads anteriores para não devolver o XML de outra consulta
+      for (const file of fs.readdirSync(this.tempDownloadDir)) {
+        fs.rmSync(path.join(this.tempDownloadDir, file), { force: true });
+      }
+
+      // Tentar encontrar botão de download por CSS; se não encontrar, tentar por texto
+      const downloadButton = await this.page.$(this.profile.selectors.btnBaixarXML);
+      if (downloadButton) {
+        await downloadButton.click();
+      } else if (!await clickByText(this.page, this.profile.texts.btnBaixarXML, 'button, a')) {
+        return null;
+      }
       await sleep(3000);
 
-      // Tentar ler o arquivo XML baixado
-      const files = fs.readdirSync(os.tmpdir())
-        .filter(f => f.endsWith('.xml') && f.includes('S-5002'));
-      
+      // Ler o arquivo XML baixado
+      const files = fs.readdirSync(this.tempDownloadDir)
+        .filter(f => f.endsWith('.xml') && f.includes(totalizador.tipo));
+
       if (files.length > 0) {
         const latestFile = files.sort().pop();
-        const xmlPath = path.join(os.tmpdir(), latestFile);
+        const xmlPath = path.join(this.tempDownloadDir, latestFile);
         const xmlContent = fs.readFileSync(xmlPath, 'utf-8');
         fs.unlinkSync(xmlPath); // Limpar arquivo temporário
         return xmlContent;
@@ -1053,7 +1296,7 @@ class ESocialIRRFScraper {
 
       return null;
     } catch (error) {
-      console.error('[Scraper] XML download error:', error.message);
+      log.error('XML download error:', error.message);
       return null;
     }
   }
@@ -1061,11 +1304,11 @@ class ESocialIRRFScraper {
   async extractDataFromScreen() {
     try {
       // Extrair dados da tabela de resultados
-      const dados = await this.page.evaluate(() => {
+      const dados = await this.page.evaluate((selectors) => {
         const result = {};
         
         // Tentar extrair de uma tabela
-        const table = document.querySelector('.resultado-consulta table, .dados-irrf table');
+        const table = document.querySelector(selectors.tabelaResultado);
         if (table) {
           const rows = table.querySelectorAll('tr');
           rows.forEach(row => {
@@ -1081,77 +1324,118 @@ class ESocialIRRFScraper {
         }
         
         // Tentar extrair de campos específicos
-        const campos = document.querySelectorAll('.campo-valor, .info-field');
+        const campos = document.querySelectorAll(selectors.campoResultado);
         campos.forEach(campo => {
-          const label = campo.querySelector('.label, .field-label')?.textContent?.trim();
-          const value = campo.querySelector('.valor, .field-value')?.textContent?.trim();
+          const label = campo.querySelector(selectors.campoLabel)?.textContent?.trim();
+          const value = campo.querySelector(selectors.campoValor)?.textContent?.trim();
           if (label && value) {
             result[label] = value;
           }
         });
         
         return result;
-      });
+      }, this.profile.selectors);
       
       return dados;
     } catch (error) {
-      console.error('[Scraper] Data extraction error:', error.message);
+      log.error('Data extraction error:', error.message);
       return null;
     }
   }
 
-  async processMultiple(cpfs, periodos) {
+  /**
+   * Processa todas as consultas do totalizador: CPF × período (escopo trabalhador) ou só período (empregador).
+   * Callbacks opcionais: onItemStart({ tipo, cpf, periodo }) e onResult(result), chamados a cada item.
+   * O XML bruto do evento só é mantido no resultado com includeXml (ou se o parse falhar).
+   */
+  async processReport(totalizador, { cpfs = [], periodos }, options = {}) {
+    const { onItemStart, onResult, includeXml = false } = options;
     const results = [];
-    let loginDone = false;
+    const items = [];
+    for (const periodo of periodos) {
+      if (totalizador.escopo === 'empregador') {
+        items.push({ tipo: totalizador.tipo, cpf: null, periodo });
+      } else {
+        for (const cpf of cpfs) items.push({ tipo: totalizador.tipo, cpf, periodo });
+      }
+    }
+    const total = items.length;
+    
+    const reportResult = (result) => {
+      if (!includeXml && result[totalizador.resultado]) {
+        delete result.xml;
+      }
+      results.push(result);
+      metrics.irrfItems.inc({ tipo: totalizador.tipo, outcome: itemOutcome(result) });
+      this.emitProgress('item-result', { index: results.length, total, result });
+      if (onResult) onResult(result);
+    };
     
     try {
-      await this.init();
-      await this.login();
-      loginDone = true;
-      await this.navigateToIRRF();
+      await this.ensureSession();
+      await this.navigateToReport(totalizador);
       
-      for (const periodo of periodos) {
-        for (const cpf of cpfs) {
+      for (const item of items) {
+        if (this.cancelled) {
+          log.info('Processamento cancelado');
+          this.emitSummary(results, total);
+          return results;
+        }
+        
+        if (onItemStart) onItemStart(item);
+        
+        try {
+          const result = await this.consultarWithRetry(totalizador, item);
+          reportResult(result);
+          log.info(`✓ ${describeItem(item)}: ${result.success ? 'OK' : 'FALHA'}`);
+          
+          // Clicar em Voltar para nova consulta (se necessário)
+          let voltarClicked = false;
           try {
-            const result = await this.consultarIRRF(cpf, periodo);
-            results.push(result);
-            console.log(`[Scraper] ✓ ${cpf} - ${periodo}: ${result.success ? 'OK' : 'FALHA'}`);
-            
-            // Clicar em Voltar para nova consulta (se necessário)
-            let voltarClicked = false;
-            try {
-              const btnVoltar = await this.page.$(SELECTORS.btnVoltar);
-              if (btnVoltar) {
-                await btnVoltar.click();
-                voltarClicked = true;
-              }
-            } catch {}
-            
-            if (!voltarClicked) {
-              await clickByText(this.page, 'Voltar', 'button, a');
+            const btnVoltar = await this.page.$(this.profile.selectors.btnVoltar);
+            if (btnVoltar) {
+              await btnVoltar.click();
+              voltarClicked = true;
             }
-            await sleep(1000);
-            
-          } catch (error) {
-            console.error(`[Scraper] ✗ ${cpf} - ${periodo}: ${error.message}`);
-            results.push({ cpf, periodo, success: false, error: error.message });
+          } catch {}
+          
+          if (!voltarClicked) {
+            await clickByText(this.page, this.profile.texts.btnVoltar, 'button, a');
           }
+          await sleep(1000);
           
-          // Delay entre consultas para evitar bloqueio
-          await sleep(2000);
+        } catch (error) {
+          log.error(`✗ ${describeItem(item)}: ${error.message}`);
+          reportResult({ ...failedItem(item, error, classifyScrapingError(error)), attempts: 1 });
         }
+        
+        // Delay entre consultas para evitar bloqueio
+        await sleep(2000);
       }
       
     } catch (error) {
-      console.error('[Scraper] Process error:', error.message);
-      if (!loginDone) {
-        throw error;
-      }
+      // Login e navegação (PORTAL_LAYOUT_CHANGED, PORTAL_TIMEOUT...) chegam ao chamador com o code;
+      // a sessão volta ao pool como não saudável e é descartada
+      log.error('Process error:', error.message);
+      await this.capturePageState('erro_processamento');
+      throw error;
     }
     
+    this.emitSummary(results, total);
     return results;
   }
 
+  emitSummary(results, total) {
+    const successful = results.filter(r => r && r.success).length;
+    this.emitProgress('summary', {
+      total,
+      processed: results.length,
+      successful,
+      failed: results.length - successful,
+      cancelled: this.cancelled
+    });
+  }
+
   formatPeriodo(periodo) {
     // Converte YYYY-MM para MM/YYYY
     if (periodo.includes('-')) {
@@ -1167,45 +1451,48 @@ class ESocialIRRFScraper {
     return numbers.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
   }
 
+  /**
+   * Interrompe o processamento em andamento e fecha o browser
+   */
+  async cancel() {
+    this.cancelled = true;
+    await this.close();
+  }
+
   async close() {
-    console.log('[Scraper] Closing browser...');
+    log.info('Closing browser...');
     
-    if (this.browser) {
-      await this.browser.close();
-    }
-    
-    // Limpar arquivo de certificado temporário
-    if (this.tempCertPath && fs.existsSync(this.tempCertPath)) {
-      try {
-        fs.unlinkSync(this.tempCertPath);
-        console.log('[Scraper] Temp certificate file removed');
-      } catch (e) {
-        console.log('[Scraper] Could not remove temp cert file:', e.message);
-      }
-    }
-    
-    // Limpar diretório NSS database
-    if (this.tempNssDb && fs.existsSync(this.tempNssDb)) {
-      try {
-        fs.rmSync(this.tempNssDb, { recursive: true, force: true });
-        console.log('[Scraper] Temp NSS database removed');
-      } catch (e) {
-        console.log('[Scraper] Could not remove temp NSS db:', e.message);
+    try {
+      if (this.browser) {
+        const browser = this.browser;
+        this.browser = null;
+        await browser.close();
       }
+    } finally {
+      this.loggedIn = false;
+      this.removeTempDir();
     }
     
-    // Limpar diretório userDataDir do Chrome
-    if (this.tempUserDataDir && fs.existsSync(this.tempUserDataDir)) {
-      try {
-        fs.rmSync(this.tempUserDataDir, { recursive: true, force: true });
-        console.log('[Scraper] Temp Chrome profile removed');
-      } catch (e) {
-        console.log('[Scraper] Could not remove temp Chrome profile:', e.message);
-      }
+    log.info('Browser closed');
+  }
+
+  /**
+   * Remove o diretório privado (PFX, arquivo de senha, perfil/NSS do Chrome e downloads)
+   */
+  removeTempDir() {
+    if (!this.tempDir) return;
+
+    try {
+      fs.rmSync(this.tempDir, { recursive: true, force: true });
+      log.info('Temp directory removed');
+    } catch (e) {
+      log.warn('Could not remove temp directory:', e.message);
     }
-    
-    console.log('[Scraper] Browser closed');
+    this.tempDir = null;
+    this.tempCertPath = null;
+    this.tempUserDataDir = null;
+    this.tempDownloadDir = null;
   }
 }
 
-module.exports = { ESocialIRRFScraper };
+module.exports = { ESocialIRRFScraper, forwardBrowserConsole, classifyLoginFailure };
@@ -0,0 +1,240 @@
+/**
+ * Perfis do portal eSocial (seletores, hosts do SSO, caminho de menu e textos de fallback)
+ * 
+ * Cada arquivo .json/.yaml em PORTAL_PROFILES_DIR define uma versão do perfil.
+ * Todos são validados ao iniciar; reload() relê o diretório sem reiniciar o processo
+ * e mantém os perfis anteriores se algum arquivo novo for inválido.
+ * 
+ * Versão padrão: PORTAL_PROFILE_VERSION ou o perfil marcado com "default": true.
+ * Uma requisição pode escolher outra versão (profileVersion) para testar um perfil novo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('Profiles');
+
+const PORTAL_PROFILES_DIR = process.env.PORTAL_PROFILES_DIR || path.join(__dirname, '..', 'profiles', 'portal');
+
+const REQUIRED_SELECTORS = [
+  'inputPeriodo', 'inputCPF', 'btnPesquisar', 'btnBaixarXML', 'btnVoltar', 'msgSemDados', 'msgErro',
+  'tabelaResultado', 'campoResultado', 'campoLabel', 'campoValor'
+];
+// Listas em ordem de prioridade: o primeiro seletor encontrado na página é usado
+const REQUIRED_SELECTOR_LISTS = ['loginCertificado'];
+const REQUIRED_TEXTS = ['loginGovBr', 'loginCertificado', 'btnPesquisar', 'btnBaixarXML', 'btnVoltar'];
+const REQUIRED_TEXT_LISTS = ['labelsPeriodo', 'labelsCPF'];
+const REQUIRED_FLOWS = ['irrf'];
+// Hosts do login gov.br: sso.hosts (SSO correto) e sso.portalGenericoHosts (portal www.gov.br, a evitar)
+const REQUIRED_HOST_LISTS = ['hosts', 'portalGenericoHosts'];
+
+class ProfileError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'ProfileError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Lista de problemas do perfil (vazia = válido)
+ */
+function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['perfil deve ser um objeto'];
+  }
+
+  if (!isNonEmptyString(profile.version) || !/^[\w.-]+$/.test(profile.version)) {
+    errors.push('version obrigatória (letras, números, ".", "-" ou "_")');
+  }
+
+  if (profile.default !== undefined && typeof profile.default !== 'boolean') {
+    errors.push('default deve ser true ou false');
+  }
+
+  const selectors = profile.selectors || {};
+  for (const key of REQUIRED_SELECTORS) {
+    if (!isNonEmptyString(selectors[key])) {
+      errors.push(`selectors.${key} obrigatório`);
+    }
+  }
+  for (const key of REQUIRED_SELECTOR_LISTS) {
+    if (!Array.isArray(selectors[key]) || selectors[key].length === 0 || !selectors[key].every(isNonEmptyString)) {
+      errors.push(`selectors.${key} deve ser uma lista de seletores`);
+    }
+  }
+
+  const sso = profile.sso || {};
+  for (const key of REQUIRED_HOST_LISTS) {
+    if (!Array.isArray(sso[key]) || sso[key].length === 0 ||
+        !sso[key].every(host => isNonEmptyString(host) && /^[a-z0-9.-]+$/i.test(host))) {
+      errors.push(`sso.${key} deve ser uma lista de hostnames`);
+    }
+  }
+
+  const navigation = profile.navigation || {};
+  for (const flow of REQUIRED_FLOWS) {
+    if (!Array.isArray(navigation[flow]) || navigation[flow].length === 0) {
+      errors.push(`navigation.${flow} deve ser uma lista de passos`);
+    }
+  }
+
+  for (const [flow, steps] of Object.entries(navigation)) {
+    if (!Array.isArray(steps)) continue;
+
+    steps.forEach((step, index) => {
+      const where = `navigation.${flow}[${index}]`;
+      if (!step || (!isNonEmptyString(step.selector) && !isNonEmptyString(step.text))) {
+        errors.push(`${where}: selector ou text obrigatório`);
+      }
+      if (step && step.waitMs !== undefined && !(Number.isInteger(step.waitMs) && step.waitMs >= 0)) {
+        errors.push(`${where}.waitMs deve ser inteiro >= 0`);
+      }
+    });
+  }
+
+  const texts = profile.texts || {};
+  for (const key of REQUIRED_TEXTS) {
+    if (!isNonEmptyString(texts[key])) {
+      errors.push(`texts.${key} obrigatório`);
+    }
+  }
+  for (const key of REQUIRED_TEXT_LISTS) {
+    if (!Array.isArray(texts[key]) || texts[key].length === 0 || !texts[key].every(isNonEmptyString)) {
+      errors.push(`texts.${key} deve ser uma lista de textos`);
+    }
+  }
+
+  return errors;
+}
+
+function parseProfileFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? YAML.parse(content) : JSON.parse(content);
+}
+
+class PortalProfiles {
+  constructor({ dir = PORTAL_PROFILES_DIR, defaultVersion = process.env.PORTAL_PROFILE_VERSION } = {}) {
+    this.dir = dir;
+    this.requestedDefault = defaultVersion || null;
+    this.profiles = new Map();
+    this.defaultVersion = null;
+    this.loadedAt = null;
+
+    // Falha ao iniciar: não subir o proxy com perfil inválido
+    this.reload();
+  }
+
+  /**
+   * Lê e valida todos os perfis. Só substitui os atuais se todos forem válidos.
+   */
+  reload() {
+    const errors = [];
+    const profiles = new Map();
+
+    const files = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir).filter(f => /\.(json|ya?ml)$/i.test(f)).sort()
+      : [];
+
+    for (const name of files) {
+      let profile;
+      try {
+        profile = parseProfileFile(path.join(this.dir, name));
+      } catch (e) {
+        errors.push(`${name}: não foi possível ler (${e.message})`);
+        continue;
+      }
+
+      const problems = validateProfile(profile);
+      if (problems.length > 0) {
+        errors.push(...problems.map(p => `${name}: ${p}`));
+        continue;
+      }
+
+      if (profiles.has(profile.version)) {
+        errors.push(`${name}: versão ${profile.version} duplicada`);
+        continue;
+      }
+
+      profiles.set(profile.version, Object.freeze({ ...profile, file: name }));
+    }
+
+    if (profiles.size === 0 && errors.length === 0) {
+      errors.push(`nenhum perfil encontrado em ${this.dir}`);
+    }
+
+    const defaultVersion = this.resolveDefault(profiles, errors);
+
+    if (errors.length > 0) {
+      throw new ProfileError('PROFILE_INVALID', `Perfis do portal inválidos: ${errors.length} problema(s)`, errors);
+    }
+
+    this.profiles = profiles;
+    this.defaultVersion = defaultVersion;
+    this.loadedAt = new Date().toISOString();
+    log.info(`${profiles.size} perfil(is) carregado(s), padrão ${defaultVersion}`, Array.from(profiles.keys()));
+    return this.describe();
+  }
+
+  /**
+   * Versão padrão: PORTAL_PROFILE_VERSION, o perfil marcado com "default": true
+   * ou o único perfil existente. Adicionar uma versão nova não troca o padrão.
+   */
+  resolveDefault(profiles, errors) {
+    if (this.requestedDefault) {
+      if (!profiles.has(this.requestedDefault) && errors.length === 0) {
+        errors.push(`versão padrão ${this.requestedDefault} (PORTAL_PROFILE_VERSION) não encontrada`);
+      }
+      return this.requestedDefault;
+    }
+
+    const marked = Array.from(profiles.values()).filter(p => p.default === true);
+    if (marked.length > 1) {
+      errors.push(`mais de um perfil marcado como default: ${marked.map(p => p.version).join(', ')}`);
+      return null;
+    }
+    if (marked.length === 1) return marked[0].version;
+    if (profiles.size === 1) return profiles.keys().next().value;
+
+    if (profiles.size > 1) {
+      errors.push('marque um perfil com "default": true ou defina PORTAL_PROFILE_VERSION');
+    }
+    return null;
+  }
+
+  /**
+   * Perfil da versão pedida (ou o padrão)
+   */
+  get(version) {
+    const wanted = version || this.defaultVersion;
+    const profile = this.profiles.get(wanted);
+    if (!profile) {
+      throw new ProfileError('PROFILE_NOT_FOUND',
+        `Perfil do portal ${wanted} não encontrado. Disponíveis: ${Array.from(this.profiles.keys()).join(', ')}`
+      );
+    }
+    return profile;
+  }
+
+  describe() {
+    return {
+      dir: this.dir,
+      defaultVersion: this.defaultVersion,
+      loadedAt: this.loadedAt,
+      profiles: Array.from(this.profiles.values()).map(p => ({
+        version: p.version,
+        description: p.description || null,
+        file: p.file
+      }))
+    };
+  }
+}
+
+module.exports = { PortalProfiles, ProfileError, validateProfile };
@@ -0,0 +1,180 @@
+/**
+ * Fila de execução dos scrapers
+ * 
+ * Cada ESocialIRRFScraper abre um Chrome completo (não headless) no Xvfb compartilhado.
+ * Limita as instâncias ativas (SCRAPER_MAX_CONCURRENT) e enfileira as demais em ordem
+ * de chegada, até SCRAPER_QUEUE_MAX posições e SCRAPER_QUEUE_MAX_WAIT_MS de espera.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('Queue');
+
+const SCRAPER_MAX_CONCURRENT = parseInt(process.env.SCRAPER_MAX_CONCURRENT, 10) || 2;
+const SCRAPER_QUEUE_MAX = parseInt(process.env.SCRAPER_QUEUE_MAX, 10) || 10;
+const SCRAPER_QUEUE_MAX_WAIT_MS = parseInt(process.env.SCRAPER_QUEUE_MAX_WAIT_MS, 10) || 2 * 60 * 1000; // 2 minutos
+
+class QueueError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'QueueError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ScraperQueue {
+  constructor({ maxConcurrent = SCRAPER_MAX_CONCURRENT, maxQueue = SCRAPER_QUEUE_MAX, maxWaitMs = SCRAPER_QUEUE_MAX_WAIT_MS } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
+    this.maxWaitMs = maxWaitMs;
+    // id -> { id, type, owner, since }
+    this.active = new Map();
+    // [{ id, type, owner, enqueuedAt, resolve, reject, timer, cleanup }]
+    this.waiting = [];
+  }
+
+  /**
+   * Há vaga para executar ou aguardar na fila?
+   */
+  canAccept() {
+    return this.hasFreeSlot() || this.waiting.length < this.maxQueue;
+  }
+
+  hasFreeSlot() {
+    return this.active.size < this.maxConcurrent && this.waiting.length === 0;
+  }
+
+  /**
+   * Aguarda uma vaga. Resolve com a função que libera a vaga (idempotente).
+   * Rejeita com QueueError: QUEUE_FULL, QUEUE_TIMEOUT ou QUEUE_CANCELLED (signal abortado).
+   */
+  acquire({ id = crypto.randomUUID(), type = 'sync', owner = null, signal } = {}) {
+    if (this.hasFreeSlot()) {
+      return Promise.resolve(this.grant({ id, type, owner }));
+    }
+
+    if (this.waiting.length >= this.maxQueue) {
+      return Promise.reject(new QueueError('QUEUE_FULL',
+        `Todos os ${this.maxConcurrent} navegadores estão ocupados e a fila está cheia (${this.maxQueue}). Tente novamente mais tarde.`,
+        this.describePosition(this.waiting.length + 1)
+      ));
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new QueueError('QUEUE_CANCELLED', 'Requisição cancelada enquanto aguardava na fila'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { id, type, owner, enqueuedAt: Date.now(), resolve, reject };
+
+      entry.timer = setTimeout(() => {
+        const position = this.remove(entry);
+        log.warn(`${id} excedeu ${this.maxWaitMs}ms na fila`);
+        reject(new QueueError('QUEUE_TIMEOUT',
+          `Tempo máximo de espera na fila excedido (${Math.round(this.maxWaitMs / 1000)}s)`,
+          this.describePosition(position)
+        ));
+      }, this.maxWaitMs);
+
+      if (signal) {
+        const onAbort = () => {
+          this.remove(entry);
+          reject(new QueueError('QUEUE_CANCELLED', 'Requisição cancelada enquanto aguardava na fila'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this.waiting.push(entry);
+      log.info(`${id} aguardando na posição ${this.waiting.length}`);
+    });
+  }
+
+  grant({ id, type, owner }) {
+    this.active.set(id, { id, type, owner, since: new Date().toISOString() });
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active.delete(id);
+      this.next();
+    };
+  }
+
+  next() {
+    while (this.active.size < this.maxConcurrent && this.waiting.length > 0) {
+      const entry = this.waiting.shift();
+      this.settle(entry);
+      log.info(`${entry.id} liberado após ${Date.now() - entry.enqueuedAt}ms na fila`);
+      entry.resolve(this.grant(entry));
+    }
+  }
+
+  /**
+   * Remove da fila e retorna a posição (1-based) que ocupava
+   */
+  remove(entry) {
+    const index = this.waiting.indexOf(entry);
+    if (index === -1) return null;
+
+    this.waiting.splice(index, 1);
+    this.settle(entry);
+    return index + 1;
+  }
+
+  settle(entry) {
+    clearTimeout(entry.timer);
+    if (entry.cleanup) entry.cleanup();
+  }
+
+  /**
+   * Posição (1-based) de um id na fila, ou null se não estiver aguardando
+   */
+  position(id) {
+    const index = this.waiting.findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  describePosition(position) {
+    return {
+      position,
+      queueLength: this.waiting.length,
+      maxQueue: this.maxQueue,
+      active: this.active.size,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+
+  stats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      maxWaitMs: this.maxWaitMs,
+      active: this.active.size,
+      waiting: this.waiting.length
+    };
+  }
+
+  /**
+   * Estado detalhado (endpoint da fila)
+   */
+  snapshot() {
+    const now = Date.now();
+    return {
+      ...this.stats(),
+      running: Array.from(this.active.values()),
+      queue: this.waiting.map((entry, index) => ({
+        position: index + 1,
+        id: entry.id,
+        type: entry.type,
+        owner: entry.owner,
+        waitingMs: now - entry.enqueuedAt
+      }))
+    };
+  }
+}
+
+module.exports = { ScraperQueue, QueueError };
@@ -0,0 +1,197 @@
+/**
+ * Session Pool
+ * 
+ * Reaproveita browsers já autenticados no eSocial entre requisições do mesmo certificado.
+ * Evita repetir NSS database + launch do Chrome + fluxo SSO do gov.br a cada chamada.
+ * 
+ * Cada certificado (fingerprint SHA-256 do PFX) mantém no máximo uma sessão ociosa,
+ * fechada automaticamente após SESSION_TTL_MS sem uso.
+ * 
+ * Toda sessão em uso ocupa uma vaga da ScraperQueue. Sessões ociosas também são Chromes abertos:
+ * em uso + ociosas nunca passam de SCRAPER_MAX_CONCURRENT (as mais antigas são fechadas antes
+ * de um novo Chrome ou de guardar outra sessão), e SESSION_POOL_MAX limita só as ociosas.
+ */
+
+const crypto = require('crypto');
+const { ESocialIRRFScraper } = require('./irrf-scraper');
+const { ScraperQueue } = require('./scraper-queue');
+const { createLogger } = require('../logging/logger');
+
+const log = createLogger('SessionPool');
+
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 10 * 60 * 1000; // 10 minutos
+const SESSION_POOL_MAX = parseInt(process.env.SESSION_POOL_MAX, 10) || 3; // sessões ociosas simultâneas
+const SESSION_POOL_ENABLED = process.env.SESSION_POOL_ENABLED !== 'false';
+
+/**
+ * Fingerprint SHA-256 do certificado PFX (base64)
+ */
+function certificateFingerprint(certificatePfx) {
+  return crypto.createHash('sha256')
+    .update(Buffer.from(certificatePfx, 'base64'))
+    .digest('hex');
+}
+
+function passwordDigest(password) {
+  return crypto.createHash('sha256').update(String(password)).digest();
+}
+
+class SessionPool {
+  constructor({ ttlMs = SESSION_TTL_MS, maxIdle = SESSION_POOL_MAX, enabled = SESSION_POOL_ENABLED, queue = new ScraperQueue() } = {}) {
+    this.ttlMs = ttlMs;
+    this.queue = queue;
+    this.maxIdle = maxIdle;
+    this.enabled = enabled;
+    // fingerprint -> { scraper, passwordDigest, timer, idleSince }
+    this.idle = new Map();
+  }
+
+  /**
+   * Aguarda uma vaga na fila e retorna um scraper para o certificado: a sessão ociosa
+   * (já logada) se existir, ou uma instância nova que fará init() + login() no processReport.
+   * `queue` é repassado à ScraperQueue (id, type, owner, signal); `profile` é o perfil do portal da execução.
+   */
+  async acquire(certificatePfx, password, { reuse = true, queue = {}, profile = null } = {}) {
+    const releaseSlot = await this.queue.acquire(queue);
+    const fingerprint = certificateFingerprint(certificatePfx);
+    const digest = passwordDigest(password);
+
+    if (this.enabled && reuse) {
+      const entry = this.idle.get(fingerprint);
+
+      // A senha precisa conferir: não entregar sessão logada para quem não a conhece
+      if (entry && crypto.timingSafeEqual(entry.passwordDigest, digest)) {
+        clearTimeout(entry.timer);
+        this.idle.delete(fingerprint);
+
+        if (entry.scraper.isBrowserConnected()) {
+          log.info(`Reutilizando sessão ${fingerprint.substring(0, 12)}`);
+          entry.scraper.releaseSlot = releaseSlot;
+          entry.scraper.profile = profile;
+          return { scraper: entry.scraper, reused: true };
+        }
+
+        log.info(`Sessão ${fingerprint.substring(0, 12)} desconectada, descartando`);
+        await this.dispose(entry.scraper);
+      }
+    }
+
+    // Novo Chrome: fechar (e aguardar) sessões ociosas até caber no limite de navegadores
+    while (this.idle.size > 0 && this.queue.active.size + this.idle.size > this.queue.maxConcurrent) {
+      await this.evictOldest();
+    }
+
+    const scraper = new ESocialIRRFScraper(certificatePfx, password, { profile });
+    scraper.fingerprint = fingerprint;
+    scraper.passwordDigest = digest;
+    scraper.releaseSlot = releaseSlot;
+    return { scraper, reused: false };
+  }
+
+  /**
+   * Devolve o scraper ao pool. Sessões com erro, canceladas ou sem login são fechadas.
+   */
+  async release(scraper, { healthy = true } = {}) {
+    scraper.removeAllListeners('progress');
+    scraper.artifacts = null;
+
+    try {
+      await this.keepOrDispose(scraper, healthy);
+    } finally {
+      if (scraper.releaseSlot) {
+        scraper.releaseSlot();
+        scraper.releaseSlot = null;
+      }
+    }
+  }
+
+  /**
+   * Mantém a sessão ociosa no pool ou fecha o browser
+   */
+  async keepOrDispose(scraper, healthy) {
+    const reusable = this.enabled && healthy && !scraper.cancelled &&
+                     scraper.loggedIn && scraper.isBrowserConnected();
+
+    if (!reusable) {
+      await this.dispose(scraper);
+      return;
+    }
+
+    const { fingerprint } = scraper;
+
+    // Já existe sessão ociosa para este certificado: manter apenas uma
+    if (this.idle.has(fingerprint)) {
+      await this.dispose(scraper);
+      return;
+    }
+
+    // Este scraper ainda ocupa uma vaga em active e passa a contar como ocioso ao ser guardado:
+    // active + ociosas já existentes não pode passar do limite de navegadores
+    while (this.idle.size > 0 &&
+           (this.idle.size >= this.maxIdle || this.queue.active.size + this.idle.size > this.queue.maxConcurrent)) {
+      await this.evictOldest();
+    }
+
+    if (this.maxIdle < 1) {
+      await this.dispose(scraper);
+      return;
+    }
+
+    const timer = setTimeout(() => this.evict(fingerprint), this.ttlMs);
+    timer.unref();
+
+    this.idle.set(fingerprint, {
+      scraper,
+      passwordDigest: scraper.passwordDigest,
+      timer,
+      idleSince: Date.now()
+    });
+    log.info(`Sessão ${fingerprint.substring(0, 12)} ociosa por até ${Math.round(this.ttlMs / 1000)}s`);
+  }
+
+  async evict(fingerprint) {
+    const entry = this.idle.get(fingerprint);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.idle.delete(fingerprint);
+    log.info(`Sessão ${fingerprint.substring(0, 12)} removida do pool`);
+    await this.dispose(entry.scraper);
+  }
+
+  async evictOldest() {
+    let oldest = null;
+    for (const [fingerprint, entry] of this.idle) {
+      if (!oldest || entry.idleSince < oldest.idleSince) {
+        oldest = { fingerprint, idleSince: entry.idleSince };
+      }
+    }
+    if (oldest) {
+      await this.evict(oldest.fingerprint);
+    }
+  }
+
+  async dispose(scraper) {
+    try {
+      await scraper.close();
+    } catch (e) {
+      log.warn('Erro ao fechar browser:', e.message);
+    }
+  }
+
+  async closeAll() {
+    await Promise.all(Array.from(this.idle.keys()).map(fingerprint => this.evict(fingerprint)));
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      ttlMs: this.ttlMs,
+      maxIdle: this.maxIdle,
+      idle: this.idle.size,
+      queue: this.queue.stats()
+    };
+  }
+}
+
+module.exports = { SessionPool, certificateFingerprint };
@@ -0,0 +1,80 @@
+/**
+ * Totalizadores consultados no portal (Folha de Pagamento > Totalizadores)
+ *
+ * Cada totalizador define o caminho de menu (navigation.<fluxo> no perfil do portal),
+ * os campos do formulário, o evento esperado no XML baixado e o parser do resultado.
+ * Escopo 'trabalhador' consulta CPF × período; 'empregador' consulta só o período.
+ */
+
+const { parseS5002Xml, normalizeScreenData } = require('../parsers/s5002');
+const { parseTotalizadorXml, normalizeTotalizadorScreen } = require('../parsers/totalizadores');
+
+const genericParsers = (tipo) => ({
+  parseXml: (xml) => parseTotalizadorXml(xml, tipo),
+  parseTela: (dados, { cpf, periodo }) => normalizeTotalizadorScreen(dados, { tipo, cpf, periodo })
+});
+
+const TOTALIZADORES = {
+  'S-5001': {
+    descricao: 'Contribuições sociais por trabalhador',
+    escopo: 'trabalhador',
+    fluxo: 's5001',
+    campos: ['periodo', 'cpf'],
+    resultado: 'totalizador',
+    ...genericParsers('S-5001')
+  },
+  'S-5002': {
+    descricao: 'Imposto de Renda Retido na Fonte por trabalhador',
+    escopo: 'trabalhador',
+    fluxo: 'irrf',
+    campos: ['periodo', 'cpf'],
+    // Resposta histórica do /api/esocial-irrf: dados em `irrf`
+    resultado: 'irrf',
+    parseXml: parseS5002Xml,
+    parseTela: (dados, { cpf, periodo }) => normalizeScreenData(dados, { cpf, periodo })
+  },
+  'S-5003': {
+    descricao: 'FGTS por trabalhador',
+    escopo: 'trabalhador',
+    fluxo: 's5003',
+    campos: ['periodo', 'cpf'],
+    resultado: 'totalizador',
+    ...genericParsers('S-5003')
+  },
+  'S-5011': {
+    descricao: 'Contribuições sociais consolidadas do empregador',
+    escopo: 'empregador',
+    fluxo: 's5011',
+    campos: ['periodo'],
+    resultado: 'totalizador',
+    ...genericParsers('S-5011')
+  },
+  'S-5013': {
+    descricao: 'FGTS consolidado do empregador',
+    escopo: 'empregador',
+    fluxo: 's5013',
+    campos: ['periodo'],
+    resultado: 'totalizador',
+    ...genericParsers('S-5013')
+  }
+};
+
+/**
+ * Definição do totalizador (com tipo) ou null se não existir
+ */
+function getTotalizador(tipo) {
+  // Só chaves próprias: "constructor" ou "toString" vêm do protótipo e não são totalizadores
+  if (typeof tipo !== 'string' || !Object.hasOwn(TOTALIZADORES, tipo)) return null;
+  return { tipo, ...TOTALIZADORES[tipo] };
+}
+
+/**
+ * Descrição pública dos totalizadores (sem os parsers)
+ */
+function listTotalizadores() {
+  return Object.entries(TOTALIZADORES).map(([tipo, { descricao, escopo, fluxo, campos }]) => ({
+    tipo, descricao, escopo, fluxo, campos
+  }));
+}
+
+module.exports = { getTotalizador, listTotalizadores, TIPOS_TOTALIZADOR: Object.keys(TOTALIZADORES) };
@@ -0,0 +1,105 @@
+/**
+ * XML Signer
+ * 
+ * Assinatura XMLDSig enveloped dos eventos do eSocial (RSA-SHA256, C14N),
+ * no formato exigido pelo leiaute: Reference URI="" e Signature como último filho de <eSocial>.
+ */
+
+const { SignedXml } = require('xml-crypto');
+const { DOMParser } = require('@xmldom/xmldom');
+const { createLogger } = require('../logging/logger');
+const { validationError } = require('../validation/request-validation');
+
+const log = createLogger('XML Signer');
+
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315';
+const ENVELOPED = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+const RSA_SHA256 = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+const SHA256 = 'http://www.w3.org/2001/04/xmlenc#sha256';
+const XMLDSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+
+// Qualquer aviso ou erro do xmldom recusa o evento: ele recupera um documento parcial
+// (ex: tag não fechada), que seria assinado sem o conteúdo descartado
+function parseEventXml(xml) {
+  let problem = null;
+  const reject = (level, message) => {
+    // O que é lançado num aviso volta ao handler como "element parse error": vale a primeira mensagem
+    problem = problem || String(message).replace(/^\[xmldom \w+\]\s*(element parse error: (Error: )?)?/, '').split('\n')[0];
+    throw invalidXml(`XML malformado (${problem})`);
+  };
+  return new DOMParser({ errorHandler: reject }).parseFromString(xml, 'text/xml');
+}
+
+function invalidXml(message) {
+  return validationError([{ field: 'xml', message }]);
+}
+
+/**
+ * Assina o XML do evento e verifica a assinatura antes de retornar.
+ * XML vazio ou malformado lança VALIDATION_ERROR.
+ */
+function signEventXml(xml, { privateKeyPem, certificatePem }) {
+  const input = String(xml || '').replace(/^\s*<\?xml[^>]*\?>/, '').trim();
+  if (!input.startsWith('<')) {
+    throw invalidXml('XML do evento vazio ou inválido');
+  }
+
+  const doc = parseEventXml(input);
+  if (doc.getElementsByTagNameNS(XMLDSIG_NS, 'Signature').length > 0) {
+    throw new Error('O evento já possui assinatura digital');
+  }
+
+  const sig = new SignedXml({
+    privateKey: privateKeyPem,
+    publicCert: certificatePem,
+    signatureAlgorithm: RSA_SHA256,
+    canonicalizationAlgorithm: C14N
+  });
+
+  sig.addReference({
+    xpath: '/*',
+    transforms: [ENVELOPED, C14N],
+    digestAlgorithm: SHA256,
+    uri: '',
+    isEmptyUri: true
+  });
+
+  sig.computeSignature(input, {
+    location: { reference: '/*', action: 'append' }
+  });
+
+  const signedXml = sig.getSignedXml();
+
+  if (!verifyEventXml(signedXml, { certificatePem })) {
+    throw new Error('Assinatura gerada não pôde ser validada');
+  }
+
+  return signedXml;
+}
+
+/**
+ * Verifica a assinatura enveloped. Sem certificatePem usa o X509Certificate do KeyInfo.
+ */
+function verifyEventXml(signedXml, { certificatePem } = {}) {
+  const doc = new DOMParser().parseFromString(signedXml, 'text/xml');
+  const signatures = doc.getElementsByTagNameNS(XMLDSIG_NS, 'Signature');
+
+  if (signatures.length !== 1) {
+    return false;
+  }
+
+  const verifier = new SignedXml({
+    publicCert: certificatePem || undefined,
+    getCertFromKeyInfo: certificatePem ? undefined : SignedXml.getCertFromKeyInfo
+  });
+  verifier.loadSignature(signatures[0]);
+
+  try {
+    return verifier.checkSignature(signedXml);
+  } catch (e) {
+    log.warn('Verificação falhou:', e.message);
+    return false;
+  }
+}
+
+module.exports = { signEventXml, verifyEventXml };
@@ -0,0 +1,95 @@
+/**
+ * E2E offline: configuração de autenticação, JWT sem sub e empregador do certificado no /api/esocial
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestPki } = require('../../mock/test-pki');
+const { startProxy } = require('../helpers/proxy');
+
+const CNPJ_ALLOWED = '12345678000195';
+const CNPJ_OTHER = '98765432000198';
+const API_KEY = 'chave-restrita';
+const JWT_SECRET = 'segredo-de-teste-com-tamanho-suficiente';
+
+let pki;
+let proxy;
+let configDir;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function signHs256(payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', JWT_SECRET).update(unsigned).digest('base64url')}`;
+}
+
+function writeConfig(config) {
+  const file = path.join(configDir, `auth-${crypto.randomUUID()}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+before(async () => {
+  // Certificado de outro empregador que o liberado para a API key
+  pki = createTestPki({ cnpj: CNPJ_OTHER });
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esocial-auth-'));
+
+  proxy = await startProxy({
+    AUTH_CONFIG_FILE: writeConfig({
+      apiKeys: [{ id: 'restrita', keyHash: sha256(API_KEY), cnpjs: [CNPJ_ALLOWED.substring(0, 8)] }],
+      jwt: { secret: JWT_SECRET }
+    })
+  });
+});
+
+after(async () => {
+  if (proxy) await proxy.stop();
+  if (configDir) fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('keyHash fora do formato SHA-256 hex impede a inicialização', async () => {
+  const configFile = writeConfig({ apiKeys: [{ id: 'quebrada', keyHash: 'nao-e-hex' }] });
+
+  await assert.rejects(startProxy({ AUTH_CONFIG_FILE: configFile }, { timeoutMs: 10000 }),
+    /Proxy encerrou com código 1[\s\S]*keyHash/);
+});
+
+test('API key sem keyHash nem key impede a inicialização', async () => {
+  const configFile = writeConfig({ apiKeys: [{ id: 'sem-chave', routes: ['*'] }] });
+
+  await assert.rejects(startProxy({ AUTH_CONFIG_FILE: configFile }, { timeoutMs: 10000 }),
+    /Proxy encerrou com código 1[\s\S]*informe keyHash ou key/);
+});
+
+test('JWT sem sub é recusado; com sub é aceito', async () => {
+  const anonymous = await proxy.request('GET', '/api/jobs/inexistente', undefined, {
+    Authorization: `Bearer ${signHs256({ exp: Math.floor(Date.now() / 1000) + 60 })}`
+  });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, 'AUTH_INVALID');
+
+  const identified = await proxy.request('GET', '/api/jobs/inexistente', undefined, {
+    Authorization: `Bearer ${signHs256({ sub: 'app-jwt', exp: Math.floor(Date.now() / 1000) + 60 })}`
+  });
+  assert.equal(identified.status, 404);
+  assert.equal(identified.body.code, 'JOB_NOT_FOUND');
+});
+
+test('/api/esocial recusa certificado de empregador fora da credencial mesmo com nrInsc liberado', async () => {
+  const { status, body } = await proxy.post('/api/esocial', {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    ambiente: 'producao-restrita',
+    tpInsc: '1',
+    nrInsc: CNPJ_ALLOWED,
+    perApur: '2024-01'
+  }, { 'X-API-Key': API_KEY });
+
+  assert.equal(status, 403, JSON.stringify(body));
+  assert.equal(body.code, 'AUTH_CNPJ_FORBIDDEN');
+});
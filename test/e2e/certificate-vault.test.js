@@ -0,0 +1,99 @@
+/**
+ * E2E offline: certificados do cofre só podem ser usados pela credencial que os cadastrou
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestPki } = require('../../mock/test-pki');
+const { startProxy } = require('../helpers/proxy');
+
+const CNPJ = '12345678000195';
+const KEY_A = 'chave-da-aplicacao-a';
+const KEY_B = 'chave-da-aplicacao-b';
+
+const AS_A = { 'X-API-Key': KEY_A };
+const AS_B = { 'X-API-Key': KEY_B };
+
+let pki;
+let proxy;
+let configDir;
+let certificateId;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+before(async () => {
+  pki = createTestPki({ cnpj: CNPJ });
+
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esocial-auth-'));
+  const configFile = path.join(configDir, 'auth.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    apiKeys: [
+      { id: 'app-a', keyHash: sha256(KEY_A) },
+      { id: 'app-b', keyHash: sha256(KEY_B) }
+    ]
+  }));
+
+  proxy = await startProxy({
+    AUTH_CONFIG_FILE: configFile,
+    CERT_VAULT_KEY: crypto.randomBytes(32).toString('hex')
+  });
+
+  const { status, body } = await proxy.post('/api/certificates', {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    label: 'empresa teste'
+  }, AS_A);
+  assert.equal(status, 201, proxy.output());
+  certificateId = body.certificateId;
+});
+
+after(async () => {
+  if (proxy) await proxy.stop();
+  if (configDir) fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('o cofre registra a credencial que cadastrou o certificado', async () => {
+  const { status, body } = await proxy.request('GET', '/api/certificates', undefined, AS_A);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.certificados.map(c => [c.id, c.owner]), [[certificateId, 'app-a']]);
+});
+
+test('outra credencial não lista, não usa, não substitui e não remove o certificado', async () => {
+  const list = await proxy.request('GET', '/api/certificates', undefined, AS_B);
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.certificados, []);
+
+  const use = await proxy.post('/api/certificate/inspect', { certificateId }, AS_B);
+  assert.equal(use.status, 404);
+  assert.equal(use.body.code, 'CERT_NOT_FOUND');
+
+  const rotate = await proxy.request('PUT', `/api/certificates/${certificateId}`, {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password
+  }, AS_B);
+  assert.equal(rotate.status, 404);
+
+  const remove = await proxy.request('DELETE', `/api/certificates/${certificateId}`, undefined, AS_B);
+  assert.equal(remove.status, 404);
+
+  const own = await proxy.post('/api/certificate/inspect', { certificateId }, AS_A);
+  assert.equal(own.status, 200, JSON.stringify(own.body));
+  assert.equal(own.body.certificado.cnpj, CNPJ);
+});
+
+test('a credencial dona substitui e remove o certificado', async () => {
+  const rotate = await proxy.request('PUT', `/api/certificates/${certificateId}`, {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password
+  }, AS_A);
+  assert.equal(rotate.status, 200, JSON.stringify(rotate.body));
+  assert.equal(rotate.body.certificado.owner, 'app-a');
+
+  const remove = await proxy.request('DELETE', `/api/certificates/${certificateId}`, undefined, AS_A);
+  assert.equal(remove.status, 200);
+});
@@ -0,0 +1,188 @@
+/**
+ * E2E offline: /api/esocial-irrf e /api/esocial-totalizadores com o Chrome real navegando no portal simulado.
+ * Requer Chrome, certutil/pk12util (libnss3-tools) e um DISPLAY (Xvfb). Sem eles a suíte é pulada com aviso
+ * em destaque; com SCRAPER_E2E_REQUIRED=1 (CI com navegador) a falta deles reprova a suíte.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { execSync } = require('child_process');
+const { createTestPki } = require('../../mock/test-pki');
+const { unzip } = require('../../parsers/zip');
+const { MockPortal, MOCK_CPFS } = require('../../mock/portal-server');
+const { startProxy } = require('../helpers/proxy');
+
+function browserAvailable() {
+  try {
+    execSync('command -v certutil && command -v pk12util', { stdio: 'ignore' });
+  } catch {
+    return 'certutil/pk12util não instalados';
+  }
+  if (!process.env.DISPLAY) return 'DISPLAY não definido (Xvfb)';
+
+  let executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+  try {
+    executablePath = executablePath || require('puppeteer').executablePath();
+  } catch {}
+  if (!executablePath || !fs.existsSync(executablePath)) return 'Chrome não encontrado';
+
+  return null;
+}
+
+const skip = browserAvailable();
+const required = process.env.SCRAPER_E2E_REQUIRED === '1';
+
+if (skip) {
+  const banner = '!'.repeat(78);
+  process.stderr.write(`\n${banner}\n` +
+    `!! E2E DO SCRAPER NÃO EXECUTADO: ${skip}\n` +
+    '!! Login, retries, totalizadores e exportação CSV/XLSX pelo Chrome ficaram SEM COBERTURA.\n' +
+    '!! Instale Chrome, libnss3-tools e Xvfb; SCRAPER_E2E_REQUIRED=1 transforma este aviso em falha.\n' +
+    `${banner}\n\n`);
+}
+
+if (skip && required) {
+  test('ambiente do e2e do scraper (SCRAPER_E2E_REQUIRED=1)', () => {
+    assert.fail(`E2E do scraper exigido, mas indisponível: ${skip}`);
+  });
+}
+
+let pki;
+let portal;
+let proxy;
+
+before(async () => {
+  if (skip) return;
+
+  pki = createTestPki();
+  portal = new MockPortal({ tls: { ...pki.server, caPem: pki.ca.certificatePem } });
+  await portal.listen();
+
+  proxy = await startProxy({
+    ESOCIAL_PORTAL_HOST_RULES: portal.hostRules(),
+    SCRAPER_RESULT_TIMEOUT_MS: '2000',
+    SCRAPER_RETRY_BASE_DELAY_MS: '100'
+  });
+});
+
+after(async () => {
+  if (proxy) await proxy.stop();
+  if (portal) await portal.close();
+});
+
+test('login por certificado e consulta IRRF com dados, sem dados, erro e render lento', { skip, timeout: 300000 }, async () => {
+  const { status, body } = await proxy.post('/api/esocial-irrf', {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    cpfs: [MOCK_CPFS.comDados, MOCK_CPFS.semDados, MOCK_CPFS.erro, MOCK_CPFS.lento],
+    periodos: ['2024-01'],
+    reuseSession: false
+  });
+
+  assert.equal(status, 200, proxy.output());
+  assert.deepEqual(portal.logins.map(l => l.success), [true]);
+
+  const byCpf = Object.fromEntries(body.data.map(r => [r.cpf, r]));
+
+  assert.equal(byCpf[MOCK_CPFS.comDados].success, true);
+  assert.equal(byCpf[MOCK_CPFS.comDados].irrf.evento, 'S-5002');
+  assert.equal(byCpf[MOCK_CPFS.comDados].irrf.totaisPorTipo['31'], 412.5);
+  assert.equal(byCpf[MOCK_CPFS.comDados].attempts, 1);
+
+  assert.equal(byCpf[MOCK_CPFS.semDados].success, false);
+  assert.match(byCpf[MOCK_CPFS.semDados].message, /Sem dados/);
+  assert.equal(byCpf[MOCK_CPFS.semDados].code, 'NO_DATA');
+
+  // Erro do portal é permanente: sem nova tentativa
+  assert.equal(byCpf[MOCK_CPFS.erro].success, false);
+  assert.match(byCpf[MOCK_CPFS.erro].error, /vínculo/);
+  assert.equal(byCpf[MOCK_CPFS.erro].code, 'PORTAL_ERROR');
+  assert.equal(byCpf[MOCK_CPFS.erro].attempts, 1);
+  assert.equal(byCpf[MOCK_CPFS.erro].classification, 'permanent');
+
+  // Render lento na primeira consulta: transitório, resolvido na segunda tentativa
+  assert.equal(byCpf[MOCK_CPFS.lento].success, true);
+  assert.equal(byCpf[MOCK_CPFS.lento].attempts, 2);
+
+  assert.equal(portal.consultas.length, 5);
+});
+
+test('totalizadores S-5001 (por CPF) e S-5011 (por empregador) pelo menu do perfil', { skip, timeout: 300000 }, async () => {
+  const trabalhador = await proxy.post('/api/esocial-totalizadores', {
+    tipo: 'S-5001',
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    cpfs: [MOCK_CPFS.comDados, MOCK_CPFS.semDados],
+    periodos: ['2024-01']
+  });
+
+  assert.equal(trabalhador.status, 200, proxy.output());
+  assert.equal(trabalhador.body.tipo, 'S-5001');
+  const byCpf = Object.fromEntries(trabalhador.body.data.map(r => [r.cpf, r]));
+  assert.equal(byCpf[MOCK_CPFS.comDados].totalizador.evento, 'S-5001');
+  assert.equal(byCpf[MOCK_CPFS.comDados].totalizador.basesPorTipo['11'], 5000);
+  assert.equal(byCpf[MOCK_CPFS.comDados].totalizador.contribuicoesPorCR['108201'], 550);
+  assert.equal(byCpf[MOCK_CPFS.semDados].code, 'NO_DATA');
+
+  const empregador = await proxy.post('/api/esocial-totalizadores', {
+    tipo: 'S-5011',
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    periodos: ['2024-01', '2024-02']
+  });
+
+  assert.equal(empregador.status, 200, proxy.output());
+  assert.deepEqual(empregador.body.data.map(r => [r.cpf, r.periodo, r.success]), [[null, '2024-01', true], [null, '2024-02', true]]);
+  assert.equal(empregador.body.data[0].totalizador.contribuicoesPorCR['109901'], 2200);
+
+  assert.deepEqual(portal.consultas.filter(c => c.tipo === 'S-5011').map(c => c.periodo), ['01/2024', '02/2024']);
+});
+
+test('exportação CSV síncrona e XLSX do job (uma linha por CPF × período × código, aba Resumo)', { skip, timeout: 300000 }, async () => {
+  const csv = await fetch(`${proxy.url}/api/esocial-irrf`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      certificatePfx: pki.client.certificatePfx,
+      password: pki.client.password,
+      cpfs: [MOCK_CPFS.comDados, MOCK_CPFS.semDados],
+      periodos: ['2024-01'],
+      format: 'csv'
+    })
+  });
+
+  assert.equal(csv.status, 200, proxy.output());
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="S-5002_.+\.csv"/);
+  const linhas = (await csv.text()).replace(/^\uFEFF/, '').trim().split('\r\n');
+  assert.equal(linhas[0], 'Tipo;CPF;Período;Status;Código do erro;Grupo;Código;Descrição;Valor;Mensagem');
+  // CPF formatado no CSV (o Excel preserva zeros à esquerda)
+  const cpfCsv = (cpf) => cpf.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+  assert.ok(linhas.includes(`S-5002;${cpfCsv(MOCK_CPFS.comDados)};2024-01;ok;;totaisPorTipo;31;;412,50;`));
+  assert.ok(linhas.some(l => l.startsWith(`S-5002;${cpfCsv(MOCK_CPFS.semDados)};2024-01;no_data;NO_DATA;`)));
+  // 3 códigos do CPF com dados + 1 linha do CPF sem dados
+  assert.equal(linhas.length, 5);
+
+  const { body: job } = await proxy.post('/api/esocial-totalizadores', {
+    tipo: 'S-5013',
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    periodos: ['2024-01'],
+    async: true
+  });
+  assert.equal(job.links.export, `/api/jobs/${job.jobId}/export?format=xlsx`);
+
+  let status;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    status = (await fetch(`${proxy.url}/api/jobs/${job.jobId}`).then(r => r.json())).job.status;
+  } while (!['completed', 'failed', 'cancelled'].includes(status));
+  assert.equal(status, 'completed');
+
+  const xlsx = await fetch(`${proxy.url}${job.links.export}`);
+  assert.equal(xlsx.status, 200);
+  const arquivos = Object.fromEntries(unzip(Buffer.from(await xlsx.arrayBuffer())).map(e => [e.name, e.data.toString('utf8')]));
+  assert.match(arquivos['xl/workbook.xml'], /name="Resultados".*name="Resumo"/);
+  assert.match(arquivos['xl/worksheets/sheet1.xml'], /depositosPorTipo.*<v>1200<\/v>/);
+  assert.match(arquivos['xl/worksheets/sheet2.xml'], /successful.*<v>1<\/v>/);
+});
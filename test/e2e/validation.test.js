@@ -0,0 +1,165 @@
+/**
+ * E2E offline: validação dos payloads de /api/esocial, /api/esocial-irrf e /api/esocial-totalizadores
+ * (antes de Chrome ou mTLS)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPki } = require('../../mock/test-pki');
+const { MOCK_CPFS } = require('../../mock/portal-server');
+const { startProxy } = require('../helpers/proxy');
+
+let pki;
+let proxy;
+
+function nextYearPeriod() {
+  return `${new Date().getFullYear() + 1}-01`;
+}
+
+before(async () => {
+  pki = createTestPki();
+  proxy = await startProxy({ IRRF_MAX_BATCH_SIZE: '4' });
+});
+
+after(async () => {
+  if (proxy) await proxy.stop();
+});
+
+test('IRRF: todos os problemas do lote numa única resposta 400', async () => {
+  const { status, body } = await proxy.post('/api/esocial-irrf', {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    cpfs: [MOCK_CPFS.comDados, '529.982.247-24', '11111111111'],
+    periodos: ['2024-01', '2024-13', nextYearPeriod()]
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(body.details.map(p => p.field), ['cpfs[1]', 'cpfs[2]', 'periodos[1]', 'periodos[2]']);
+  assert.match(body.details[3].message, /futuro/);
+});
+
+test('IRRF: CPFs repetidos contam uma vez e o tamanho do lote é limitado', async () => {
+  const request = (cpfs, periodos) => proxy.post('/api/esocial-irrf', {
+    cpfs,
+    periodos,
+    certificatePfx: pki.client.certificatePfx,
+    password: 'senha-errada'
+  });
+
+  // 2 CPFs únicos (mesmo CPF com e sem pontuação) × 2 períodos = 4: passa da validação e para no certificado
+  const dentroDoLimite = await request(
+    [MOCK_CPFS.comDados, '529.982.247-25', MOCK_CPFS.semDados],
+    ['2024-01', '01/2024', '2024-02']
+  );
+  assert.equal(dentroDoLimite.status, 400);
+  assert.equal(dentroDoLimite.body.code, 'CERT_PASSWORD_INVALID');
+
+  const acimaDoLimite = await request([MOCK_CPFS.comDados, MOCK_CPFS.semDados, MOCK_CPFS.erro], ['2024-01', '2024-02']);
+  assert.equal(acimaDoLimite.status, 400);
+  assert.equal(acimaDoLimite.body.code, 'VALIDATION_ERROR');
+  assert.match(acimaDoLimite.body.error, /Máximo de 4 consultas/);
+});
+
+test('eSocial: tpInsc, dígitos do nrInsc, perApur e ambiente validados juntos', async () => {
+  const { status, body } = await proxy.post('/api/esocial', {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    ambiente: 'homologacao',
+    tpInsc: '3',
+    nrInsc: '12345678000100',
+    perApur: nextYearPeriod()
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(body.details.map(p => p.field), ['ambiente', 'tpInsc', 'perApur']);
+
+  const cnpjInvalido = await proxy.post('/api/esocial', {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    ambiente: 'producao-restrita',
+    tpInsc: 1,
+    nrInsc: '12.345.678/0001-00'
+  });
+  assert.equal(cnpjInvalido.status, 400);
+  assert.deepEqual(cnpjInvalido.body.details, [{ field: 'nrInsc', message: 'CNPJ com dígito verificador inválido' }]);
+
+  const cpfCurto = await proxy.post('/api/esocial', {
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    ambiente: 'producao-restrita',
+    tpInsc: '2',
+    nrInsc: '12345678'
+  });
+  assert.equal(cpfCurto.status, 400);
+  assert.match(cpfCurto.body.details[0].message, /CPF deve ter 11 dígitos/);
+});
+
+test('totalizadores: tipo validado e escopo empregador consultado só por período', async () => {
+  const lista = await fetch(`${proxy.url}/api/totalizadores`).then(r => r.json());
+  assert.deepEqual(lista.totalizadores.map(t => t.tipo), ['S-5001', 'S-5002', 'S-5003', 'S-5011', 'S-5013']);
+  assert.equal(lista.totalizadores.find(t => t.tipo === 'S-5011').escopo, 'empregador');
+
+  const tipoInvalido = await proxy.post('/api/esocial-totalizadores', {
+    tipo: 'S-1200',
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    periodos: ['2024-01']
+  });
+  assert.equal(tipoInvalido.status, 400);
+  assert.deepEqual(tipoInvalido.body.details.map(p => p.field), ['tipo']);
+
+  // Chaves do protótipo de Object não são totalizadores
+  for (const tipo of ['constructor', 'toString', '__proto__']) {
+    const prototipo = await proxy.post('/api/esocial-totalizadores', {
+      tipo,
+      certificatePfx: pki.client.certificatePfx,
+      password: pki.client.password,
+      periodos: ['2024-01']
+    });
+    assert.equal(prototipo.status, 400, tipo);
+    assert.equal(prototipo.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(prototipo.body.details.map(p => p.field), ['tipo']);
+  }
+
+  const empregadorComCpfs = await proxy.post('/api/esocial-totalizadores', {
+    tipo: 'S-5011',
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    cpfs: [MOCK_CPFS.comDados],
+    periodos: ['2024-01']
+  });
+  assert.equal(empregadorComCpfs.status, 400);
+  assert.deepEqual(empregadorComCpfs.body.details.map(p => p.field), ['cpfs']);
+
+  // Sem cpfs: passa da validação (5 períodos > limite de 4) ou para no certificado
+  const request = (periodos) => proxy.post('/api/esocial-totalizadores', {
+    tipo: 'S-5013',
+    certificatePfx: pki.client.certificatePfx,
+    password: 'senha-errada',
+    periodos
+  });
+  const acimaDoLimite = await request(['2024-01', '2024-02', '2024-03', '2024-04', '2024-05']);
+  assert.equal(acimaDoLimite.status, 400);
+  assert.match(acimaDoLimite.body.error, /periodos: Máximo de 4 consultas \(período\)/);
+
+  const valido = await request(['2024-01', '2024-02']);
+  assert.equal(valido.status, 400);
+  assert.equal(valido.body.code, 'CERT_PASSWORD_INVALID');
+
+  const trabalhadorSemCpfs = await proxy.post('/api/esocial-totalizadores', {
+    tipo: 'S-5001',
+    certificatePfx: pki.client.certificatePfx,
+    password: pki.client.password,
+    periodos: ['2024-01'],
+    format: 'pdf'
+  });
+  assert.deepEqual(trabalhadorSemCpfs.body.details.map(p => p.field), ['format', 'cpfs']);
+});
+
+test('exportação: formato do job validado e job inexistente', async () => {
+  const inexistente = await fetch(`${proxy.url}/api/jobs/00000000-0000-0000-0000-000000000000/export?format=xlsx`);
+  assert.equal(inexistente.status, 404);
+  assert.equal((await inexistente.json()).code, 'JOB_NOT_FOUND');
+});
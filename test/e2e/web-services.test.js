@@ -0,0 +1,244 @@
+/**
+ * E2E offline: /api/esocial (download, consultar, enviar) contra os web services simulados
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestPki } = require('../../mock/test-pki');
+const { MockWebServices } = require('../../mock/soap-server');
+const { startProxy } = require('../helpers/proxy');
+
+const CNPJ = '12345678000195';
+const CNPJ_FAULT = '98765432000198';
+
+let pki;
+let webServices;
+let proxy;
+let caFile;
+
+function certificateBody(client = pki.client) {
+  return { certificatePfx: client.certificatePfx, password: client.password };
+}
+
+before(async () => {
+  pki = createTestPki({ cnpj: CNPJ });
+  webServices = new MockWebServices({
+    tls: { ...pki.server, caPem: pki.ca.certificatePem },
+    faultInscricoes: [CNPJ_FAULT.substring(0, 8)]
+  });
+  await webServices.listen();
+
+  caFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'esocial-ca-')), 'ca.pem');
+  fs.writeFileSync(caFile, pki.ca.certificatePem);
+
+  proxy = await startProxy({
+    ESOCIAL_WS_URL: webServices.url(),
+    ESOCIAL_WS_CA_FILE: caFile,
+    SOAP_RETRY_BASE_DELAY_MS: '50',
+    SOAP_RETRY_MAX_DELAY_MS: '200'
+  });
+});
+
+after(async () => {
+  if (proxy) await proxy.stop();
+  if (webServices) await webServices.close();
+  if (caFile) fs.rmSync(path.dirname(caFile), { recursive: true, force: true });
+});
+
+test('download devolve o S-5002 decodificado usando o certificado do cliente', async () => {
+  const { status, body } = await proxy.post('/api/esocial', {
+    ...certificateBody(),
+    ambiente: 'producao-restrita',
+    tpInsc: '1',
+    nrInsc: CNPJ,
+    perApur: '2024-01'
+  });
+
+  assert.equal(status, 200, proxy.output());
+  assert.equal(body.success, true);
+  assert.equal(body.cdResposta, '201');
+  assert.equal(body.eventos.length, 1);
+  assert.equal(body.eventos[0].tipo, 'S-5002');
+  assert.match(body.eventos[0].xml, /<perApur>2024-01<\/perApur>/);
+
+  const request = webServices.requests.at(-1);
+  assert.equal(request.action, 'download');
+  assert.equal(request.client, `EMPRESA TESTE LTDA:${CNPJ}`);
+  assert.match(request.body, /<nrInsc>12345678<\/nrInsc>/);
+});
+
+test('esocial-sign recusa XML malformado com VALIDATION_ERROR em vez de assinar o documento parcial', async () => {
+  const { status, body } = await proxy.post('/api/esocial-sign', {
+    ...certificateBody(),
+    eventos: ['<eSocial><evtInfoEmpregador><ideEvento>']
+  });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.eventos[0].success, false);
+  assert.equal(body.eventos[0].code, 'VALIDATION_ERROR');
+  assert.equal(body.eventos[0].details[0].field, 'xml');
+  assert.doesNotMatch(proxy.output(), /\[xmldom/);
+});
+
+test('enviar transmite eventos assinados e consultar acompanha o protocolo', async () => {
+  const evento = `<eSocial xmlns="http://www.esocial.gov.br/schema/evt/evtInfoEmpregador/v_S_01_02_00">
+  <evtInfoEmpregador Id="ID1123456780000002024011510000000001">
+    <ideEvento><tpAmb>2</tpAmb><procEmi>1</procEmi><verProc>1.0</verProc></ideEvento>
+    <ideEmpregador><tpInsc>1</tpInsc><nrInsc>12345678</nrInsc></ideEmpregador>
+  </evtInfoEmpregador>
+</eSocial>`;
+
+  const signed = await proxy.post('/api/esocial-sign', { ...certificateBody(), xml: evento });
+  assert.equal(signed.status, 200, JSON.stringify(signed.body));
+
+  const envio = await proxy.post('/api/esocial', {
+    ...certificateBody(),
+    action: 'enviar',
+    ambiente: 'producao-restrita',
+    tpInsc: '1',
+    nrInsc: CNPJ,
+    grupo: 1,
+    ideTransmissor: { tpInsc: '1', nrInsc: CNPJ },
+    eventos: [signed.body.xml]
+  });
+
+  assert.equal(envio.status, 200, proxy.output());
+  assert.equal(envio.body.envio.recebido, true);
+  assert.match(envio.body.envio.protocoloEnvio, /^1\.2\.\d{6}\.\d{19}$/);
+  assert.deepEqual(envio.body.eventos, [{ id: 'ID1123456780000002024011510000000001', tipo: 'S-1000' }]);
+
+  const consulta = await proxy.post('/api/esocial', {
+    ...certificateBody(),
+    action: 'consultar',
+    ambiente: 'producao-restrita',
+    tpInsc: '1',
+    nrInsc: CNPJ,
+    protocoloEnvio: envio.body.envio.protocoloEnvio
+  });
+
+  assert.equal(consulta.status, 200, proxy.output());
+  assert.equal(consulta.body.success, true);
+  assert.equal(webServices.requests.at(-1).action, 'consultar');
+  assert.match(webServices.requests.at(-1).body, new RegExp(envio.body.envio.protocoloEnvio.replace(/\./g, '\\.')));
+});
+
+test('SOAP Fault do eSocial é devolvido como erro', async () => {
+  const { status, body } = await proxy.post('/api/esocial', {
+    ...certificateBody(),
+    ambiente: 'producao',
+    tpInsc: '1',
+    nrInsc: CNPJ_FAULT,
+    perApur: '2024-01'
+  });
+
+  assert.equal(status, 502);
+  assert.equal(body.success, false);
+  assert.match(body.error, /não autorizado/);
+  assert.equal(body.code, 'SOAP_FAULT');
+  assert.match(body.details.soapFault.reason, /não autorizado/);
+  assert.equal(body.attempts, 1);
+  assert.equal(body.classification, 'permanent');
+  assert.equal(body.reason, 'soap_fault');
+  assert.equal(webServices.requests.at(-1).action, 'download');
+});
+
+const downloadRequest = () => ({
+  ...certificateBody(),
+  ambiente: 'producao-restrita',
+  tpInsc: '1',
+  nrInsc: CNPJ,
+  perApur: '2024-01'
+});
+
+test('falhas transitórias (HTTP 503, conexão derrubada) são repetidas até o sucesso', async () => {
+  webServices.failNext(1, { status: 503, retryAfter: 0 });
+  webServices.failNext(1, { reset: true });
+
+  const { status, body } = await proxy.post('/api/esocial', downloadRequest());
+
+  assert.equal(status, 200, proxy.output());
+  assert.equal(body.attempts, 3);
+  assert.equal(body.eventos[0].tipo, 'S-5002');
+});
+
+test('falha transitória persistente informa tentativas e classificação', async () => {
+  webServices.failNext(3, { status: 502 });
+  const before = webServices.requests.length;
+
+  const { status, body } = await proxy.post('/api/esocial', downloadRequest());
+
+  assert.equal(status, 502);
+  assert.equal(body.code, 'ESOCIAL_HTTP_ERROR');
+  assert.equal(body.details.statusCode, 502);
+  assert.equal(body.attempts, 3);
+  assert.equal(body.classification, 'transient');
+  assert.equal(body.reason, 'http_502');
+  assert.equal(webServices.requests.length - before, 3);
+});
+
+test('envio de lote não é repetido quando o eSocial pode ter recebido o lote', async () => {
+  const signed = await proxy.post('/api/esocial-sign', {
+    ...certificateBody(),
+    xml: '<eSocial xmlns="http://www.esocial.gov.br/schema/evt/evtInfoEmpregador/v_S_01_02_00"><evtInfoEmpregador Id="ID1123456780000002024011510000000002"/></eSocial>'
+  });
+  webServices.failNext(1, { status: 502 });
+  const before = webServices.requests.length;
+
+  const { body } = await proxy.post('/api/esocial', {
+    ...certificateBody(),
+    action: 'enviar',
+    ambiente: 'producao-restrita',
+    tpInsc: '1',
+    nrInsc: CNPJ,
+    grupo: 1,
+    ideTransmissor: { tpInsc: '1', nrInsc: CNPJ },
+    eventos: [signed.body.xml]
+  });
+
+  assert.equal(body.success, false);
+  assert.equal(body.code, 'ESOCIAL_HTTP_ERROR');
+  assert.equal(body.attempts, 1);
+  assert.equal(body.reason, 'http_502');
+  assert.equal(webServices.requests.length - before, 1);
+});
+
+test('certificado cliente fora da CA de teste é recusado no handshake mTLS', async () => {
+  const untrusted = createTestPki({ cnpj: CNPJ });
+  const before = webServices.requests.length;
+
+  const { status, body } = await proxy.post('/api/esocial', {
+    ...certificateBody(untrusted.client),
+    ambiente: 'producao-restrita',
+    tpInsc: '1',
+    nrInsc: CNPJ,
+    perApur: '2024-01'
+  });
+
+  assert.ok(status >= 500, `status ${status}`);
+  assert.equal(body.success, false);
+  assert.match(body.error, /conexão com eSocial/);
+  assert.equal(body.code, 'ESOCIAL_TLS_ERROR');
+  assert.equal(body.classification, 'permanent');
+  assert.equal(body.reason, 'tls');
+  assert.equal(body.attempts, 1);
+  assert.equal(webServices.requests.length, before);
+});
+
+test('erros de validação e de certificado trazem code estável e o status do catálogo', async () => {
+  const semInscricao = await proxy.post('/api/esocial', { ...certificateBody(), ambiente: 'producao-restrita' });
+  assert.equal(semInscricao.status, 400);
+  assert.equal(semInscricao.body.code, 'VALIDATION_ERROR');
+
+  const senhaErrada = await proxy.post('/api/esocial', { ...downloadRequest(), password: 'errada' });
+  assert.equal(senhaErrada.status, 400);
+  assert.equal(senhaErrada.body.code, 'CERT_PASSWORD_INVALID');
+
+  const catalogo = await fetch(`${proxy.url}/api/errors`).then(res => res.json());
+  const codes = Object.fromEntries(catalogo.errors.map(e => [e.code, e.status]));
+  assert.equal(codes.VALIDATION_ERROR, 400);
+  assert.equal(codes.SOAP_FAULT, 502);
+  assert.equal(codes.LOGIN_TIMEOUT, 504);
+});
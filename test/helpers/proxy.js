@@ -0,0 +1,99 @@
+/**
+ * Sobe o proxy (index.js) em um processo filho, apontado para os mocks, e aguarda o /health
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(url, child, output, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Proxy encerrou com código ${child.exitCode}:\n${output.join('')}`);
+    }
+    try {
+      const res = await fetch(`${url}/health`);
+      if (res.ok) return;
+    } catch {}
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Proxy não respondeu em ${timeoutMs}ms:\n${output.join('')}`);
+}
+
+/**
+ * Retorna { url, request(method, path, body, headers), post(path, body, headers), output(), stop() }.
+ * `env` complementa o ambiente.
+ */
+async function startProxy(env = {}, { timeoutMs = 20000 } = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esocial-proxy-e2e-'));
+  const output = [];
+
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOG_LEVEL: process.env.LOG_LEVEL || 'warn',
+      ARTIFACTS_DIR: path.join(dataDir, 'artifacts'),
+      CERT_VAULT_DIR: path.join(dataDir, 'certificates'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHealth(url, child, output, timeoutMs);
+  } catch (error) {
+    child.kill('SIGKILL');
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    url,
+    dataDir,
+    async request(method, route, body, headers = {}) {
+      const res = await fetch(`${url}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    },
+    post(route, body, headers) {
+      return this.request('POST', route, body, headers);
+    },
+    output: () => output.join(''),
+    async stop() {
+      if (child.exitCode === null) {
+        await new Promise(resolve => {
+          child.once('exit', resolve);
+          child.kill('SIGTERM');
+        });
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startProxy };
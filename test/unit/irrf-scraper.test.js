@@ -0,0 +1,210 @@
+/**
+ * Unitário: login, fluxo do processReport e console do browser com página simulada (sem Chrome)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ESocialIRRFScraper, forwardBrowserConsole, classifyLoginFailure } = require('../../scraper/irrf-scraper');
+const { getTotalizador } = require('../../scraper/totalizadores');
+const { ProxyError } = require('../../errors/error-catalog');
+const metrics = require('../../metrics/metrics');
+const v1 = require('../../profiles/portal/v1.json');
+
+const PROFILE = { ...v1, navigation: { ...v1.navigation, irrf: [{ name: 'Folha', text: 'Folha de Pagamento', waitMs: 0 }] } };
+
+function timeoutError(message) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+// Scraper já logado, com a página simulada; evaluate recebe a função e os argumentos do page.evaluate
+function loggedInScraper(page) {
+  const scraper = new ESocialIRRFScraper('', '', { profile: PROFILE });
+  scraper.loggedIn = true;
+  scraper.isSessionActive = async () => true;
+  scraper.page = { url: () => 'https://www.esocial.gov.br/portal/Home', $: async () => null, ...page };
+  return scraper;
+}
+
+test('falha de navegação depois do login chega ao chamador com o code', async () => {
+  const scraper = loggedInScraper({
+    evaluate: async () => { throw timeoutError('Waiting for menu'); }
+  });
+  const results = [];
+
+  await assert.rejects(
+    scraper.processReport(getTotalizador('S-5002'), { cpfs: ['52998224725'], periodos: ['2024-01'] }, {
+      onResult: (result) => results.push(result)
+    }),
+    (error) => error.code === 'PORTAL_TIMEOUT' && /Falha na navegação/.test(error.message)
+  );
+  assert.deepEqual(results, []);
+});
+
+test('layout alterado (perfil sem caminho de menu) também é repassado', async () => {
+  const scraper = loggedInScraper({ evaluate: async () => true });
+  scraper.profile = { ...PROFILE, navigation: {} };
+
+  await assert.rejects(
+    scraper.processReport(getTotalizador('S-5002'), { cpfs: ['52998224725'], periodos: ['2024-01'] }),
+    { code: 'PORTAL_LAYOUT_CHANGED' }
+  );
+});
+
+test('falha de um item vira resultado com code e não interrompe os demais', async () => {
+  const scraper = loggedInScraper({ evaluate: async () => true });
+  scraper.consultarWithRetry = async (totalizador, item) => {
+    if (item.periodo === '2024-01') throw new Error('Target closed');
+    return { ...item, success: true, attempts: 1 };
+  };
+  const summaries = [];
+  scraper.on('progress', (event) => { if (event.type === 'summary') summaries.push(event); });
+
+  const results = await scraper.processReport(getTotalizador('S-5002'), {
+    cpfs: ['52998224725'], periodos: ['2024-01', '2024-02']
+  });
+
+  assert.equal(results.length, 2);
+  assert.equal(results[0].success, false);
+  assert.equal(results[0].code, 'BROWSER_CRASHED');
+  assert.equal(results[0].error, 'Target closed');
+  assert.equal(results[1].success, true);
+  assert.equal(results[1].periodo, '2024-02');
+  assert.deepEqual(summaries.map(({ total, processed, successful, failed }) => ({ total, processed, successful, failed })),
+    [{ total: 2, processed: 2, successful: 1, failed: 1 }]);
+});
+
+// Scraper deslogado com init/login simulados; login emite o passo como o fluxo real antes de falhar
+function failingLoginScraper(step, error) {
+  const scraper = new ESocialIRRFScraper('', '', { profile: PROFILE });
+  scraper.init = async () => {};
+  scraper.login = async () => {
+    scraper.emitProgress('login-step', { step, status: 'started' });
+    throw error;
+  };
+  return scraper;
+}
+
+async function loginFailures(labels) {
+  const { values } = await metrics.loginFailures.get();
+  const found = values.find(v => v.labels.step === labels.step && v.labels.reason === labels.reason);
+  return found ? found.value : 0;
+}
+
+test('timeout do puppeteer no login vira LOGIN_TIMEOUT com o passo e conta na métrica', async () => {
+  const before = await loginFailures({ step: '3', reason: 'timeout' });
+  const scraper = failingLoginScraper(3, timeoutError('Navigation timeout of 30000 ms exceeded'));
+
+  await assert.rejects(scraper.ensureSession(), (error) =>
+    error.code === 'LOGIN_TIMEOUT' && error.details.step === 3 && /Navigation timeout/.test(error.message));
+  assert.equal(await loginFailures({ step: '3', reason: 'timeout' }), before + 1);
+});
+
+test('erro de login com code do catálogo chega inalterado ao processReport', async () => {
+  const error = new ProxyError('SSO_LINK_NOT_FOUND', 'PASSO 2 falhou: Nenhum link para SSO (sso.acesso.gov.br) encontrado', { step: 2 });
+  const scraper = failingLoginScraper(2, error);
+  scraper.page = { url: () => 'https://login.esocial.gov.br/login.aspx' };
+
+  await assert.rejects(
+    scraper.processReport(getTotalizador('S-5002'), { cpfs: ['52998224725'], periodos: ['2024-01'] }),
+    (thrown) => thrown === error
+  );
+  assert.equal(scraper.loggedIn, false);
+});
+
+test('classifyLoginFailure: motivo pelo code (e details.reason) dos erros do login', () => {
+  const cases = [
+    [new ProxyError('BROWSER_SETUP_FAILED', 'libnss3-tools não está instalado. Execute: apt-get install -y libnss3-tools'), 'nss_setup'],
+    [new ProxyError('SSO_LINK_NOT_FOUND', 'PASSO 2 falhou: Nenhum link para SSO (sso.acesso.gov.br) encontrado na página do eSocial', { step: 2 }), 'sso_link_not_found'],
+    [new ProxyError('SSO_REDIRECT_FAILED', 'PASSO 2 FALHOU: Redirecionou para portal genérico (https://www.gov.br/) em vez do SSO', { step: 2, reason: 'generic_portal_redirect' }), 'generic_portal_redirect'],
+    [new ProxyError('PORTAL_LAYOUT_CHANGED', 'Opção "Seu certificado digital" não encontrada na página do gov.br', { step: 3, reason: 'certificate_option_not_found' }), 'certificate_option_not_found'],
+    [new ProxyError('SSO_REDIRECT_FAILED', 'PASSO 2 FALHOU: Clique não redirecionou para SSO. Ainda em login.esocial.gov.br', { step: 2, reason: 'still_on_login' }), 'still_on_login'],
+    [new ProxyError('LOGIN_FAILED', 'Login não completado. Ainda na página de login. Debug: {}', { step: 4 }), 'still_on_login'],
+    [new ProxyError('LOGIN_TIMEOUT', 'Login não completado. Ainda na página do gov.br aguardando autenticação.', { step: 4 }), 'gov_br_pending'],
+    [timeoutError('Navigation timeout of 30000 ms exceeded'), 'timeout'],
+    [new Error('net::ERR_CONNECTION_REFUSED at https://login.esocial.gov.br/login.aspx'), 'network'],
+    [new Error('algo inesperado'), 'other'],
+    [undefined, 'other']
+  ];
+  for (const [error, reason] of cases) {
+    assert.equal(classifyLoginFailure(error), reason, error && error.message);
+  }
+});
+
+test('classifyLoginFailure: o code vale mesmo com a mensagem reescrita', () => {
+  assert.equal(classifyLoginFailure(new ProxyError('SSO_LINK_NOT_FOUND', 'Acesso gov.br indisponível na página')), 'sso_link_not_found');
+  assert.equal(classifyLoginFailure(new ProxyError('BROWSER_SETUP_FAILED', 'certutil retornou 255')), 'nss_setup');
+  // "timeout" na mensagem não muda o motivo de um LOGIN_TIMEOUT do PASSO 4
+  assert.equal(classifyLoginFailure(new ProxyError('LOGIN_TIMEOUT', 'Autenticação sem resposta (timeout)')), 'gov_br_pending');
+  assert.equal(classifyLoginFailure(new ProxyError('PORTAL_LAYOUT_CHANGED', 'Botão do certificado ausente', { reason: 'certificate_option_not_found' })),
+    'certificate_option_not_found');
+});
+
+test('classifyLoginFailure: sem motivo pelo code, cai na mensagem', () => {
+  assert.equal(classifyLoginFailure(new Error('Falha ao importar no NSS: SEC_ERROR_BAD_DATABASE')), 'nss_setup');
+  assert.equal(classifyLoginFailure(new ProxyError('SSO_REDIRECT_FAILED', 'PASSO 3 ABORTADO: Estamos no portal genérico (https://www.gov.br/)')),
+    'generic_portal_redirect');
+});
+
+// Linhas JSON escritas pelo logger durante `fn`
+async function captureLogs(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk, ...args) => {
+    if (String(chunk).startsWith('{')) lines.push(JSON.parse(chunk));
+    else write.call(process.stdout, chunk, ...args);
+    return true;
+  };
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines;
+}
+
+function consoleMessage(type, args) {
+  return {
+    type: () => type,
+    // Como no puppeteer: objetos aparecem como JSHandle@object no texto
+    text: () => args.map(a => (typeof a === 'object' ? 'JSHandle@object' : String(a))).join(' '),
+    args: () => args.map(a => ({ jsonValue: async () => a }))
+  };
+}
+
+test('console.log("[Scraper] ...", objeto) chega ao log com os dados do objeto', async () => {
+  const lines = await captureLogs(() => forwardBrowserConsole(
+    consoleMessage('log', ['[Scraper] PASSO 2 - Clicando em link SSO:', { href: 'https://sso.acesso.gov.br/authorize', text: 'Entrar' }])
+  ));
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].component, 'Browser Console');
+  assert.equal(lines[0].msg, 'PASSO 2 - Clicando em link SSO');
+  assert.deepEqual(lines[0].data, { href: 'https://sso.acesso.gov.br/authorize', text: 'Entrar' });
+});
+
+test('mensagens comuns da página não vão para o log info', async () => {
+  const lines = await captureLogs(() => forwardBrowserConsole(consoleMessage('log', ['analytics carregado'])));
+  assert.deepEqual(lines, []);
+});
+
+test('PFX e NSS ficam num diretório privado removido no close()', async () => {
+  // PFX inválido: o import no NSS falha (ou faltam as ferramentas) antes de abrir o Chrome
+  const scraper = new ESocialIRRFScraper(Buffer.from('nao-e-pfx').toString('base64'), 'senha', { profile: PROFILE });
+  await assert.rejects(scraper.init(), { code: 'BROWSER_SETUP_FAILED' });
+
+  const { tempDir } = scraper;
+  assert.equal(path.dirname(tempDir), os.tmpdir());
+  assert.match(path.basename(tempDir), /^esocial-scraper-.{6}$/);
+  assert.equal(fs.statSync(tempDir).mode & 0o777, 0o700);
+  assert.equal(path.dirname(scraper.tempCertPath), tempDir);
+  assert.equal(path.dirname(scraper.tempDownloadDir), tempDir);
+
+  await scraper.close();
+  assert.equal(fs.existsSync(tempDir), false);
+  assert.equal(scraper.tempDir, null);
+});
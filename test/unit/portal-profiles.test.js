@@ -0,0 +1,37 @@
+/**
+ * Unitário: validação dos perfis do portal (seletores do login por certificado, hosts do SSO, tabela de resultado)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProfile } = require('../../scraper/portal-profiles');
+const v1 = require('../../profiles/portal/v1.json');
+
+const withChanges = (changes) => ({ ...v1, ...changes });
+
+test('o perfil v1 distribuído é válido', () => {
+  assert.deepEqual(validateProfile(v1), []);
+});
+
+test('selectors.loginCertificado é uma lista em ordem de prioridade', () => {
+  const problems = validateProfile(withChanges({
+    selectors: { ...v1.selectors, loginCertificado: '.btn-certificado' }
+  }));
+  assert.deepEqual(problems, ['selectors.loginCertificado deve ser uma lista de seletores']);
+});
+
+test('seletores da tabela de resultado são obrigatórios', () => {
+  const { tabelaResultado, campoValor, ...selectors } = v1.selectors;
+  const problems = validateProfile(withChanges({ selectors }));
+  assert.deepEqual(problems, ['selectors.tabelaResultado obrigatório', 'selectors.campoValor obrigatório']);
+});
+
+test('sso.hosts e sso.portalGenericoHosts são listas de hostnames', () => {
+  assert.deepEqual(validateProfile(withChanges({ sso: undefined })), [
+    'sso.hosts deve ser uma lista de hostnames',
+    'sso.portalGenericoHosts deve ser uma lista de hostnames'
+  ]);
+  assert.deepEqual(validateProfile(withChanges({
+    sso: { hosts: ['https://sso.acesso.gov.br/'], portalGenericoHosts: ['www.gov.br'] }
+  })), ['sso.hosts deve ser uma lista de hostnames']);
+});
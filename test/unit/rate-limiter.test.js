@@ -0,0 +1,67 @@
+/**
+ * Unitário: buckets por cliente e por CNPJ do rate limiter (MemoryStore)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, MemoryStore } = require('../../ratelimit/rate-limiter');
+
+// Sem recarga relevante durante o teste
+const POLICIES = { mtls: { capacity: 2, refillPerMin: 0.001, refillPerSec: 0.001 / 60 } };
+
+function createLimiter(store = new MemoryStore()) {
+  const limiter = new RateLimiter({ store, policies: POLICIES, keyBy: 'apiKey' });
+  return limiter.middleware('mtls', { cnpj: (req) => req.body.nrInsc });
+}
+
+// Executa o middleware e retorna o status (200 quando chamou next)
+async function call(middleware, subject, nrInsc) {
+  const req = { auth: { subject }, ip: '127.0.0.1', body: { nrInsc } };
+  let status = 200;
+  let body;
+  const res = {
+    set() {},
+    status(code) { status = code; return this; },
+    json(payload) { body = payload; return this; }
+  };
+  await middleware(req, res, () => {});
+  return { status, body };
+}
+
+test('recusa pelo bucket do CNPJ devolve os tokens do bucket do cliente', async () => {
+  const middleware = createLimiter();
+
+  // Outro cliente esgota o orçamento do empregador 12345678
+  assert.equal((await call(middleware, 'app-a', '12345678000195')).status, 200);
+  assert.equal((await call(middleware, 'app-a', '12345678000195')).status, 200);
+
+  const rejected = await call(middleware, 'app-b', '12345678000195');
+  assert.equal(rejected.status, 429);
+  assert.equal(rejected.body.code, 'RATE_LIMITED');
+
+  // app-b continua com o orçamento inteiro para outro empregador
+  assert.equal((await call(middleware, 'app-b', '98765432000198')).status, 200);
+  assert.equal((await call(middleware, 'app-b', '98765432000198')).status, 200);
+  assert.equal((await call(middleware, 'app-b', '98765432000198')).status, 429);
+});
+
+test('recusa pelo bucket do cliente não consome o bucket do CNPJ', async () => {
+  const middleware = createLimiter();
+
+  assert.equal((await call(middleware, 'app-a', '12345678000195')).status, 200);
+  assert.equal((await call(middleware, 'app-a', '98765432000198')).status, 200);
+  assert.equal((await call(middleware, 'app-a', '12345678000195')).status, 429);
+
+  assert.equal((await call(middleware, 'app-b', '12345678000195')).status, 200);
+  assert.equal((await call(middleware, 'app-c', '12345678000195')).status, 429);
+});
+
+test('falha ao devolver tokens não libera a requisição recusada', async () => {
+  const store = new MemoryStore();
+  store.refund = async () => { throw new Error('conexão perdida'); };
+  const middleware = createLimiter(store);
+
+  await call(middleware, 'app-a', '12345678000195');
+  await call(middleware, 'app-a', '12345678000195');
+  assert.equal((await call(middleware, 'app-b', '12345678000195')).status, 429);
+});
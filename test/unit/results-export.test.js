@@ -0,0 +1,118 @@
+/**
+ * Unitário: achatamento dos resultados e exportação CSV/XLSX
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportResults, resultRows } = require('../../export/results-export');
+const { parseS5002Xml } = require('../../parsers/s5002');
+const { parseTotalizadorXml } = require('../../parsers/totalizadores');
+const { renderEvento, renderS5002 } = require('../../mock/fixtures');
+const { unzip } = require('../../parsers/zip');
+
+const SUMMARY = { total: 4, successful: 2, failed: 2 };
+
+const RESULTS = [
+  {
+    tipo: 'S-5002',
+    cpf: '52998224725',
+    periodo: '2024-01',
+    success: true,
+    irrf: parseS5002Xml(renderS5002({ cpf: '52998224725', perApur: '2024-01', nrInsc: '12345678' }))
+  },
+  { tipo: 'S-5002', cpf: '11144477735', periodo: '2024-01', success: false, code: 'NO_DATA', message: 'Sem dados para o período' },
+  { tipo: 'S-5002', cpf: '12345678909', periodo: '2024-01', success: false, code: 'PORTAL_ERROR', error: 'Erro; "vínculo"' },
+  {
+    tipo: 'S-5011',
+    cpf: null,
+    periodo: '2024-01',
+    success: true,
+    totalizador: parseTotalizadorXml(renderEvento('S-5011', { cpf: '', perApur: '2024-01', nrInsc: '12345678' }), 'S-5011')
+  }
+];
+
+function csvLines(results) {
+  const { body } = exportResults('csv', { results, summary: SUMMARY, name: 'lote' });
+  assert.ok(body.startsWith('\uFEFF'));
+  return body.slice(1).trimEnd().split('\r\n');
+}
+
+test('uma linha por CPF × período × código; falhas e sem dados numa linha só', () => {
+  const rows = resultRows(RESULTS);
+
+  assert.deepEqual(rows.map(r => [r.tipo, r.cpf, r.status, r.grupo, r.codigo, r.valor]), [
+    ['S-5002', '52998224725', 'ok', 'totaisPorTipo', '11', 5000],
+    ['S-5002', '52998224725', 'ok', 'totaisPorTipo', '31', 412.5],
+    ['S-5002', '52998224725', 'ok', 'totaisPorTipo', '41', 550],
+    ['S-5002', '11144477735', 'no_data', null, null, null],
+    ['S-5002', '12345678909', 'error', null, null, null],
+    ['S-5011', null, 'ok', 'contribuicoesPorCR', '108201', 1650],
+    ['S-5011', null, 'ok', 'contribuicoesPorCR', '109901', 2200]
+  ]);
+  assert.equal(rows[3].erro, 'Sem dados para o período');
+  assert.equal(rows[4].code, 'PORTAL_ERROR');
+});
+
+test('valores lidos da tela e S-5002 sem tipo no resultado', () => {
+  const rows = resultRows([
+    {
+      cpf: '52998224725',
+      periodo: '2024-01',
+      success: true,
+      irrf: { totaisPorTipo: { 31: 10 }, demonstrativos: [{ rendimentos: [{ tpInfoIR: '31', descricao: 'Retenção', valor: 10 }] }] }
+    },
+    {
+      tipo: 'S-5013',
+      periodo: '2024-01',
+      success: true,
+      totalizador: { valores: [{ codigo: '51', descricao: 'Depósito', valor: 1200 }] }
+    },
+    null
+  ]);
+
+  assert.deepEqual(rows.map(r => [r.tipo, r.grupo, r.codigo, r.descricao, r.valor]), [
+    ['S-5002', 'totaisPorTipo', '31', 'Retenção', 10],
+    ['S-5013', 'valores', '51', 'Depósito', 1200]
+  ]);
+});
+
+test('CSV: ";" como separador, vírgula decimal, CPF formatado e aspas em textos com separador ou aspas', () => {
+  const linhas = csvLines(RESULTS);
+
+  assert.equal(linhas[0], 'Tipo;CPF;Período;Status;Código do erro;Grupo;Código;Descrição;Valor;Mensagem');
+  assert.equal(linhas[2], 'S-5002;529.982.247-25;2024-01;ok;;totaisPorTipo;31;;412,50;');
+  assert.equal(linhas[5], 'S-5002;123.456.789-09;2024-01;error;PORTAL_ERROR;;;;;"Erro; ""vínculo"""');
+  assert.equal(linhas[6], 'S-5011;;2024-01;ok;;contribuicoesPorCR;108201;;1650,00;');
+  assert.equal(linhas.length, 8);
+});
+
+test('CSV: textos que o Excel executaria como fórmula ganham o prefixo \'', () => {
+  const linhas = csvLines([
+    { tipo: 'S-5002', cpf: '01234567890', periodo: '2024-01', success: false, code: 'PORTAL_ERROR', error: '=HYPERLINK("http://x")' },
+    { tipo: 'S-5002', cpf: '01234567890', periodo: '2024-01', success: false, code: 'PORTAL_ERROR', error: '@SUM(A1)' },
+    { tipo: 'S-5002', cpf: '01234567890', periodo: '2024-01', success: false, code: 'PORTAL_ERROR', error: '+1; -1' },
+    { tipo: 'S-5013', periodo: '2024-01', success: true, totalizador: { valores: [{ codigo: '51', descricao: '-ajuste', valor: -10 }] } }
+  ]);
+
+  assert.equal(linhas[1], 'S-5002;012.345.678-90;2024-01;error;PORTAL_ERROR;;;;;"\'=HYPERLINK(""http://x"")"');
+  assert.equal(linhas[2], 'S-5002;012.345.678-90;2024-01;error;PORTAL_ERROR;;;;;\'@SUM(A1)');
+  assert.equal(linhas[3], 'S-5002;012.345.678-90;2024-01;error;PORTAL_ERROR;;;;;"\'+1; -1"');
+  // Valores negativos continuam números
+  assert.equal(linhas[4], 'S-5013;;2024-01;ok;;valores;51;\'-ajuste;-10,00;');
+});
+
+test('XLSX: abas Resultados e Resumo com o summary', () => {
+  const { contentType, filename, body } = exportResults('xlsx', { results: RESULTS, summary: SUMMARY, name: 'lote' });
+  assert.equal(contentType, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  assert.equal(filename, 'lote.xlsx');
+
+  const arquivos = Object.fromEntries(unzip(body).map(e => [e.name, e.data.toString('utf8')]));
+  assert.match(arquivos['xl/workbook.xml'], /name="Resultados".*name="Resumo"/);
+  assert.match(arquivos['xl/worksheets/sheet1.xml'], /<c r="B3" t="inlineStr"><is><t xml:space="preserve">52998224725<\/t>/);
+  assert.match(arquivos['xl/worksheets/sheet1.xml'], /<c r="I3" s="2"><v>412.5<\/v><\/c>/);
+  assert.match(arquivos['xl/worksheets/sheet2.xml'], /total<\/t><\/is><\/c><c r="B2"><v>4<\/v>.*failed<\/t><\/is><\/c><c r="B4"><v>2<\/v>/);
+});
+
+test('formato desconhecido é rejeitado', () => {
+  assert.throws(() => exportResults('pdf', { results: [], summary: SUMMARY, name: 'x' }), /não suportado: pdf/);
+});
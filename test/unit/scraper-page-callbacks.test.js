@@ -0,0 +1,40 @@
+/**
+ * Unitário (estático): callbacks de page.evaluate/$eval/$$eval rodam no Chrome, onde os loggers
+ * do Node (log, browserLog, ...) não existem; diagnóstico ali dentro deve usar console.log.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const PAGE_CALLBACK = /\.(evaluate|evaluateHandle|\$\$eval|\$eval|waitForFunction)\(/g;
+const NODE_LOGGER = /\b(log|browserLog)\.(debug|info|warn|error)\(/g;
+
+// Trecho entre o "(" da chamada e o ")" correspondente
+function callArguments(source, start) {
+  let depth = 1;
+  let i = start;
+  while (depth > 0 && i < source.length) {
+    if (source[i] === '(') depth++;
+    else if (source[i] === ')') depth--;
+    i++;
+  }
+  return source.slice(start, i - 1);
+}
+
+test('scraper: nenhum logger do Node dentro de callbacks executados no navegador', () => {
+  const file = path.join(__dirname, '..', '..', 'scraper', 'irrf-scraper.js');
+  const source = fs.readFileSync(file, 'utf8');
+  const offending = [];
+
+  for (const match of source.matchAll(PAGE_CALLBACK)) {
+    const start = match.index + match[0].length;
+    for (const logCall of callArguments(source, start).matchAll(NODE_LOGGER)) {
+      const line = source.slice(0, start + logCall.index).split('\n').length;
+      offending.push(`irrf-scraper.js:${line} ${logCall[0]}`);
+    }
+  }
+
+  assert.deepEqual(offending, []);
+});
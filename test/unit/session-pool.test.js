@@ -0,0 +1,84 @@
+/**
+ * Unitário: limite de navegadores do pool de sessões (em uso + ociosos), sem Chrome
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionPool } = require('../../scraper/session-pool');
+const { ScraperQueue } = require('../../scraper/scraper-queue');
+
+// Scraper falso já logado; close() é assíncrono para conferir que o pool aguarda o fechamento
+function fakeScraper(fingerprint, browsers) {
+  const scraper = {
+    fingerprint,
+    passwordDigest: Buffer.alloc(32),
+    loggedIn: true,
+    cancelled: false,
+    closed: false,
+    removeAllListeners() {},
+    isBrowserConnected: () => !scraper.closed,
+    close: async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      scraper.closed = true;
+      browsers.delete(scraper);
+    }
+  };
+  browsers.add(scraper);
+  return scraper;
+}
+
+async function runAndRelease(pool, fingerprint, browsers) {
+  const releaseSlot = await pool.queue.acquire();
+  const scraper = fakeScraper(fingerprint, browsers);
+  scraper.releaseSlot = releaseSlot;
+  await pool.release(scraper);
+  return scraper;
+}
+
+test('sessões ociosas contam no limite de navegadores da fila', async () => {
+  const browsers = new Set();
+  const pool = new SessionPool({ ttlMs: 60000, maxIdle: 3, enabled: true, queue: new ScraperQueue({ maxConcurrent: 2 }) });
+
+  const first = await runAndRelease(pool, 'a'.repeat(64), browsers);
+  await runAndRelease(pool, 'b'.repeat(64), browsers);
+  await runAndRelease(pool, 'c'.repeat(64), browsers);
+
+  assert.equal(pool.idle.size, 2);
+  assert.equal(browsers.size, 2);
+  assert.equal(first.closed, true, 'a sessão ociosa mais antiga é fechada (e aguardada) antes de guardar outra');
+  assert.equal(pool.queue.active.size, 0);
+
+  await pool.closeAll();
+  assert.equal(browsers.size, 0);
+});
+
+test('sessão ociosa é guardada só se em uso + ociosas couberem no limite', async () => {
+  const browsers = new Set();
+  const pool = new SessionPool({ ttlMs: 60000, maxIdle: 3, enabled: true, queue: new ScraperQueue({ maxConcurrent: 2 }) });
+
+  await runAndRelease(pool, 'a'.repeat(64), browsers);
+  const busySlot = await pool.queue.acquire();
+  fakeScraper('busy', browsers);
+
+  await runAndRelease(pool, 'b'.repeat(64), browsers);
+
+  // 'busy' em uso + 'b' ocioso: 'a' foi fechado
+  assert.deepEqual(Array.from(pool.idle.keys()), ['b'.repeat(64)]);
+  assert.equal(browsers.size, 2);
+
+  busySlot();
+  await pool.closeAll();
+});
+
+test('maxIdle limita as ociosas mesmo com vagas sobrando', async () => {
+  const browsers = new Set();
+  const pool = new SessionPool({ ttlMs: 60000, maxIdle: 1, enabled: true, queue: new ScraperQueue({ maxConcurrent: 4 }) });
+
+  await runAndRelease(pool, 'a'.repeat(64), browsers);
+  await runAndRelease(pool, 'b'.repeat(64), browsers);
+
+  assert.deepEqual(Array.from(pool.idle.keys()), ['b'.repeat(64)]);
+  assert.equal(browsers.size, 1);
+
+  await pool.closeAll();
+});
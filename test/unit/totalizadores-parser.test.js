@@ -0,0 +1,81 @@
+/**
+ * Unitário: parser dos totalizadores S-5001, S-5003, S-5011 e S-5013 (XML e dados da tela)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTotalizadorXml, normalizeTotalizadorScreen } = require('../../parsers/totalizadores');
+const { renderEvento } = require('../../mock/fixtures');
+
+const CPF = '52998224725';
+
+function evento(tipo, cpf = CPF) {
+  return renderEvento(tipo, { cpf, perApur: '2024-01', nrInsc: '12345678' });
+}
+
+test('S-5001: bases por tpValor e contribuições descontadas por tpCR do trabalhador', () => {
+  const result = parseTotalizadorXml(evento('S-5001'), 'S-5001');
+
+  assert.equal(result.evento, 'S-5001');
+  assert.equal(result.origem, 'xml');
+  assert.equal(result.cpf, CPF);
+  assert.equal(result.periodo, '2024-01');
+  assert.equal(result.indApuracao, '1');
+  assert.deepEqual(result.empregador, { tpInsc: '1', nrInsc: '12345678' });
+  assert.deepEqual(result.basesPorTipo, { 11: 5000, 21: 550 });
+  assert.deepEqual(result.contribuicoesPorCR, { 108201: 550 });
+});
+
+test('S-5003: remuneração e depósito do FGTS do mesmo basePerApur', () => {
+  const result = parseTotalizadorXml(evento('S-5003'), 'S-5003');
+
+  assert.equal(result.cpf, CPF);
+  assert.deepEqual(result.basesPorTipo, { 11: 5000 });
+  assert.deepEqual(result.depositosPorTipo, { 11: 400 });
+});
+
+test('S-5011 e S-5013: totalizadores do empregador sem CPF; recibo do S-5013 em infoFGTS', () => {
+  const cs = parseTotalizadorXml(evento('S-5011', ''), 'S-5011');
+  assert.equal(cs.cpf, null);
+  assert.deepEqual(cs.contribuicoesPorCR, { 108201: 1650, 109901: 2200 });
+
+  const fgts = parseTotalizadorXml(evento('S-5013', ''), 'S-5013');
+  assert.equal(fgts.nrRecArqBase, '1.1.0000000000000000023');
+  assert.deepEqual(fgts.basesPorTipo, { 11: 15000 });
+  assert.deepEqual(fgts.depositosPorTipo, { 51: 1200 });
+});
+
+test('valores repetidos do mesmo código são somados com duas casas', () => {
+  const xml = `<eSocial><evtCS><ideEvento><perApur>2024-01</perApur></ideEvento><infoCS>
+    <infoCRContrib><tpCR>108201</tpCR><vrCR>0.10</vrCR></infoCRContrib>
+    <infoCRContrib><tpCR>108201</tpCR><vrCR>0.20</vrCR></infoCRContrib>
+    <infoCRContrib><tpCR>109901</tpCR><vrCR>abc</vrCR></infoCRContrib>
+  </infoCS></evtCS></eSocial>`;
+
+  assert.deepEqual(parseTotalizadorXml(xml, 'S-5011').contribuicoesPorCR, { 108201: 0.3 });
+});
+
+test('XML de outro evento ou tipo não suportado é rejeitado', () => {
+  assert.throws(() => parseTotalizadorXml(evento('S-5011', ''), 'S-5001'), /não contém evento S-5001 \(evtBasesTrab\)/);
+  assert.throws(() => parseTotalizadorXml(evento('S-5001'), 'S-1200'), /S-1200 não suportado/);
+});
+
+test('tela: labels "código - descrição" viram valores; CPF e período são ignorados', () => {
+  const result = normalizeTotalizadorScreen({
+    CPF: '529.982.247-25',
+    'Período': '01/2024',
+    '11 - Base de cálculo da contribuição previdenciária': '5.000,00',
+    'Total geral': '1.234,56',
+    'Observação': 'sem valor'
+  }, { tipo: 'S-5001', cpf: '529.982.247-25', periodo: '2024-01' });
+
+  assert.equal(result.origem, 'tela');
+  assert.equal(result.cpf, CPF);
+  assert.equal(result.periodo, '2024-01');
+  assert.deepEqual(result.valores, [
+    { codigo: '11', descricao: 'Base de cálculo da contribuição previdenciária', valor: 5000 },
+    { codigo: null, descricao: 'Total geral', valor: 1234.56 }
+  ]);
+
+  assert.equal(normalizeTotalizadorScreen({}, { tipo: 'S-5011', cpf: CPF, periodo: '2024-01' }).cpf, null);
+});
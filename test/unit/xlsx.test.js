@@ -0,0 +1,80 @@
+/**
+ * Unitário: escritor ZIP e planilha XLSX da exportação (lidos de volta com parsers/zip.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { XMLValidator } = require('fast-xml-parser');
+const { zip, crc32 } = require('../../export/zip-writer');
+const { buildXlsx } = require('../../export/xlsx');
+const { unzip } = require('../../parsers/zip');
+
+function files(buffer) {
+  return Object.fromEntries(unzip(buffer).map(e => [e.name, e.data.toString('utf8')]));
+}
+
+test('zip: entradas deflate com nomes UTF-8 voltam intactas pelo leitor', () => {
+  const buffer = zip([
+    { name: 'a.txt', data: 'conteúdo' },
+    { name: 'pasta/ç.bin', data: Buffer.from([0, 1, 2, 255]) }
+  ]);
+
+  const entries = unzip(buffer);
+  assert.deepEqual(entries.map(e => e.name), ['a.txt', 'pasta/ç.bin']);
+  assert.equal(entries[0].data.toString('utf8'), 'conteúdo');
+  assert.deepEqual([...entries[1].data], [0, 1, 2, 255]);
+});
+
+test('zip: CRC-32 igual ao de referência', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  if (zlib.crc32) {
+    const data = Buffer.from('eSocial ç ã');
+    assert.equal(crc32(data), zlib.crc32(data));
+  }
+});
+
+test('xlsx: partes obrigatórias, abas na ordem e XML bem formado', () => {
+  const arquivos = files(buildXlsx([
+    { name: 'Resultados', rows: [['A', 'B'], ['x', 1]] },
+    { name: 'Resumo & Totais', rows: [['Campo', 'Valor'], ['total', 1]] }
+  ]));
+
+  assert.deepEqual(Object.keys(arquivos).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml'
+  ]);
+  for (const [name, xml] of Object.entries(arquivos)) {
+    assert.equal(XMLValidator.validate(xml), true, name);
+  }
+  assert.match(arquivos['xl/workbook.xml'], /<sheet name="Resultados" sheetId="1" r:id="rId1"\/><sheet name="Resumo &amp; Totais" sheetId="2" r:id="rId2"\/>/);
+  assert.match(arquivos['[Content_Types].xml'], /\/xl\/worksheets\/sheet2\.xml/);
+});
+
+test('xlsx: cabeçalho em negrito, texto inline escapado, decimais só nas colunas indicadas', () => {
+  const sheet = files(buildXlsx([{
+    name: 'Dados',
+    rows: [['Texto', 'Valor', 'Qtd'], ['<a & "b">\u0001', 412.5, 3], [null, '', 7]],
+    decimalColumns: [1]
+  }]))['xl/worksheets/sheet1.xml'];
+
+  assert.match(sheet, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Texto<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">&lt;a &amp; &quot;b&quot;&gt;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2" s="2"><v>412.5<\/v><\/c>/);
+  assert.match(sheet, /<c r="C2"><v>3<\/v><\/c>/);
+  // Células vazias são omitidas
+  assert.match(sheet, /<row r="3"><c r="C3"><v>7<\/v><\/c><\/row>/);
+});
+
+test('xlsx: referências de coluna após Z (AA, AB)', () => {
+  const row = Array.from({ length: 28 }, (_, i) => `c${i}`);
+  const sheet = files(buildXlsx([{ name: 'Larga', rows: [row] }]))['xl/worksheets/sheet1.xml'];
+
+  assert.match(sheet, /r="Z1"[^>]*><is><t xml:space="preserve">c25</);
+  assert.match(sheet, /r="AB1"[^>]*><is><t xml:space="preserve">c27</);
+});
@@ -0,0 +1,37 @@
+/**
+ * Unitário: conversão de valores monetários do XML e da tela (parseDecimal)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDecimal } = require('../../parsers/xml');
+
+test('formato do XML: ponto decimal', () => {
+  assert.equal(parseDecimal('1234.56'), 1234.56);
+  assert.equal(parseDecimal('0.5'), 0.5);
+  assert.equal(parseDecimal('5000'), 5000);
+  assert.equal(parseDecimal('-12.34'), -12.34);
+  assert.equal(parseDecimal('1234.5'), 1234.5);
+});
+
+test('formato da tela: milhar com ponto e decimal com vírgula', () => {
+  assert.equal(parseDecimal('R$ 1.234,56'), 1234.56);
+  assert.equal(parseDecimal('1.234.567,89'), 1234567.89);
+  assert.equal(parseDecimal('550,00'), 550);
+  assert.equal(parseDecimal('-R$ 1.234,56'), -1234.56);
+});
+
+test('formato da tela sem centavos: ponto só como separador de milhar', () => {
+  assert.equal(parseDecimal('1.234'), 1234);
+  assert.equal(parseDecimal('R$ 1.234.567'), 1234567);
+  assert.equal(parseDecimal('-1.000'), -1000);
+  // Fora do padrão de grupos de três dígitos continua sendo decimal
+  assert.equal(parseDecimal('1.23'), 1.23);
+  assert.equal(parseDecimal('1234.567'), 1234.567);
+});
+
+test('vazio ou sem número vira null', () => {
+  assert.equal(parseDecimal(''), null);
+  assert.equal(parseDecimal(undefined), null);
+  assert.equal(parseDecimal('R$'), null);
+});
@@ -0,0 +1,61 @@
+/**
+ * Unitário: assinatura XMLDSig dos eventos e recusa de XML malformado
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestPki } = require('../../mock/test-pki');
+const { signEventXml, verifyEventXml } = require('../../signature/xml-signer');
+
+const EVENTO = `<eSocial xmlns="http://www.esocial.gov.br/schema/evt/evtInfoEmpregador/v_S_01_02_00">
+  <evtInfoEmpregador Id="ID1123456780000002024011510000000001"><ideEvento><tpAmb>2</tpAmb></ideEvento></evtInfoEmpregador>
+</eSocial>`;
+
+let certificate;
+
+before(() => {
+  certificate = createTestPki({ cnpj: '12345678000195' }).client;
+});
+
+// Saída do console durante `fn` (o handler padrão do xmldom escreve avisos com console.warn/error)
+function captureConsole(fn) {
+  const written = [];
+  const original = { warn: console.warn, error: console.error, log: console.log };
+  for (const method of Object.keys(original)) console[method] = (...args) => written.push(args.join(' '));
+  try {
+    return { result: fn(), written };
+  } catch (error) {
+    return { error, written };
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+test('evento bem formado é assinado e a assinatura confere', () => {
+  const signed = signEventXml(EVENTO, certificate);
+  assert.match(signed, /<Signature xmlns="http:\/\/www\.w3\.org\/2000\/09\/xmldsig#">[\s\S]*<\/Signature><\/eSocial>$/);
+  assert.equal(verifyEventXml(signed, certificate), true);
+});
+
+test('XML malformado é recusado com VALIDATION_ERROR, sem assinar documento parcial nem escrever no console', () => {
+  const malformados = [
+    ['<eSocial><evtInfoEmpregador><ideEvento>', /unclosed xml attribute/],
+    ['<eSocial><evt a=1></evt></eSocial>', /missed quot/],
+    ['<eSocial>&foo;</eSocial>', /entity not found/],
+    ['<eSocial/><eSocial/>', /Hierarchy request error/]
+  ];
+
+  for (const [xml, problem] of malformados) {
+    const { error, written } = captureConsole(() => signEventXml(xml, certificate));
+    assert.ok(error, `${xml} foi assinado`);
+    assert.equal(error.code, 'VALIDATION_ERROR', xml);
+    assert.equal(error.details[0].field, 'xml');
+    assert.match(error.details[0].message, problem);
+    assert.doesNotMatch(error.message, /element parse error|\[xmldom/);
+    assert.deepEqual(written, [], xml);
+  }
+});
+
+test('entrada vazia também é VALIDATION_ERROR', () => {
+  assert.throws(() => signEventXml('  ', certificate), { code: 'VALIDATION_ERROR', message: 'xml: XML do evento vazio ou inválido' });
+});
@@ -0,0 +1,54 @@
+/**
+ * CPF, CNPJ e período de apuração: formato e dígitos verificadores
+ */
+
+function digits(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\D/g, '');
+}
+
+// Dígito verificador módulo 11 com pesos decrescentes (CPF) ou cíclicos de 2 a 9 (CNPJ)
+function checkDigit(numbers, weights) {
+  const sum = numbers.split('').reduce((acc, n, i) => acc + Number(n) * weights[i], 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+}
+
+/**
+ * CPF com 11 dígitos e verificadores corretos (pontuação é ignorada)
+ */
+function isValidCpf(value) {
+  const cpf = digits(value);
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
+
+  const d1 = checkDigit(cpf.substring(0, 9), [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const d2 = checkDigit(cpf.substring(0, 10), [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return cpf.endsWith(`${d1}${d2}`);
+}
+
+/**
+ * CNPJ com 14 dígitos e verificadores corretos (pontuação é ignorada)
+ */
+function isValidCnpj(value) {
+  const cnpj = digits(value);
+  if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+  const d1 = checkDigit(cnpj.substring(0, 12), [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const d2 = checkDigit(cnpj.substring(0, 13), [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return cnpj.endsWith(`${d1}${d2}`);
+}
+
+/**
+ * Período YYYY-MM ou MM/YYYY normalizado para YYYY-MM (null se inválido)
+ */
+function parsePeriodo(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  const match = text.match(/^(\d{4})-(\d{2})$/) || text.match(/^(\d{2})\/(\d{4})$/);
+  if (!match) return null;
+
+  const [year, month] = text.includes('-') ? [match[1], match[2]] : [match[2], match[1]];
+  const monthNum = Number(month);
+  if (monthNum < 1 || monthNum > 12) return null;
+  return `${year}-${month}`;
+}
+
+module.exports = { digits, isValidCpf, isValidCnpj, parsePeriodo };
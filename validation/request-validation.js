@@ -0,0 +1,181 @@
+/**
+ * Validação dos payloads de /api/esocial, /api/esocial-irrf e /api/esocial-totalizadores
+ *
+ * Cada validador devolve todos os problemas encontrados ({ field, message }) em vez de parar
+ * no primeiro, para a resposta 400 listar tudo de uma vez antes de abrir Chrome ou conexão mTLS.
+ */
+
+const { ProxyError } = require('../errors/error-catalog');
+const { digits, isValidCpf, isValidCnpj, parsePeriodo } = require('./documents');
+const { getTotalizador, TIPOS_TOTALIZADOR } = require('../scraper/totalizadores');
+const { EXPORT_FORMATS } = require('../export/results-export');
+
+// Consultas no portal por requisição (CPF × período, ou só período nos totalizadores do empregador)
+const IRRF_MAX_BATCH_SIZE = parseInt(process.env.IRRF_MAX_BATCH_SIZE, 10) || 200;
+
+const AMBIENTES = ['producao', 'producao-restrita'];
+
+function currentPeriodo(now) {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function hasCertificate(body) {
+  return !!(body.certificateId || (body.certificatePfx && body.password) || (body.privateKeyPem && body.certificatePem));
+}
+
+/**
+ * Período no formato aceito e não futuro; devolve YYYY-MM ou null (problema registrado)
+ */
+function checkPeriodo(value, field, problems, now) {
+  const periodo = parsePeriodo(value);
+  if (!periodo) {
+    problems.push({ field, message: `período inválido (${value}). Use YYYY-MM ou MM/YYYY` });
+    return null;
+  }
+  if (periodo > currentPeriodo(now)) {
+    problems.push({ field, message: `período futuro (${periodo})` });
+    return null;
+  }
+  return periodo;
+}
+
+/**
+ * tpInsc 1 (CNPJ: 14 dígitos ou raiz de 8) ou 2 (CPF: 11 dígitos), com dígitos verificadores
+ */
+function checkInscricao(tpInsc, nrInsc, prefix, problems) {
+  const tipo = String(tpInsc === undefined || tpInsc === null ? '' : tpInsc).trim();
+  if (!['1', '2'].includes(tipo)) {
+    problems.push({ field: `${prefix}tpInsc`, message: 'tpInsc inválido. Use 1 (CNPJ) ou 2 (CPF)' });
+  }
+
+  const numero = digits(nrInsc);
+  if (!numero) {
+    problems.push({ field: `${prefix}nrInsc`, message: 'nrInsc é obrigatório' });
+    return;
+  }
+
+  if (tipo === '1') {
+    if (numero.length === 8) return;
+    if (numero.length !== 14) {
+      problems.push({ field: `${prefix}nrInsc`, message: `CNPJ deve ter 14 dígitos ou a raiz de 8 (recebidos: ${numero.length})` });
+    } else if (!isValidCnpj(numero)) {
+      problems.push({ field: `${prefix}nrInsc`, message: 'CNPJ com dígito verificador inválido' });
+    }
+  } else if (tipo === '2') {
+    if (numero.length !== 11) {
+      problems.push({ field: `${prefix}nrInsc`, message: `CPF deve ter 11 dígitos (recebidos: ${numero.length})` });
+    } else if (!isValidCpf(numero)) {
+      problems.push({ field: `${prefix}nrInsc`, message: 'CPF com dígito verificador inválido' });
+    }
+  }
+}
+
+/**
+ * Consultas de totalizadores no portal: certificado, tipo, CPFs (dígitos verificadores, sem repetição; só no
+ * escopo trabalhador), períodos, tamanho do lote e formato da resposta (json, csv, xlsx).
+ * Retorna { problems, totalizador, cpfs, periodos } com CPFs só dígitos e períodos YYYY-MM, sem duplicados.
+ */
+function validateScrapingRequest(body, { tipo = body.tipo, now = new Date(), maxBatchSize = IRRF_MAX_BATCH_SIZE } = {}) {
+  const problems = [];
+  const cpfs = [];
+  const periodos = [];
+  const totalizador = getTotalizador(tipo);
+
+  if (!body.certificateId && (!body.certificatePfx || !body.password)) {
+    problems.push({ field: 'certificatePfx', message: 'Certificado digital (certificatePfx) e senha, ou certificateId, são obrigatórios' });
+  }
+
+  if (body.format !== undefined && !EXPORT_FORMATS.includes(body.format)) {
+    problems.push({ field: 'format', message: `Formato inválido (${body.format}). Use: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  if (!totalizador) {
+    problems.push({ field: 'tipo', message: `Totalizador inválido (${tipo}). Use: ${TIPOS_TOTALIZADOR.join(', ')}` });
+  }
+
+  const porTrabalhador = !totalizador || totalizador.escopo === 'trabalhador';
+  if (!porTrabalhador) {
+    // Totalizadores do empregador: consulta por período, cpfs não se aplica
+    if (Array.isArray(body.cpfs) && body.cpfs.length > 0) {
+      problems.push({ field: 'cpfs', message: `${tipo} é consultado por empregador; não envie cpfs` });
+    }
+  } else if (!Array.isArray(body.cpfs) || body.cpfs.length === 0) {
+    // Tipo inválido: escopo desconhecido, não acusar falta de CPFs
+    if (totalizador) problems.push({ field: 'cpfs', message: 'Lista de CPFs é obrigatória' });
+  } else {
+    body.cpfs.forEach((value, index) => {
+      if (!isValidCpf(value)) {
+        problems.push({ field: `cpfs[${index}]`, message: `CPF inválido (${value})` });
+        return;
+      }
+      const cpf = digits(value);
+      if (!cpfs.includes(cpf)) cpfs.push(cpf);
+    });
+  }
+
+  if (!Array.isArray(body.periodos) || body.periodos.length === 0) {
+    problems.push({ field: 'periodos', message: 'Lista de períodos é obrigatória' });
+  } else {
+    body.periodos.forEach((value, index) => {
+      const periodo = checkPeriodo(value, `periodos[${index}]`, problems, now);
+      if (periodo && !periodos.includes(periodo)) periodos.push(periodo);
+    });
+  }
+
+  const batchSize = porTrabalhador ? cpfs.length * periodos.length : periodos.length;
+  if (batchSize > maxBatchSize) {
+    problems.push({
+      field: porTrabalhador ? 'cpfs' : 'periodos',
+      message: `Máximo de ${maxBatchSize} consultas (${porTrabalhador ? 'CPF × período' : 'período'}) por requisição (recebidas: ${batchSize})`
+    });
+  }
+
+  return { problems, totalizador, cpfs, periodos };
+}
+
+/**
+ * /api/esocial: certificado, ambiente, ação, inscrição do empregador, perApur e protocolo.
+ * Retorna { problems, periodo } (perApur normalizado para YYYY-MM, quando enviado).
+ */
+function validateEsocialRequest(body, { actions, now = new Date() }) {
+  const problems = [];
+  const action = body.action || 'download';
+  let periodo = null;
+
+  if (!hasCertificate(body)) {
+    problems.push({ field: 'certificatePfx', message: 'Certificado digital é obrigatório: certificateId, privateKeyPem + certificatePem ou certificatePfx + password' });
+  }
+
+  if (!AMBIENTES.includes(body.ambiente)) {
+    problems.push({ field: 'ambiente', message: `Ambiente inválido. Use: ${AMBIENTES.join(' ou ')}` });
+  }
+
+  if (!actions.includes(action)) {
+    problems.push({ field: 'action', message: `Ação inválida. Use: ${actions.join(', ')}` });
+  }
+
+  checkInscricao(body.tpInsc, body.nrInsc, '', problems);
+
+  if (body.perApur !== undefined && body.perApur !== null && body.perApur !== '') {
+    periodo = checkPeriodo(body.perApur, 'perApur', problems, now);
+  }
+
+  if (action === 'consultar' && (!body.protocoloEnvio || !/^[\d.]+$/.test(String(body.protocoloEnvio)))) {
+    problems.push({ field: 'protocoloEnvio', message: 'protocoloEnvio é obrigatório para a ação consultar (ex: 1.2.202401.0000000000000000001)' });
+  }
+
+  if (action === 'enviar' && body.ideTransmissor && typeof body.ideTransmissor === 'object') {
+    checkInscricao(body.ideTransmissor.tpInsc, body.ideTransmissor.nrInsc, 'ideTransmissor.', problems);
+  }
+
+  return { problems, periodo };
+}
+
+/**
+ * Erro 400 (VALIDATION_ERROR) com a lista completa de problemas em details
+ */
+function validationError(problems) {
+  return new ProxyError('VALIDATION_ERROR', problems.map(p => `${p.field}: ${p.message}`).join('; '), problems);
+}
+
+module.exports = { validateScrapingRequest, validateEsocialRequest, validationError, IRRF_MAX_BATCH_SIZE };